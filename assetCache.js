@@ -0,0 +1,180 @@
+/**
+ * assetCache.js
+ * IndexedDB store for parsed tokenizer data, so a page load skips re-parsing the merges / rank
+ * files and an offline boot can start from the last good copy instead of waiting on the network.
+ * Free of `window`: runs in tokenizer.worker.js as well as on the page.
+ *
+ * Public API:
+ *   await sha256Hex(bytes | string) -> hex digest (null when WebCrypto is unavailable)
+ *   await hashSources({ key: ArrayBuffer }) -> digest over every source file (sorted by key)
+ *   await readCachedData(name, sourceHash) -> parsed data | null (exact sources)
+ *   await readLatestCachedData(name) -> { data, sourceHash } | null (any sources, newest first)
+ *   await writeCachedData(name, sourceHash, data)
+ *   await clearCachedData(name?)
+ *
+ * Records: { key: `${name}@${sourceHash}`, name, sourceHash, version, payload, payloadHash,
+ * entries, savedAt }. `payload` is the parsed data as JSON ([field, 'map' | 'json', value]
+ * triples), `payloadHash` its SHA‑256 and `entries` the decoder size. A record is rejected —
+ * and deleted — when its version, name or source hash do not match, when the payload hash
+ * does not verify, or when the revived data has a different number of entries.
+ *
+ * Everything degrades to "no cache" (null / no-op) where IndexedDB or WebCrypto is missing
+ * (private windows, plain-HTTP origins, Node).
+ */
+
+const DB_NAME = 'fragile-words';
+const DB_VERSION = 1;
+const STORE = 'tokenizer-data';
+// Bump when a format's parsed data shape changes: old records are then ignored and replaced
+export const CACHE_VERSION = 2;
+
+const textEncoder = new TextEncoder();
+
+function hasCrypto() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+export async function sha256Hex(input) {
+  if (!hasCrypto()) return null;
+  const bytes = typeof input === 'string' ? textEncoder.encode(input) : input;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function hashSources(buffers) {
+  const parts = [];
+  for (const key of Object.keys(buffers).sort()) {
+    const hex = await sha256Hex(buffers[key]);
+    if (!hex) return null;
+    parts.push(`${key}:${hex}`);
+  }
+  return sha256Hex(parts.join('\n'));
+}
+
+let dbPromise = null;
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('name', 'name');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[tokenizer] IndexedDB unavailable – asset cache disabled.', req.error);
+        resolve(null);
+      };
+      req.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  if (!db) return null;
+  try {
+    return await fn(db.transaction(STORE, mode).objectStore(STORE));
+  } catch (err) {
+    console.warn('[tokenizer] Asset cache', mode, 'failed.', err);
+    return null;
+  }
+}
+
+/* Parsed data is a flat object whose fields are Maps or plain JSON values */
+function serialize(data) {
+  return JSON.stringify(Object.entries(data).map(([key, value]) =>
+    (value instanceof Map ? [key, 'map', Array.from(value)] : [key, 'json', value])
+  ));
+}
+
+function revive(payload) {
+  const data = {};
+  for (const [key, kind, value] of JSON.parse(payload)) data[key] = kind === 'map' ? new Map(value) : value;
+  return data;
+}
+
+function entryCount(data) {
+  const decoder = data && data.decoder;
+  if (!decoder) return 0;
+  return decoder instanceof Map ? decoder.size : Object.keys(decoder).length;
+}
+
+/* Verify a record and revive its data; null (and the record deleted) when it does not check out */
+async function verify(record, name, sourceHash) {
+  let reason = null;
+  if (record.version !== CACHE_VERSION) reason = 'version ' + record.version;
+  else if (record.name !== name) reason = 'name ' + record.name;
+  else if (sourceHash && record.sourceHash !== sourceHash) reason = 'source hash';
+  else if (typeof record.payload !== 'string' || await sha256Hex(record.payload) !== record.payloadHash) reason = 'payload hash';
+  let data = null;
+  if (!reason) {
+    try {
+      data = revive(record.payload);
+      if (entryCount(data) !== record.entries || !record.entries) reason = 'entry count';
+    } catch (err) {
+      reason = 'unparseable payload';
+    }
+  }
+  if (!reason) return data;
+  console.warn('[tokenizer] Rejecting cached', name, 'data (' + reason + ' mismatch).');
+  await withStore('readwrite', store => promisify(store.delete(record.key)));
+  return null;
+}
+
+export async function readCachedData(name, sourceHash) {
+  if (!sourceHash) return null;
+  const record = await withStore('readonly', store => promisify(store.get(`${name}@${sourceHash}`)));
+  return record ? verify(record, name, sourceHash) : null;
+}
+
+export async function readLatestCachedData(name) {
+  const records = await withStore('readonly', store => promisify(store.index('name').getAll(name)));
+  if (!records || !records.length) return null;
+  records.sort((a, b) => b.savedAt - a.savedAt);
+  for (const record of records) {
+    const data = await verify(record, name, null);
+    if (data) return { data, sourceHash: record.sourceHash };
+  }
+  return null;
+}
+
+export async function writeCachedData(name, sourceHash, data) {
+  if (!sourceHash) return;
+  const payload = serialize(data);
+  const payloadHash = await sha256Hex(payload);
+  const record = {
+    key: `${name}@${sourceHash}`,
+    name,
+    sourceHash,
+    version: CACHE_VERSION,
+    payload,
+    payloadHash,
+    entries: entryCount(data),
+    savedAt: Date.now()
+  };
+  await withStore('readwrite', async store => {
+    // One record per tokenizer: older source versions are replaced
+    const old = await promisify(store.index('name').getAllKeys(name));
+    for (const key of old) if (key !== record.key) store.delete(key);
+    return promisify(store.put(record));
+  });
+}
+
+export async function clearCachedData(name) {
+  await withStore('readwrite', async store => {
+    if (!name) return promisify(store.clear());
+    const keys = await promisify(store.index('name').getAllKeys(name));
+    for (const key of keys) store.delete(key);
+    return null;
+  });
+}
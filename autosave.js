@@ -0,0 +1,133 @@
+/**
+ * autosave.js
+ * The session pile survives a reload: a browser refresh or a kiosk watchdog restarting the tab
+ * picks up where the pile was, so an installation accumulates text over a whole day.
+ *
+ *  - Every AUTOSAVE.intervalMs, and when the page is hidden or unloaded, the session sketch.js
+ *    hands over is written to localStorage: the pile as a scene snapshot (scene.js: block poses
+ *    and velocities, shatter fragments, collapse, gravity, RNG state) plus the submissions still
+ *    queued to drop.
+ *  - On load sketch.js restores it (readAutosave). A record that does not check out (another
+ *    version, unparseable, a scene checkScene rejects) is deleted and the page starts with an
+ *    empty pile. Queued submissions that are not a shape sketch.js enqueueWord takes are
+ *    dropped one by one (with a console warning); the rest of the session is kept.
+ *  - “Start again” clears it (clearAutosave); an empty session is not stored at all.
+ *  - Degrades to a no-op where localStorage is unavailable or full (private windows, quota),
+ *    with one console warning. Skipped entirely with ?noAutosave=1.
+ *
+ * Record (JSON, key AUTOSAVE.key): { version: 1, savedAt, scene, queue }
+ *
+ * Exported API:
+ *  AUTOSAVE
+ *  initAutosave(getSession)    -> getSession(): { scene, queue }; starts the periodic saves
+ *  readAutosave()              -> { savedAt, scene, queue } | null
+ *  saveNow()
+ *  clearAutosave()
+ */
+
+import { checkScene } from './scene.js';
+
+export const AUTOSAVE = {
+  key: 'fragile-words-session',
+  version: 1,
+  intervalMs: 5000
+};
+
+let getSession = null;
+let timer = null;
+let warned = false;
+
+function enabled() {
+  return typeof localStorage !== 'undefined' &&
+    !new URLSearchParams(window.location.search).has('noAutosave');
+}
+
+const FRACTURE_DEPTHS = ['tokens', 'words', 'bytes'];
+
+function isTokenList(tokens) {
+  return Array.isArray(tokens) && tokens.every(t => t && typeof t === 'object' && typeof t.text === 'string');
+}
+
+/* A submission sketch.js can drop: a string, or a sentence / tokens / compare payload */
+function isQueuedPayload(item) {
+  if (typeof item === 'string') return item.length > 0;
+  if (!item || typeof item !== 'object') return false;
+  if (item.sentence != null && typeof item.sentence !== 'string') return false;
+  if (item.fontSize != null && !(item.fontSize > 0 && Number.isFinite(item.fontSize))) return false;
+  if (item.fractureDepth != null && !FRACTURE_DEPTHS.includes(item.fractureDepth)) return false;
+  if (item.type === 'sentence' || item.type === 'tokens') return isTokenList(item.tokens) && item.tokens.length > 0;
+  if (item.type === 'compare') return Array.isArray(item.lanes) && item.lanes.every(lane => lane && isTokenList(lane.tokens));
+  return false;
+}
+
+function warnOnce(what, err) {
+  if (warned) return;
+  warned = true;
+  console.warn(`[autosave] Could not ${what} the session – the pile will not survive a reload.`, err);
+}
+
+export function initAutosave(sessionFn) {
+  getSession = sessionFn;
+  if (!enabled() || timer) return;
+  timer = setInterval(saveNow, AUTOSAVE.intervalMs);
+  // Last chance before a reload / tab kill; 'pagehide' also covers the back-forward cache
+  window.addEventListener('pagehide', saveNow);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveNow();
+  });
+}
+
+export function saveNow() {
+  if (!getSession || !enabled()) return;
+  try {
+    const { scene, queue } = getSession();
+    if (!scene.entries.length && !scene.fragments.length && !queue.length) {
+      localStorage.removeItem(AUTOSAVE.key);
+      return;
+    }
+    localStorage.setItem(AUTOSAVE.key, JSON.stringify({
+      version: AUTOSAVE.version,
+      savedAt: new Date().toISOString(),
+      scene,
+      queue
+    }));
+  } catch (err) {
+    warnOnce('save', err);
+  }
+}
+
+export function readAutosave() {
+  if (!enabled()) return null;
+  let raw = null;
+  try {
+    raw = localStorage.getItem(AUTOSAVE.key);
+  } catch (err) {
+    warnOnce('read', err);
+    return null;
+  }
+  if (!raw) return null;
+  try {
+    const record = JSON.parse(raw);
+    if (!record || record.version !== AUTOSAVE.version) throw new Error(`record version ${record && record.version}`);
+    checkScene(record.scene);
+    const saved = Array.isArray(record.queue) ? record.queue : [];
+    const queue = saved.filter(isQueuedPayload);
+    if (queue.length < saved.length) {
+      console.warn(`[autosave] Dropping ${saved.length - queue.length} malformed queued submission(s).`);
+    }
+    return { savedAt: record.savedAt, scene: record.scene, queue };
+  } catch (err) {
+    console.warn('[autosave] Discarding the saved session:', err.message);
+    clearAutosave();
+    return null;
+  }
+}
+
+export function clearAutosave() {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.removeItem(AUTOSAVE.key);
+  } catch (err) {
+    warnOnce('clear', err);
+  }
+}
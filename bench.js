@@ -0,0 +1,131 @@
+/**
+ * bench.js
+ * BPE micro-benchmark (open bench.html): heap + linked-list bpe() from tokenizerCore.js against
+ * the previous rescan-every-pair implementation, on the same long text and the same ranks.
+ *
+ * Public API:
+ *  await runBenchmark({ name, text, rounds, log }) -> rows [{ label, ms, preTokensPerSec }]
+ *
+ * Both implementations run with caching disabled so every pre-token is really merged; a third
+ * row shows full tokenizeToTokens() throughput with the bounded LRU cache at its default size.
+ * Results are checked for equality before any timing is reported.
+ */
+
+import {
+  ensureTokenizerReady,
+  tokenizerReady,
+  tokenizerSource,
+  tokenizeToTokens,
+  bpe,
+  pairRankFor,
+  preTokenSymbols,
+  getBpeCacheSize,
+  setBpeCacheSize
+} from './tokenizerCore.js';
+
+const SAMPLE = 'The quick brown fox jumps over the lazy dog. Tokenizers don\'t see words, they see ' +
+  'merges: internationalization, antidisestablishmentarianism, 1234567890, naïve café, שלום, ' +
+  '日本語のテキスト, 🙂🙂🙂, and    runs   of   whitespace.\n';
+
+const NO_CACHE = { get() { return undefined; }, set() {} };
+
+/* Previous bpe(): rescans every pair after each merge (O(n²) per word) */
+function legacyBpe(token, pairRank) {
+  let word = Array.from(token);
+  if (word.length === 1) return word;
+  const getPairs = w => {
+    const pairs = new Set();
+    for (let i = 0; i < w.length - 1; i++) pairs.add(w[i] + '\u0000' + w[i + 1]);
+    return pairs;
+  };
+  let pairs = getPairs(word);
+  while (pairs.size) {
+    let minPair = null;
+    let minRank = Infinity;
+    for (const pair of pairs) {
+      const [a, b] = pair.split('\u0000');
+      const rank = pairRank(a, b);
+      if (rank !== undefined && rank < minRank) {
+        minRank = rank;
+        minPair = [a, b];
+      }
+    }
+    if (!minPair) break;
+    const [first, second] = minPair;
+    const newWord = [];
+    let i = 0;
+    while (i < word.length) {
+      const j = word.indexOf(first, i);
+      if (j === -1) {
+        newWord.push(...word.slice(i));
+        break;
+      }
+      newWord.push(...word.slice(i, j));
+      if (j < word.length - 1 && word[j + 1] === second) {
+        newWord.push(first + second);
+        i = j + 2;
+      } else {
+        newWord.push(word[j]);
+        i = j + 1;
+      }
+    }
+    word = newWord;
+    if (word.length === 1) break;
+    pairs = getPairs(word);
+  }
+  return word;
+}
+
+function time(fn, rounds) {
+  fn(); // warm-up
+  const t0 = performance.now();
+  for (let r = 0; r < rounds; r++) fn();
+  return (performance.now() - t0) / rounds;
+}
+
+export async function runBenchmark({ name = 'gpt2', text = SAMPLE.repeat(200), rounds = 5, log = console.log } = {}) {
+  await ensureTokenizerReady(name);
+  const pairRank = pairRankFor(name);
+  if (!tokenizerReady(name) || !pairRank) {
+    log(`${name}: no BPE ranks loaded (source: ${tokenizerSource(name)}) – nothing to benchmark.`);
+    return [];
+  }
+  const pieces = preTokenSymbols(text, name);
+  // Long unbroken runs are where the old loop hurts: add a few 1–4 KB single pre-tokens
+  const longRuns = [256, 1024, 4096].map(k => preTokenSymbols('a'.repeat(k), name)[0]);
+  const all = pieces.concat(longRuns);
+  log(`${name} (${tokenizerSource(name)}): ${text.length} chars, ${all.length} pre-tokens, ${rounds} rounds`);
+
+  for (const piece of all) {
+    const a = legacyBpe(piece, pairRank).join('\u0000');
+    const b = bpe(piece, pairRank, NO_CACHE).join('\u0000');
+    if (a !== b) throw new Error('[bench] bpe mismatch on ' + JSON.stringify(piece));
+  }
+
+  const rows = [
+    { label: 'legacy (rescan pairs, no cache)', ms: time(() => all.forEach(t => legacyBpe(t, pairRank)), rounds) },
+    { label: 'heap + linked list (no cache)', ms: time(() => all.forEach(t => bpe(t, pairRank, NO_CACHE)), rounds) },
+    { label: `tokenizeToTokens (LRU ${getBpeCacheSize()})`, ms: time(() => tokenizeToTokens(text, name), rounds) }
+  ];
+  for (const row of rows) {
+    row.preTokensPerSec = Math.round(all.length / (row.ms / 1000));
+    log(`${row.label.padEnd(36)} ${row.ms.toFixed(1).padStart(8)} ms   ${row.preTokensPerSec} pre-tokens/s`);
+  }
+  return rows;
+}
+
+// bench.html: run on load, with ?tokenizer=, ?repeat= and ?cache= overrides
+if (typeof document !== 'undefined') {
+  const params = new URLSearchParams(window.location.search);
+  const out = document.getElementById('benchOutput');
+  const log = line => {
+    console.log('[bench]', line);
+    if (out) out.textContent += line + '\n';
+  };
+  if (params.has('cache')) setBpeCacheSize(parseInt(params.get('cache'), 10));
+  runBenchmark({
+    name: params.get('tokenizer') || 'gpt2',
+    text: SAMPLE.repeat(parseInt(params.get('repeat'), 10) || 200),
+    log
+  }).catch(err => log('Benchmark failed: ' + err.message));
+}
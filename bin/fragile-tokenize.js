@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * fragile-tokenize
+ * Prints the tokens the page would drop for a text, using the same core (tokenizerCore.js)
+ * and the same local asset files, read from disk.
+ *
+ * Usage:
+ *   fragile-tokenize "text" [--tokenizer gpt2] [--format json|ids|pretty] [--escape-special] [--all]
+ *                    [--offline] [--verbose]
+ *   echo "text" | fragile-tokenize --format ids
+ *
+ * Options:
+ *   --tokenizer, -t   registered tokenizer (gpt2, cl100k_base, o200k_base, bert-base-uncased, t5-small)
+ *   --format, -f      json   – structured tokens ({ id, text, rank, byteSpan, … }) as a JSON array
+ *                     ids    – token ids, space separated
+ *                     pretty – one token per line (default)
+ *   --escape-special  tokenize `<|endoftext|>` etc. as plain text ("Allow special tokens" off)
+ *   --all             include whitespace-only tokens (the page counts but never draws them)
+ *   --offline         never fall back to remote endpoints (local files only)
+ *   --verbose         print loader progress ('[tokenizer] …') to stderr
+ *
+ * Exit codes: 0 ok, 1 usage error, 2 tokenizer assets unavailable (the page would run in
+ * heuristic mock mode; tokens are still printed, with a warning on stderr).
+ */
+
+import { parseArgs } from 'node:util';
+import {
+  ensureTokenizerReady,
+  tokenizeToTokens,
+  tokenizerSource,
+  visibleTokens,
+  listTokenizers,
+  TOKENIZERS,
+  DEFAULT_TOKENIZER
+} from '../tokenizerCore.js';
+
+const FORMATS = ['json', 'ids', 'pretty'];
+
+function usage(message) {
+  if (message) console.error('fragile-tokenize: ' + message);
+  console.error('Usage: fragile-tokenize "text" [--tokenizer <name>] [--format json|ids|pretty] [--escape-special] [--all] [--offline] [--verbose]');
+  console.error('Tokenizers: ' + listTokenizers().map(t => t.name).join(', '));
+  process.exit(1);
+}
+
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return text.replace(/\r?\n$/, ''); // the trailing newline of `echo` is not part of the text
+}
+
+function flags(token) {
+  const out = [];
+  if (token.special) out.push('special');
+  if (token.marker) out.push('marker ' + token.marker);
+  if (token.partial) out.push('partial bytes');
+  if (token.cutChar) out.push('cuts ' + token.cutChar);
+  return out.join(', ');
+}
+
+function formatPretty(tokens, name, total) {
+  const width = String(tokens.length).length;
+  const lines = tokens.map((t, i) => {
+    const id = t.id === null ? '—' : String(t.id);
+    const note = flags(t);
+    return `${String(i + 1).padStart(width)}  ${id.padStart(6)}  ${JSON.stringify(t.text)}${note ? '  (' + note + ')' : ''}`;
+  });
+  const hidden = total - tokens.length;
+  lines.push(`${TOKENIZERS[name].shortLabel} · ${total} tokens` + (hidden ? ` (${hidden} whitespace-only not drawn)` : ''));
+  return lines.join('\n');
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        tokenizer: { type: 'string', short: 't', default: DEFAULT_TOKENIZER },
+        format: { type: 'string', short: 'f', default: 'pretty' },
+        'escape-special': { type: 'boolean', default: false },
+        all: { type: 'boolean', default: false },
+        offline: { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) usage();
+  if (!TOKENIZERS[values.tokenizer]) usage('unknown tokenizer ' + values.tokenizer);
+  if (!FORMATS.includes(values.format)) usage('unknown format ' + values.format);
+
+  const text = positionals.length && positionals[0] !== '-' ? positionals.join(' ') : await readStdin();
+  if (!text) usage('no text given');
+
+  const name = values.tokenizer;
+  // Keep stdout pipeable: loader chatter goes to stderr with --verbose, nowhere otherwise
+  const log = values.verbose ? (...args) => console.error(...args) : () => {};
+  console.log = log;
+  console.warn = log;
+  await ensureTokenizerReady(name, { skipRemote: values.offline });
+  const source = tokenizerSource(name);
+  if (source === 'mock') {
+    console.error(`fragile-tokenize: ${name} assets not found (local files or network) – heuristic mock tokens, no ids.`);
+  }
+
+  const all = tokenizeToTokens(text, name, { specialMode: values['escape-special'] ? 'escaped' : 'allowed' });
+  const tokens = values.all ? all : visibleTokens(all);
+  let out;
+  if (values.format === 'json') out = JSON.stringify(tokens, null, 2);
+  else if (values.format === 'ids') out = tokens.map(t => t.id).join(' ');
+  else out = formatPretty(tokens, name, all.length);
+  process.stdout.write(out + '\n');
+  if (source === 'mock') process.exitCode = 2;
+}
+
+main();
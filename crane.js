@@ -1,21 +1,28 @@
 /**
  * crane.js
- * Abstract white crane that:
- *  - Watches for a word body resting in the "pool"
- *  - Moves arm above it, lowers cable, attaches via a temporary constraint
- *  - Performs a swing animation
- *  - Releases (toss) the word with slight impulse & spin
+ * Abstract white crane (ui.js "Crane" mode) that keeps an idle pile rearranging itself:
+ *  - Watches for a token resting in the "pool" within reach of its arm
+ *  - Moves the arm above it, lowers the cable, hooks it with a real Matter constraint
+ *    (physics.js registerConstraint) at the top centre of the block
+ *  - Lifts, swings, and releases (tosses) the token with a velocity push & spin
  *
- * Kinematic only: purely animated via math, not physics.
+ * The crane itself is kinematic (animated via math, no bodies); only the hooked token is
+ * simulated. It hangs over the middle of the pile, swings its load across it, and keeps working
+ * after collapse. A tossed token rests for CRANE_CFG.retossCooldownMs before it can be picked
+ * again. Slotted (static), merge-traced and dragged tokens are left alone; a hooked token that
+ * is dragged away, split or fused is dropped.
  *
  * States:
- *  IDLE -> SEEK_WORD -> LOWERING -> ATTACHED -> SWINGING -> RELEASE -> RETURNING -> IDLE
+ *  IDLE -> SEEK_WORD -> LOWERING -> ATTACHED -> SWINGING -> (release) -> RETURNING -> IDLE
  *
  * Exported API:
  *  initCrane(w, h)
- *  updateCrane(p, dt)
+ *  setCraneMode(enabled)     -> off drops any hooked token and parks the arm
+ *  isCraneMode()
+ *  updateCrane(p, dt)        -> per simulation step, before it (simulation clock: replayable)
  *  drawCrane(p)
- *  resetCrane(w, h)
+ *  resetCrane(w, h)          -> full reset (the hook constraint is gone with the old world)
+ *  resizeCrane(w, h)
  *
  * Configurable constants surfaced below for tuning.
  */
@@ -24,9 +31,12 @@ import {
   wordEntries,
   registerConstraint,
   releaseConstraint,
-  isCollapsed
+  getSimMillis,
+  PHYS
 } from './physics.js';
 
+import { getDraggedBody } from './pointer.js';
+
 import {
   rand,
   randomRange,
@@ -35,121 +45,150 @@ import {
   clamp
 } from './utils.js';
 
-const { Bodies, Constraint, Body, Vector } = Matter;
+const { Constraint, Body } = Matter;
 
 export const CRANE_CFG = {
-  pivotRatioX: 0.18,
-  pivotRatioY: 0.22,
-  armLengthRatio: 0.32,
+  pivotRatioX: 0.5,
+  pivotRatioY: 0.34,
+  armLengthRatio: 0.4,            // of the canvas width …
+  armDropRatio: 0.7,              // … at most this much of the pivot's height above the floor
   cableMin: 40,
-  cableMax: 360,
+  cableMaxRatio: 0.7,             // longest cable, as a fraction of the canvas height
+  restCable: 120,                 // cable length while idle
   armStrokeWeight: 2,
   cableStrokeWeight: 1.5,
-  baseHeightRatio: 0.28,
+  mastHeight: 24,
+  mastFootWidth: 36,
   pickupVelocityThreshold: 1.2,
   pickupAngularThreshold: 0.7,
   pickupHeightOffset: 200,
+  retossCooldownMs: 6000,         // a tossed token is not picked again for this long
+  hookStiffness: 0.1,
+  hookDamping: 0.05,
+  seekTimeout: 1500,              // give up aligning after this long
   lowerDuration: 800,
   raiseDuration: 650,
+  liftHeight: 140,                // cable shortened by this much before the swing
   swingDuration: 1050,
   returnDuration: 900,
-  releaseAngleOffset: 0.35,
-  impulseXRange: [0.0022, 0.0045],
-  impulseYRange: [0.0030, 0.0055],
+  tossSpeedRange: [3, 6],         // px / step along the swing, plus upward lift
+  tossLift: 0.45,
   spinRange: [-0.25, 0.35],
   targetScanInterval: 600,
-  armBaseAngle: -0.35,
-  armSwingAngle: 0.9,
-  releaseProgress: 0.72,
-  // New targeting / smoothing params
-  targetAngleLerp: 0.15,          // faster convergence toward target
-  maxSeekAngleSpan: 0.6,          // horizontal mapping span
-  baseSeekAngle: -0.25            // center angle when word centered
+  armBaseAngle: -Math.PI / 2 - 0.35, // parked: up, leaning left
+  armSwingAngle: 0.5,             // shortest swing (radians); otherwise the mirror of the pickup angle
+  releaseProgress: 0.55,          // just past the vertical: the toss heads across the pile
+  targetAngleLerp: 0.15
 };
 
 // Internal crane state
+let enabled = false;
 let canvasW = 0;
 let canvasH = 0;
 
 let pivot = { x: 0, y: 0 };
 let armLength = 0;
+let cableMax = 0;
 
 let state = 'IDLE';
 let stateTime = 0;
+let clockMillis = 0;
 
 let targetEntry = null;
 let constraint = null;
 
-let cableLength = 120; // animated
-let desiredCableLength = 120;
+let cableLength = CRANE_CFG.restCable; // animated
+let desiredCableLength = CRANE_CFG.restCable;
 
 let armAngle = CRANE_CFG.armBaseAngle;
 let armAngleStart = CRANE_CFG.armBaseAngle;
-let armAngleEnd = CRANE_CFG.armSwingAngle;
-
-let lastTargetScan = 0;
+let armAngleEnd = CRANE_CFG.armBaseAngle;
+let swingDir = 1;
+let liftCable = CRANE_CFG.restCable;
 
-let releasedThisSwing = false;
-let attachedEntry = null; // currently attached entry for magnet visualization
+let lastTargetScan = -Infinity;
 
 /**
  * Initialize crane.
  */
 export function initCrane(w, h) {
-  canvasW = w;
-  canvasH = h;
-  pivot.x = w * CRANE_CFG.pivotRatioX;
-  pivot.y = h * CRANE_CFG.pivotRatioY;
-  armLength = w * CRANE_CFG.armLengthRatio;
+  resizeCrane(w, h);
   state = 'IDLE';
   stateTime = 0;
   targetEntry = null;
   constraint = null;
   armAngle = CRANE_CFG.armBaseAngle;
   armAngleStart = armAngle;
-  releasedThisSwing = false;
-  cableLength = 120;
-  desiredCableLength = 120;
-  lastTargetScan = 0;
+  cableLength = CRANE_CFG.restCable;
+  desiredCableLength = CRANE_CFG.restCable;
+  lastTargetScan = -Infinity;
+}
+
+export function isCraneMode() {
+  return enabled;
+}
+
+export function setCraneMode(on) {
+  enabled = !!on;
+  if (!enabled) resetCrane(canvasW, canvasH);
 }
 
 /**
  * Reset crane (used on full reset).
  */
 export function resetCrane(w, h) {
-  if (constraint) {
-    releaseConstraint(constraint);
-    constraint = null;
-  }
+  dropWord();
   initCrane(w, h);
 }
 
 /**
- * Find a resting word candidate in pool region.
+ * Arm angle whose hook can reach a block top at (x, topY) with a cable in range, or null.
+ * Prefers the arm below the pivot (short cable), else above it.
+ */
+function reachAngle(x, topY) {
+  const c = (x - pivot.x) / armLength;
+  if (Math.abs(c) > 0.98) return null;
+  const down = Math.acos(c);
+  for (const angle of [down, -down]) {
+    const len = topY - (pivot.y + Math.sin(angle) * armLength);
+    if (len >= CRANE_CFG.cableMin && len <= cableMax) return angle;
+  }
+  return null;
+}
+
+function blockTop(entry) {
+  return entry.body.position.y - (entry.height || 30) * 0.5;
+}
+
+/* The hooked / sought token is still a free block of the pile */
+function targetAlive() {
+  if (!targetEntry || !wordEntries.includes(targetEntry)) return false;
+  const b = targetEntry.body;
+  return !b.isStatic && !targetEntry.tracing && getDraggedBody() !== b;
+}
+
+/**
+ * Find a resting, reachable token in the pool region (random pick among them).
  */
-function findPickupCandidate(now) {
-  if (now - lastTargetScan < CRANE_CFG.targetScanInterval) return null;
-  lastTargetScan = now;
+function findPickupCandidate() {
+  if (clockMillis - lastTargetScan < CRANE_CFG.targetScanInterval) return null;
+  lastTargetScan = clockMillis;
 
-  // Choose earliest non-launched word near bottom & stable
-  let candidate = null;
   const poolY = canvasH - CRANE_CFG.pickupHeightOffset;
-  for (const e of wordEntries) {
-    if (e.launched) continue;
+  const dragged = getDraggedBody();
+  const candidates = wordEntries.filter(e => {
     const b = e.body;
-    if (b.position.y > poolY) {
-      const v = b.velocity;
-      if (
-        Math.abs(v.x) < CRANE_CFG.pickupVelocityThreshold &&
-        Math.abs(v.y) < CRANE_CFG.pickupVelocityThreshold &&
-        Math.abs(b.angularVelocity) < CRANE_CFG.pickupAngularThreshold
-      ) {
-        candidate = e;
-        break;
-      }
-    }
-  }
-  return candidate;
+    if (!e.isToken || b.isStatic || e.tracing || b === dragged) return false;
+    if (clockMillis - (e.craneTossMillis ?? -Infinity) < CRANE_CFG.retossCooldownMs) return false;
+    if (b.position.y <= poolY) return false;
+    if (
+      Math.abs(b.velocity.x) >= CRANE_CFG.pickupVelocityThreshold ||
+      Math.abs(b.velocity.y) >= CRANE_CFG.pickupVelocityThreshold ||
+      Math.abs(b.angularVelocity) >= CRANE_CFG.pickupAngularThreshold
+    ) return false;
+    return reachAngle(b.position.x, blockTop(e)) != null;
+  });
+  return candidates.length ? candidates[Math.floor(rand() * candidates.length)] : null;
 }
 
 /**
@@ -158,71 +197,64 @@ function findPickupCandidate(now) {
 function setState(next) {
   state = next;
   stateTime = 0;
+  if (next === 'ATTACHED') {
+    liftCable = Math.max(CRANE_CFG.cableMin, cableLength - CRANE_CFG.liftHeight);
+  }
   if (next === 'SWINGING') {
     armAngleStart = armAngle;
-    // end target angle with slight randomness
-    armAngleEnd = CRANE_CFG.armSwingAngle + (rand() - 0.5) * 0.15;
-    releasedThisSwing = false;
+    // Swing through the vertical below / above the pivot to its mirror angle (across the pile),
+    // with slight randomness
+    const vertical = nearestTurn(Math.sin(armAngle) >= 0 ? Math.PI / 2 : -Math.PI / 2);
+    swingDir = vertical >= armAngle ? 1 : -1;
+    const span = Math.max(2 * Math.abs(vertical - armAngle), CRANE_CFG.armSwingAngle);
+    armAngleEnd = armAngle + swingDir * (span + (rand() - 0.5) * 0.15);
   }
 }
 
 /**
- * Attach word via constraint (simulate hook).
+ * Hook the token at the top centre of its block (pointB turns with the body).
  */
 function attachWord(entry) {
-  if (!entry) return;
   const body = entry.body;
-  attachedEntry = entry;
-  // Compute contact cable length so hook touches top half of word
-  const contactLen = clamp(
-    body.position.y - pivot.y - Math.sin(armAngle) * armLength - (entry.height || 30) * 0.45,
-    CRANE_CFG.cableMin,
-    CRANE_CFG.cableMax
-  );
-  desiredCableLength = contactLen;
-  const hookPos = getHookWorldPos();
-  // Create constraint
+  const half = (entry.height || 30) * 0.5;
+  const hook = getHookWorldPos();
   constraint = Constraint.create({
-    pointA: { x: hookPos.x, y: hookPos.y },
+    pointA: { x: hook.x, y: hook.y },
     bodyB: body,
-    pointB: { x: 0, y: 0 },
-    stiffness: 0.95,
-    damping: 0.08,
+    pointB: { x: Math.sin(body.angle) * half, y: -Math.cos(body.angle) * half },
+    stiffness: CRANE_CFG.hookStiffness,
+    damping: CRANE_CFG.hookDamping,
     length: 0
   });
   registerConstraint(constraint);
 }
 
+/* Let go without a toss (token lost, mode off, reset) */
+function dropWord() {
+  if (constraint) releaseConstraint(constraint);
+  constraint = null;
+  targetEntry = null;
+}
+
 /**
- * Release currently attached word (apply toss impulse & spin).
+ * Release the hooked token: velocity along the swing with upward lift, plus spin.
  */
 function releaseWord() {
-  if (!constraint || !targetEntry) return;
   const body = targetEntry.body;
   releaseConstraint(constraint);
   constraint = null;
-  attachedEntry = null;
 
-  // Directional impulse along arm direction with extra upward lift
-  const mass = body.mass || 1;
-  let dir = {
-    x: Math.cos(armAngle),
-    y: Math.sin(armAngle) - 0.45 // bias upward to arc over stack
+  // Tangent of the swing at the current arm angle, biased upward to arc over the pile
+  const dir = {
+    x: -Math.sin(armAngle) * swingDir,
+    y: Math.cos(armAngle) * swingDir - CRANE_CFG.tossLift
   };
   const mag = Math.hypot(dir.x, dir.y) || 1;
-  dir.x /= mag;
-  dir.y /= mag;
-
-  const baseMag = randomRange(...CRANE_CFG.impulseXRange) * (0.9 + rand() * 0.4);
-  const force = {
-    x: dir.x * baseMag * mass,
-    y: dir.y * baseMag * -1 * mass // negative because upward bias already negative
-  };
-
-  Body.applyForce(body, body.position, force);
+  const speed = randomRange(...CRANE_CFG.tossSpeedRange);
+  Body.setVelocity(body, { x: dir.x / mag * speed, y: dir.y / mag * speed });
   Body.setAngularVelocity(body, randomRange(...CRANE_CFG.spinRange));
 
-  targetEntry.launched = true;
+  targetEntry.craneTossMillis = clockMillis;
   targetEntry = null;
 }
 
@@ -248,20 +280,40 @@ function updateConstraintAnchor() {
   constraint.pointA.y = hook.y;
 }
 
+/* The same direction as `angle`, the shorter way round from the current arm angle */
+function nearestTurn(angle) {
+  return angle + 2 * Math.PI * Math.round((armAngle - angle) / (2 * Math.PI));
+}
+
+/* Ease the arm toward the angle that reaches the target (null when it moved out of reach) */
+function trackTarget() {
+  const reach = reachAngle(targetEntry.body.position.x, blockTop(targetEntry));
+  if (reach == null) return null;
+  const angle = nearestTurn(reach);
+  armAngle += (angle - armAngle) * CRANE_CFG.targetAngleLerp;
+  return angle;
+}
+
 /**
  * Update crane state machine.
  */
 export function updateCrane(p, dt) {
-  if (isCollapsed()) return; // disabled after collapse
+  clockMillis = getSimMillis();
+  if (!enabled) return;
   stateTime += dt;
-  const now = performance.now();
 
   // Smooth cable length toward desired
   cableLength += (desiredCableLength - cableLength) * 0.12;
 
+  // A hooked or sought token that left the pile (split, fused, dragged) is dropped
+  if (targetEntry && !targetAlive()) {
+    dropWord();
+    if (state !== 'IDLE') setState('RETURNING');
+  }
+
   switch (state) {
     case 'IDLE': {
-      const candidate = findPickupCandidate(now);
+      const candidate = findPickupCandidate();
       if (candidate) {
         targetEntry = candidate;
         setState('SEEK_WORD');
@@ -269,91 +321,51 @@ export function updateCrane(p, dt) {
       break;
     }
     case 'SEEK_WORD': {
-      if (!targetEntry) {
-        setState('IDLE');
-        break;
-      }
-      // Horizontal alignment first, cable mostly retracted
-      const tx = targetEntry.body.position.x;
-      const dx = tx - pivot.x;
-      const norm = clamp(dx / (canvasW * 0.5), -1, 1);
-      const angleTarget = CRANE_CFG.baseSeekAngle + norm * CRANE_CFG.maxSeekAngleSpan;
-      armAngle += (angleTarget - armAngle) * (CRANE_CFG.targetAngleLerp * 0.8);
-      // Keep cable retracted while aligning
+      // Arm alignment first, cable mostly retracted
+      const angle = trackTarget();
       desiredCableLength += (CRANE_CFG.cableMin - desiredCableLength) * 0.15;
-
-      if (stateTime > 260) {
+      if (angle == null || stateTime > CRANE_CFG.seekTimeout) {
+        dropWord();
+        setState('RETURNING');
+      } else if (Math.abs(angle - armAngle) < 0.01) {
         setState('LOWERING');
       }
       break;
     }
     case 'LOWERING': {
-      if (!targetEntry) {
+      if (trackTarget() == null) {
+        dropWord();
         setState('RETURNING');
         break;
       }
-      const body = targetEntry.body;
-      const wordTop = body.position.y - (targetEntry.height || 30) * 0.5;
-      const armEndX = pivot.x + Math.cos(armAngle) * armLength;
+      const wordTop = blockTop(targetEntry);
       const armEndY = pivot.y + Math.sin(armAngle) * armLength;
-      const targetLen = clamp(wordTop - armEndY, CRANE_CFG.cableMin, CRANE_CFG.cableMax);
+      const targetLen = clamp(wordTop - armEndY, CRANE_CFG.cableMin, cableMax);
       const t = clamp(stateTime / CRANE_CFG.lowerDuration, 0, 1);
       const eased = easeInOutQuad(t);
       // Ease toward target length
       desiredCableLength += (targetLen - desiredCableLength) * (0.12 + 0.4 * eased);
 
       const hook = getHookWorldPos();
-      const dy = Math.abs(hook.y - wordTop);
-      if (dy < 6 || t >= 1) {
+      if (Math.abs(hook.y - wordTop) < 6 || t >= 1) {
         attachWord(targetEntry);
         setState('ATTACHED');
       }
       break;
     }
     case 'ATTACHED': {
-      if (!targetEntry) {
-        setState('RETURNING');
-        break;
-      }
-      // Maintain contact cable length while attached
-      const body = targetEntry.body;
-      const contactLen = clamp(
-        body.position.y - pivot.y - Math.sin(armAngle) * armLength - (targetEntry.height || 30) * 0.45,
-        CRANE_CFG.cableMin,
-        CRANE_CFG.cableMax
-      );
-      desiredCableLength += (contactLen - desiredCableLength) * 0.3;
-      // Short settling delay then start swinging
-      if (stateTime > 200) {
-        setState('SWINGING');
-      }
+      // Lift the token off the pile
+      const t = clamp(stateTime / CRANE_CFG.raiseDuration, 0, 1);
+      desiredCableLength += (liftCable - desiredCableLength) * (0.1 + 0.3 * easeOutQuad(t));
+      if (t >= 1) setState('SWINGING');
       break;
     }
     case 'SWINGING': {
-      if (!constraint) {
-        setState('RETURNING');
-        break;
-      }
       const t = clamp(stateTime / CRANE_CFG.swingDuration, 0, 1);
-      const eased = easeOutQuad(t);
-      armAngle = armAngleStart + (armAngleEnd - armAngleStart) * eased;
-
-      // Keep hook in light contact (slight tension) with attached body
-      if (attachedEntry) {
-        const body = attachedEntry.body;
-        const contactLen = clamp(
-          body.position.y - pivot.y - Math.sin(armAngle) * armLength - (attachedEntry.height || 30) * 0.42,
-          CRANE_CFG.cableMin,
-          CRANE_CFG.cableMax
-        );
-        desiredCableLength += (contactLen - desiredCableLength) * 0.25;
-      } else {
-        desiredCableLength = clamp(cableLength - 0.6, CRANE_CFG.cableMin, CRANE_CFG.cableMax);
-      }
-
-      if (!releasedThisSwing && t >= CRANE_CFG.releaseProgress) {
+      armAngle = armAngleStart + (armAngleEnd - armAngleStart) * easeInOutQuad(t);
+      if (t >= CRANE_CFG.releaseProgress) {
+        updateConstraintAnchor();
         releaseWord();
-        releasedThisSwing = true;
         setState('RETURNING');
       }
       break;
@@ -361,12 +373,9 @@ export function updateCrane(p, dt) {
     case 'RETURNING': {
       // Bring arm back to base angle & retract cable
       const t = clamp(stateTime / CRANE_CFG.returnDuration, 0, 1);
-      armAngle += (CRANE_CFG.armBaseAngle - armAngle) * 0.08;
-      desiredCableLength += (120 - desiredCableLength) * 0.12;
-
-      if (t >= 1) {
-        setState('IDLE');
-      }
+      armAngle += (nearestTurn(CRANE_CFG.armBaseAngle) - armAngle) * 0.08;
+      desiredCableLength += (CRANE_CFG.restCable - desiredCableLength) * 0.12;
+      if (t >= 1) setState('IDLE');
       break;
     }
     default:
@@ -380,15 +389,17 @@ export function updateCrane(p, dt) {
  * Draw crane.
  */
 export function drawCrane(p) {
+  if (!enabled) return;
   p.push();
   p.stroke(255);
   p.noFill();
   p.strokeWeight(CRANE_CFG.armStrokeWeight);
 
   // Base / mast
-  const baseH = canvasH * CRANE_CFG.baseHeightRatio;
-  p.line(pivot.x - 18, baseH, pivot.x + 18, baseH);
-  p.line(pivot.x, baseH, pivot.x, pivot.y);
+  const footY = pivot.y + CRANE_CFG.mastHeight;
+  const foot = CRANE_CFG.mastFootWidth / 2;
+  p.line(pivot.x - foot, footY, pivot.x + foot, footY);
+  p.line(pivot.x, footY, pivot.x, pivot.y);
 
   // Arm
   const armEndX = pivot.x + Math.cos(armAngle) * armLength;
@@ -404,8 +415,8 @@ export function drawCrane(p) {
   p.circle(hook.x, hook.y, 8);
 
   // Magnet aura when holding a word
-  if (attachedEntry && constraint) {
-    const t = (performance.now() * 0.004) % Math.PI;
+  if (constraint) {
+    const t = (clockMillis * 0.004) % Math.PI;
     const pulse = 10 + Math.sin(t) * 4;
     p.stroke(255, 180);
     p.circle(hook.x, hook.y, pulse);
@@ -424,5 +435,9 @@ export function resizeCrane(w, h) {
   canvasH = h;
   pivot.x = w * CRANE_CFG.pivotRatioX;
   pivot.y = h * CRANE_CFG.pivotRatioY;
-  armLength = w * CRANE_CFG.armLengthRatio;
+  armLength = Math.min(
+    w * CRANE_CFG.armLengthRatio,
+    (h - PHYS.FLOOR_THICKNESS - pivot.y) * CRANE_CFG.armDropRatio
+  );
+  cableMax = h * CRANE_CFG.cableMaxRatio;
 }
@@ -4,7 +4,11 @@
  * when the tower collapses (shatter).
  *
  * Public API:
- *  createFragmentsForEntry(entry, options?) -> Array<{ body }>
+ *  createFragmentsForEntry(entry, options?) -> Array<{ body, tone }>; options.maxPieces caps the
+ *                                              pieces of the whole entry (shatter budget)
+ *  restoreFragment(saved)                   -> { body, tone } rebuilt from a scene.js snapshot
+ *                                              ({ vertices (around the body position, angle 0),
+ *                                              x, y, angle, vx, vy, av, tone })
  *
  * A word entry comes from wordBody.js:
  * {
@@ -22,16 +26,19 @@
  *    letter's parent word body's current transform (angle + position).
  *  - Each triangle becomes a Matter body (Bodies.fromVertices) if available;
  *    since triangles are already convex we avoid the need for poly-decomp.
- *  - Apply a small outward (radial) impulse from the word's center plus
- *    per-fragment jitter to create an explosive dispersion.
+ *  - Give each fragment the word's velocity plus a small outward (radial) speed from the
+ *    word's center with per-fragment jitter, for an explosive dispersion. A speed rather than
+ *    a force, so tiny slivers do not fly off faster than big pieces.
  *
  * Performance considerations:
  *  - Limit fragments per letter (default 8).
+ *  - options.maxPieces (sketch.js: the entry's share of PHYS.MAX_FRAGMENTS) lowers the pieces
+ *    per letter; below one piece per letter, neighbouring letters break off together as one
+ *    rect each, so a late block in a big pile still breaks up.
  *  - Global cap enforced in physics.addFragments().
  */
 
-import { fragmentRectangle, clamp, rand, randomRange } from './utils.js';
-import { world } from './physics.js';
+import { aggregateBounds, fragmentRectangle, polygonArea, rand, randomRange } from './utils.js';
 
 const {
   Bodies,
@@ -41,12 +48,14 @@ const {
 
 export const FRAG_DEFAULTS = {
   piecesPerLetter: 8,
+  maxPieces: Infinity,    // pieces for the whole entry
   fragmentRestitution: 0.05,
   fragmentFriction: 0.8,
   fragmentDensity: 0.0006,
-  radialImpulse: 0.006,   // base impulse scale
-  radialJitter: 0.004,    // random additional impulse
-  angularJitter: 0.02
+  radialSpeed: 2.5,       // px / step outward from the word's center
+  radialJitter: 2.5,      // random additional outward speed
+  angularJitter: 0.2,
+  minArea: 4              // px²: slivers below this are dropped
 };
 
 /**
@@ -73,6 +82,8 @@ function transformPolygon(body, poly) {
  * Build a Matter triangle body from world polygon coords.
  */
 function buildTriangle(poly, opts) {
+  // Sliver triangles (collinear jitter points) would get ~zero mass
+  if (Math.abs(polygonArea(poly)) < opts.minArea) return null;
   // Compute centroid for body positioning
   let cx = 0, cy = 0;
   for (const p of poly) {
@@ -86,13 +97,26 @@ function buildTriangle(poly, opts) {
   const verts = poly.map(p => ({ x: p.x - cx, y: p.y - cy }));
 
   // Create a body using Bodies.fromVertices (triangles are convex).
-  const b = Bodies.fromVertices(cx, cy, [verts], {
+  return fragmentBody(cx, cy, verts, opts);
+}
+
+function fragmentBody(x, y, verts, opts) {
+  return Bodies.fromVertices(x, y, [verts], {
     restitution: opts.fragmentRestitution,
     friction: opts.fragmentFriction,
     density: opts.fragmentDensity
   }, true);
+}
 
-  return b;
+/**
+ * Rebuild a saved fragment (scene.js): same outline, pose and motion, default material.
+ */
+export function restoreFragment(saved) {
+  const body = fragmentBody(saved.x, saved.y, saved.vertices, FRAG_DEFAULTS);
+  Body.setAngle(body, saved.angle);
+  Body.setVelocity(body, { x: saved.vx, y: saved.vy });
+  Body.setAngularVelocity(body, saved.av);
+  return { body, tone: saved.tone };
 }
 
 /**
@@ -114,6 +138,25 @@ function fragmentsForLetter(wordBody, rect, cfg) {
   return bodies;
 }
 
+/*
+ * The rects to break, within cfg.maxPieces: every letter, or with fewer pieces than letters,
+ * runs of neighbouring letters (left to right) merged into one rect each.
+ */
+function pieceRects(letterRects, cfg) {
+  const n = letterRects.length;
+  if (cfg.maxPieces >= n) {
+    return { rects: letterRects, piecesPerLetter: Math.min(cfg.piecesPerLetter, Math.floor(cfg.maxPieces / n)) };
+  }
+  const groups = Math.max(1, Math.floor(cfg.maxPieces));
+  const sorted = letterRects.slice().sort((a, b) => a.x - b.x);
+  const rects = [];
+  for (let g = 0; g < groups; g++) {
+    const run = sorted.slice(Math.floor(g * n / groups), Math.floor((g + 1) * n / groups));
+    rects.push({ ...aggregateBounds(run), char: run[0].char });
+  }
+  return { rects, piecesPerLetter: 1 };
+}
+
 /**
  * Create fragment bodies for an entire word entry.
  */
@@ -125,18 +168,19 @@ export function createFragmentsForEntry(entry, overrides = {}) {
   // Word center for impulses
   const center = { x: wb.position.x, y: wb.position.y };
 
-  for (const rect of entry.letterRects) {
-    const frBodies = fragmentsForLetter(wb, rect, cfg);
+  const { rects, piecesPerLetter } = pieceRects(entry.letterRects, cfg);
+  for (const rect of rects) {
+    const frBodies = fragmentsForLetter(wb, rect, { ...cfg, piecesPerLetter });
     for (const fb of frBodies) {
-      // Radial impulse (scaled by distance + jitter)
+      // Radial burst (+ jitter) on top of the word's own motion
       const dir = Vector.normalise({
         x: fb.position.x - center.x + randomRange(-5, 5),
         y: fb.position.y - center.y + randomRange(-5, 5)
       });
-      const impulseMag = cfg.radialImpulse + rand() * cfg.radialJitter;
-      Body.applyForce(fb, fb.position, {
-        x: dir.x * impulseMag,
-        y: dir.y * impulseMag
+      const speed = cfg.radialSpeed + rand() * cfg.radialJitter;
+      Body.setVelocity(fb, {
+        x: wb.velocity.x + dir.x * speed,
+        y: wb.velocity.y + dir.y * speed
       });
       Body.setAngularVelocity(fb, (rand() - 0.5) * cfg.angularJitter);
       // Store a slight tone variance so shattered letters feel like pieces of the word block
@@ -0,0 +1,45 @@
+/**
+ * offline.js
+ * Registers the offline-first service worker (sw.js) and reports when everything the
+ * installation needs (shell, p5 / Matter.js, fonts, local tokenizer assets) is precached.
+ *
+ * Public API:
+ *  registerOfflineSupport()
+ *  isOfflineReady()
+ *
+ * Events (window): 'offline-ready' once the service worker confirms the precache.
+ * Skipped where service workers are unavailable (file://, old browsers) or with ?noSw=1.
+ */
+
+let offlineReady = false;
+
+function markReady() {
+  if (offlineReady) return;
+  offlineReady = true;
+  console.log('[offline] All assets precached – the page runs without network.');
+  window.dispatchEvent(new CustomEvent('offline-ready'));
+}
+
+export function isOfflineReady() {
+  return offlineReady;
+}
+
+export function registerOfflineSupport() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) ||
+    new URLSearchParams(window.location.search).has('noSw')) return;
+  navigator.serviceWorker.addEventListener('message', ({ data }) => {
+    if (!data) return;
+    if (data.type === 'offline-ready') markReady();
+    if (data.type === 'offline-status') {
+      if (data.ready) markReady();
+      else console.log('[offline] Not yet precached:', data.missing);
+    }
+  });
+  navigator.serviceWorker.register('./sw.js').catch(err => {
+    console.warn('[offline] Service worker registration failed.', err);
+  });
+  // An already-installed worker answers the status query straight away
+  navigator.serviceWorker.ready.then(reg => {
+    if (reg.active) reg.active.postMessage({ type: 'offline-status' });
+  });
+}
@@ -6,31 +6,52 @@
  *  - Create Matter.js engine/world and static boundaries (floor + side walls).
  *  - Manage collection of active sentence/token entries.
  *  - Provide heuristics to decide when the tower is "unstable" and trigger collapse.
- *  - On collapse: no disassembly — tokens remain intact; gravity is softened to calm motion.
- *  - First qualifying impact schedules a one-frame delayed token split (actual split processed in sketch.js to reduce bounce artifacts).
- *
- * Removed / Legacy (not used in current mode):
- *  - Crane pickup/toss system (crane.js retained for archive).
- *  - Fragment shatter pipeline (fragments.js) and letter-level breakup logic.
- *  - Constraint helpers.
+ *  - On collapse gravity is softened to calm motion. Soft collapse (default) keeps every block
+ *    intact; shatter collapse (ui.js "Collapse") breaks them into triangle fragments
+ *    (shatterAll + fragments.js), kept in their own collection capped at PHYS.MAX_FRAGMENTS.
+ *  - Impacts split blocks by energy: any block with a pending fracture level (entry.fractureNext:
+ *    sentence → words → tokens → bytes) reports its floor / stack impacts with their energy
+ *    (impactOf); sketch.js picks the level from the PHYS.IMPACT_* thresholds and performs a
+ *    one-frame delayed split (reduces bounce artifacts), scattering pieces by impactStrength.
+ *  - Optional comparison lanes: a center divider wall plus one floor per lane (setLaneMode).
+ *  - Wind (pointer.js, held arrow keys / two-finger drag): a steady sideways push on every block
+ *    and fragment, applied each step (setWind, PHYS.WIND_ACCEL). Side walls reach
+ *    PHYS.WALL_HEADROOM above the canvas so thrown blocks cannot sail over them.
+ *  - Fixed timestep: stepPhysics advances exactly one PHYS.FIXED_STEP_MS step and counts it
+ *    (getSimFrame / getSimMillis: the simulation clock, restarted by initPhysics). sketch.js
+ *    runs as many steps per frame as real time asks for (at most PHYS.MAX_STEPS_PER_FRAME).
+ *  - Every entry gets a serial number (entry.serial, in order of addWordEntry since the last
+ *    init) so replays (replay.js) can name blocks.
+ *  - Temporary constraints (crane.js hook): registered into / released from the world, dropped
+ *    with their body when it is removed, and forgotten on reset.
  *
  * Exposed API:
  *  initPhysics(w,h)
  *  resetPhysics(w,h)
- *  stepPhysics(dtMillis)
+ *  stepPhysics()              -> one fixed step (PHYS.FIXED_STEP_MS)
+ *  getSimFrame() / getSimMillis() -> steps / simulated ms since init
  *  addWordEntry(entry)
  *  getWordBodies()
  *  checkAndFlagCollapse()
  *  handleResize(w,h)
  *  isCollapsed()
  *  markCollapsedNoShatter()  -> softens gravity on collapse (tokens retained)
+ *  shatterAll(fragmentGenerator) -> replaces every (non-static) block by its fragments
+ *  addFragments(fragments)   -> adds [{ body, tone }] fragments (scene.js restore), capped
+ *  getFragmentBodies()       -> [{ body, tone }] live fragments, oldest first
+ *  setLaneMode(enabled)      -> toggle twin comparison lanes (divider + per-lane floors)
+ *  getLaneBounds(index)      -> { x0, x1, center } of a comparison lane
+ *  impactStrength(energy)    -> 0..1 scatter strength of a split caused by an impact (PHYS.IMPACT_*)
+ *  setWind(x)                -> horizontal wind, -1..1 (left / right), applied in stepPhysics
+ *  registerConstraint(c) / releaseConstraint(c) -> add / remove a temporary Matter constraint
+ *  setSentenceImpactCallback(cb) / setTokenContactCallback(cb) -> collision hooks used by sketch.js
  *
  * Data Structures:
  *  wordEntries: Array<{
- *    word, body (Matter.Body), letterRects:[{char,x,y,w,h}], lettersCount, width, height, _split?
+ *    word, body (Matter.Body), letterRects:[{char,x,y,w,h}], lettersCount, width, height
  *  }>
  *
- * Determinism: All randomness uses utils.rand() (seeded in sketch.js).
+ * Determinism: All randomness uses utils.rand() (seeded in sketch.js); time is the step count.
  */
 
 import { computeCOM, stackHeight, clamp, rand } from './utils.js';
@@ -42,6 +63,8 @@ export const PHYS = {
   GRAVITY_Y: 0.95,
   FLOOR_THICKNESS: 60,
   SIDE_WALL_THICKNESS: 80,
+  MAX_FRAGMENTS: 1500,            // shatter collapse: oldest fragments are dropped beyond this
+  WALL_HEADROOM: 1500,            // side walls reach this far above the canvas (thrown blocks stay inside)
   POOL_DAMP_Y: 0.35,
   POOL_REGION: 120,
   MAX_WORDS: 25,
@@ -55,7 +78,19 @@ export const PHYS = {
   GROUND_Y_MARGIN: 60,            // Margin above floor to treat as near ground
   GROUND_STABLE_LIN_VEL: 0.5,     // Max linear velocity magnitude to count as grounded
   GROUND_STABLE_ANG_VEL: 0.4,     // Max angular velocity to count as grounded
-  EARLY_COUNT_COLLAPSE: 9999      // Disabled (very high threshold so count rule does not trigger)
+  EARLY_COUNT_COLLAPSE: 9999,     // Disabled (very high threshold so count rule does not trigger)
+  LANE_DIVIDER_THICKNESS: 14,     // Center wall between comparison lanes
+  // Impact energy: ½ · reduced mass · (relative speed along the collision normal)², in Matter
+  // mass units × (px / step)² — a letter block weighs ~2, so a 20-letter sentence ~40
+  IMPACT_CRACK_ENERGY: 150,       // below: the block stays whole; above: it splits one level
+  IMPACT_SHATTER_ENERGY: 600,     // a sentence skips the word level and splits straight into tokens
+  IMPACT_BYTE_ENERGY: 500,        // a token breaks into its byte / character pieces
+  IMPACT_FULL_ENERGY: 2500,       // energy at which the split's scatter reaches full strength
+  IMPACT_CURVE: 1.6,              // scatter strength = t^curve (t: crack -> full energy, 0..1)
+  IMPACT_SCATTER_SPEED: 7,        // px / step pushed outward onto the pieces at full strength
+  WIND_ACCEL: 1.2,                // full wind, as a fraction of gravity (> floor friction: blocks slide)
+  FIXED_STEP_MS: 1000 / 60,       // every Engine.update advances exactly this much
+  MAX_STEPS_PER_FRAME: 5          // a slow frame catches up at most this many steps (then runs slow)
 };
 
 export let engine = null;
@@ -63,16 +98,23 @@ export let world = null;
 export let floorBody = null;
 export let leftWall = null;
 export let rightWall = null;
+export let dividerWall = null;   // comparison mode only
+export let laneFloors = [];      // comparison mode only: [left, right] (replace floorBody in the world)
 
 // Collections
 export const wordEntries = []; // { word, body, letterRects, lettersCount }
-/* Legacy removals: fragmentEntries & activeConstraints no longer needed */
+export const fragmentEntries = []; // { body, tone } (shatter collapse)
+export const activeConstraints = []; // temporary constraints (crane hook)
 
 // Internal counters / state
 let wakeFrameCounter = 0;
 let canvasWidth = 0;
 let canvasHeight = 0;
 let collapsed = false;
+let laneMode = false;
+let wind = 0;
+let simFrame = 0;
+let nextSerial = 0;
 
 export function isCollapsed() {
   return collapsed;
@@ -90,7 +132,11 @@ export function initPhysics(w, h) {
 
   // Clear arrays (safety if re-init)
   wordEntries.length = 0;
+  fragmentEntries.length = 0;
+  activeConstraints.length = 0;
   collapsed = false;
+  simFrame = 0;
+  nextSerial = 0;
 
   // Floor + side walls
   floorBody = Bodies.rectangle(
@@ -108,27 +154,37 @@ export function initPhysics(w, h) {
 
   leftWall = Bodies.rectangle(
     -PHYS.SIDE_WALL_THICKNESS / 2,
-    h / 2,
+    (h - PHYS.WALL_HEADROOM) / 2,
     PHYS.SIDE_WALL_THICKNESS,
-    h,
+    h + PHYS.WALL_HEADROOM,
     { isStatic: true, label: 'wall-left' }
   );
 
   rightWall = Bodies.rectangle(
     w + PHYS.SIDE_WALL_THICKNESS / 2,
-    h / 2,
+    (h - PHYS.WALL_HEADROOM) / 2,
     PHYS.SIDE_WALL_THICKNESS,
-    h,
+    h + PHYS.WALL_HEADROOM,
     { isStatic: true, label: 'wall-right' }
   );
 
   World.add(world, [floorBody, leftWall, rightWall]);
+  if (laneMode) buildLanes(w, h);
 
-  // Collision listener: detect first qualifying impact and schedule deferred (one-frame) token split
+  // Collision listener: report qualifying impacts (with their energy) of splittable blocks;
+  // sketch.js decides how far they break and schedules the deferred (one-frame) split
   Events.on(engine, 'collisionStart', evt => {
-    if (!sentenceImpactCallback) return;
     for (const pair of evt.pairs) {
+      // Sensors (tokens slotted on the reassembly line) touch without colliding
+      if (pair.isSensor) continue;
       const bodies = [pair.bodyA, pair.bodyB];
+      let impact = null;
+      if (tokenContactCallback) {
+        const ea = pair.bodyA.entryRef;
+        const eb = pair.bodyB.entryRef;
+        if (ea && eb && ea !== eb && ea.isToken && eb.isToken) tokenContactCallback(ea, eb);
+      }
+      if (!sentenceImpactCallback) continue;
       for (let i = 0; i < 2; i++) {
         const a = bodies[i];
         const b = bodies[1 - i];
@@ -138,18 +194,19 @@ export function initPhysics(w, h) {
           (a.parent && a.parent.entryRef) ||
           findWordEntryByBody(a) ||
           (a.parent && findWordEntryByBody(a.parent));
-        if (entryA && entryA.isSentenceParent && !entryA.midSplitDone) {
+        if (entryA && entryA.fractureNext && !entryA.midSplitDone) {
           // Split ONLY when:
           //  - Impact with floor (true "hitting bottom")
-          //  - Impact with another existing word/token entry (stack interaction)
+          //  - Impact with another existing word/token entry or shatter fragment (stack interaction)
           // NOT walls (left/right) to prevent premature mid-air splits when brushing boundaries.
           const otherEntry =
             b.entryRef ||
             (b.parent && b.parent.entryRef);
-          const isOtherWord = otherEntry && otherEntry !== entryA;
-          const hitFloor = b === floorBody;
+          const isOtherWord = (otherEntry && otherEntry !== entryA) || b.isFragment;
+          const hitFloor = isFloorBody(b);
           if (hitFloor || isOtherWord) {
-            sentenceImpactCallback(entryA);
+            impact = impact || impactOf(pair.collision);
+            sentenceImpactCallback(entryA, { other: otherEntry || null, ...impact });
           }
         }
       }
@@ -157,6 +214,31 @@ export function initPhysics(w, h) {
   });
 }
 
+/**
+ * Impact of a collision: relative speed of the two (parent) bodies along the collision normal
+ * and the kinetic energy that closing speed carries, ½ · μ · v², with μ the reduced mass
+ * (a static body counts as infinitely heavy, so μ is the moving body's mass).
+ */
+function impactOf(collision) {
+  const A = collision.parentA;
+  const B = collision.parentB;
+  const n = collision.normal;
+  const speed = Math.abs((A.velocity.x - B.velocity.x) * n.x + (A.velocity.y - B.velocity.y) * n.y);
+  const mA = A.isStatic ? Infinity : A.mass;
+  const mB = B.isStatic ? Infinity : B.mass;
+  const mu = mA === Infinity ? mB : mB === Infinity ? mA : (mA * mB) / (mA + mB);
+  return { speed, energy: 0.5 * mu * speed * speed };
+}
+
+/**
+ * Scatter strength (0..1) of a split caused by an impact of `energy`: zero at the crack
+ * threshold, rising along PHYS.IMPACT_CURVE to 1 at PHYS.IMPACT_FULL_ENERGY.
+ */
+export function impactStrength(energy) {
+  const t = (energy - PHYS.IMPACT_CRACK_ENERGY) / (PHYS.IMPACT_FULL_ENERGY - PHYS.IMPACT_CRACK_ENERGY);
+  return Math.pow(clamp(t, 0, 1), PHYS.IMPACT_CURVE);
+}
+
 /**
  * Resize handling: rebuild static bounds; attempt to preserve dynamic bodies.
  * For simplicity, we rebuild walls & floor; dynamic bodies remain.
@@ -178,20 +260,21 @@ export function handleResize(newW, newH) {
   );
   leftWall = Bodies.rectangle(
     -PHYS.SIDE_WALL_THICKNESS / 2,
-    newH / 2,
+    (newH - PHYS.WALL_HEADROOM) / 2,
     PHYS.SIDE_WALL_THICKNESS,
-    newH,
+    newH + PHYS.WALL_HEADROOM,
     { isStatic: true, label: 'wall-left' }
   );
   rightWall = Bodies.rectangle(
     newW + PHYS.SIDE_WALL_THICKNESS / 2,
-    newH / 2,
+    (newH - PHYS.WALL_HEADROOM) / 2,
     PHYS.SIDE_WALL_THICKNESS,
-    newH,
+    newH + PHYS.WALL_HEADROOM,
     { isStatic: true, label: 'wall-right' }
   );
 
   World.add(world, [floorBody, leftWall, rightWall]);
+  if (laneMode) buildLanes(newW, newH);
 
   // Optional: could reposition existing bodies if now outside bounds; keep simple
   for (const we of wordEntries) {
@@ -202,12 +285,77 @@ export function handleResize(newW, newH) {
   }
 }
 
+/**
+ * Comparison lanes: divider wall down the middle, and the single floor replaced by one
+ * floor per lane (so each lane can be reasoned about on its own).
+ */
+function buildLanes(w, h) {
+  clearLanes();
+  const t = PHYS.LANE_DIVIDER_THICKNESS;
+  const laneW = w / 2;
+  dividerWall = Bodies.rectangle(w / 2, h / 2, t, h, {
+    isStatic: true,
+    friction: 0.2,
+    label: 'lane-divider'
+  });
+  laneFloors = [0, 1].map(i => Bodies.rectangle(
+    laneW * i + laneW / 2,
+    h - PHYS.FLOOR_THICKNESS / 2,
+    laneW,
+    PHYS.FLOOR_THICKNESS,
+    { isStatic: true, friction: 1, restitution: 0, label: 'floor-lane-' + i }
+  ));
+  World.remove(world, floorBody);
+  World.add(world, [dividerWall, ...laneFloors]);
+}
+
+function clearLanes() {
+  if (dividerWall) World.remove(world, dividerWall);
+  for (const f of laneFloors) World.remove(world, f);
+  dividerWall = null;
+  laneFloors = [];
+}
+
+/**
+ * Toggle twin comparison lanes (persists across resets / resizes until turned off).
+ */
+export function setLaneMode(enabled) {
+  laneMode = !!enabled;
+  if (!world) return;
+  if (laneMode) {
+    buildLanes(canvasWidth, canvasHeight);
+  } else {
+    clearLanes();
+    World.add(world, floorBody);
+  }
+}
+
+export function isLaneMode() {
+  return laneMode;
+}
+
+/**
+ * Horizontal extent of a comparison lane (0 = left, 1 = right), excluding the divider.
+ */
+export function getLaneBounds(index) {
+  const half = PHYS.LANE_DIVIDER_THICKNESS / 2;
+  const x0 = index === 0 ? 0 : canvasWidth / 2 + half;
+  const x1 = index === 0 ? canvasWidth / 2 - half : canvasWidth;
+  return { x0, x1, center: (x0 + x1) / 2 };
+}
+
+/* Floor check covering both the single floor and per-lane floors */
+function isFloorBody(body) {
+  return body === floorBody || laneFloors.includes(body);
+}
+
 /**
  * Create and add a word body (via wordBody.js helper).
  * wordMaker should be imported and passed by caller to avoid circular import.
  */
 export function addWordEntry(entry) {
   // entry: { word, body, letterRects, lettersCount }
+  entry.serial = nextSerial++;
   wordEntries.push(entry);
   World.add(world, entry.body);
   // Attach reverse references for fast collision resolution (handles compound parts)
@@ -233,11 +381,24 @@ export function removeAllWords() {
 
 
 
-/* registerConstraint(c) legacy no-op retained for compatibility */
-export function registerConstraint(c) { /* noop (crane removed) */ }
+/**
+ * Add a temporary constraint to the world (crane hook).
+ */
+export function registerConstraint(c) {
+  activeConstraints.push(c);
+  World.add(world, c);
+}
 
-/* releaseConstraint(c) legacy no-op retained for compatibility */
-export function releaseConstraint(c) { /* noop */ }
+/**
+ * Remove a registered constraint. Ignores constraints already gone (released with their
+ * body, or from a world replaced by a reset).
+ */
+export function releaseConstraint(c) {
+  const idx = activeConstraints.indexOf(c);
+  if (idx === -1) return;
+  activeConstraints.splice(idx, 1);
+  World.remove(world, c);
+}
 
 /**
  * Apply "pool" damping to word bodies near floor region.
@@ -350,24 +511,37 @@ function findWordEntryByBody(body) {
 }
 
 /**
- * Split a compound word entry into individual letter bodies (rectangles),
- * preserving kinematics at impact to convey "breaking into letters".
+ * Shatter collapse: every block (except static ones, e.g. tokens slotted on the reassembly line)
+ * is replaced by the fragments fragmentGenerator(entry) builds for it (fragments.js
+ * createFragmentsForEntry); a block the generator returns null for stays whole. Returns the
+ * number of fragments added.
  */
-function splitWordEntry() {
-  /* deprecated: letter-level breakup removed */
+export function shatterAll(fragmentGenerator) {
+  let added = 0;
+  for (const entry of wordEntries.slice()) {
+    if (entry.body.isStatic) continue;
+    const fragments = fragmentGenerator(entry);
+    if (!fragments) continue;
+    removeWordEntry(entry);
+    addFragments(fragments);
+    added += fragments.length;
+  }
+  return added;
 }
 
-/* Impact-based delayed splitting removed (immediate mid-air split now). */
-
-/**
- * Exported: split all existing (unsplit) words immediately (used on collapse).
- */
-export function splitAllWordsNow() {
-  /* deprecated no-op (letter breakup removed) */
+/* Fragments join the world; beyond PHYS.MAX_FRAGMENTS the oldest ones are removed */
+export function addFragments(fragments) {
+  for (const f of fragments) {
+    f.body.isFragment = true; // counts as "the stack" for impact splits
+    fragmentEntries.push(f);
+    World.add(world, f.body);
+  }
+  const excess = fragmentEntries.length - PHYS.MAX_FRAGMENTS;
+  if (excess > 0) {
+    for (const f of fragmentEntries.splice(0, excess)) World.remove(world, f.body);
+  }
 }
 
-/* Legacy shatterAll(fragmentGenerator) removed (fragment pipeline deprecated). */
-
 /**
  * Mark collapse.
  * Softens gravity; tokens remain intact (no further breakup).
@@ -382,15 +556,40 @@ export function markCollapsedNoShatter() {
 }
 
 /**
- * Advance physics.
- * dtMillis: time step in ms (p5's deltaTime).
+ * Advance physics by one fixed step (PHYS.FIXED_STEP_MS): the same input always gives the
+ * same pile, whatever the frame rate.
  */
-export function stepPhysics(dtMillis) {
+export function stepPhysics() {
   if (!engine) return;
-  // Limit dt to avoid spirals
-  const clamped = Math.min(dtMillis, 50);
-  Engine.update(engine, clamped);
+  if (wind) applyWind();
+  Engine.update(engine, PHYS.FIXED_STEP_MS);
   if (!collapsed) applyPoolDamping();
+  simFrame++;
+}
+
+export function getSimFrame() {
+  return simFrame;
+}
+
+export function getSimMillis() {
+  return simFrame * PHYS.FIXED_STEP_MS;
+}
+
+/*
+ * Wind: the same sideways acceleration for every block and shatter fragment (force ∝ mass; the
+ * fragments share one density, so a fragment's push scales with its area); forces clear after
+ * each update
+ */
+function applyWind() {
+  const accel = wind * PHYS.WIND_ACCEL * engine.gravity.y * engine.gravity.scale;
+  for (const { body: b } of [...wordEntries, ...fragmentEntries]) {
+    if (b.isStatic) continue;
+    Body.applyForce(b, b.position, { x: accel * b.mass, y: 0 });
+  }
+}
+
+export function setWind(x) {
+  wind = clamp(x, -1, 1);
 }
 
 /**
@@ -416,12 +615,24 @@ export function removeWordEntry(entry) {
     World.remove(world, entry.body);
     wordEntries.splice(idx, 1);
   }
+  // A constraint holding the body would keep simulating it
+  for (const c of activeConstraints.slice()) {
+    if (c.bodyA === entry.body || c.bodyB === entry.body) releaseConstraint(c);
+  }
 }
 
-/* getFragmentBodies() removed (no fragments in current design). */
+export function getFragmentBodies() {
+  return fragmentEntries;
+}
 
-// Impact token split callback registration
+// Impact split callback registration: cb(entry, { other, speed, energy }) for blocks with a pending fracture level
 let sentenceImpactCallback = null;
 export function setSentenceImpactCallback(cb) {
   sentenceImpactCallback = cb;
 }
+
+// Token contact callback registration: cb(entryA, entryB) when two token blocks start touching
+let tokenContactCallback = null;
+export function setTokenContactCallback(cb) {
+  tokenContactCallback = cb;
+}
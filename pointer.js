@@ -0,0 +1,350 @@
+/**
+ * pointer.js
+ * Physical play with the pile: grab, throw, poke and blow (mouse, touch and keyboard).
+ *
+ *  - Grab: a Matter MouseConstraint drags any block (Matter.Mouse reads mouse and one-finger
+ *    touch on the canvas).
+ *  - Throw: a released block takes the pointer's velocity over the last POINTER.flickWindowMs
+ *    (capped at POINTER.maxThrowSpeed), so a flick sends it flying.
+ *  - Poke: double-click / double-tap pushes every block within POINTER.pokeRadius away from
+ *    the point, harder near the centre, with a ripple.
+ *  - Blow: ← / → held while not typing (the sentence input empty or unfocused), or a sideways
+ *    two-finger drag, set a wind that physics.js applies in stepPhysics (setWind). It ramps up
+ *    and down over POINTER.windRampMs.
+ *  - Drag listeners (reassembly.js) are told when a drag starts / ends.
+ *
+ * Nothing here touches the pile between steps. updatePointer hands what the page saw to
+ * sketch.js as inputs, which logs them (replay.js) and applies them inside the next simulation
+ * step (applyPointerInput):
+ *  - 'pointer' { x, y, button } – pointer position and button (Matter.Mouse: 0 = pressed,
+ *                                 -1 = up), when the button changes or the pointer moves with
+ *                                 it pressed
+ *  - 'wind'    { dir }          – held wind direction (-1, 0, 1), when it changes
+ *  - 'poke'    { x, y }         – a double-click / double-tap
+ * The MouseConstraint drags with a simulation-side mouse those inputs move, throw samples and
+ * the wind ramp advance per step (stepPointer) on the step clock. While a replay runs the page
+ * hands nothing over: the log drives the pointer.
+ *
+ * Exported API:
+ *  initPointer(canvasEl, onInput)  -> onInput({ type, … }) receives the inputs above
+ *  updatePointer(p)                -> per frame: hands over pointer / wind changes
+ *  applyPointerInput(input)        -> a 'pointer' / 'wind' / 'poke' input, inside a step
+ *  stepPointer()                   -> per step, before the physics step: attach, throw samples, wind
+ *  resetPointer()                  -> release the drag, calm the wind (sketch.js fullReset)
+ *  drawPointer(p)                  -> poke ripples
+ *  onDragStart(cb) / onDragEnd(cb) -> cb(body)
+ *  getDraggedBody()
+ */
+
+import { engine, world, getWordBodies, getSimMillis, setWind, PHYS } from './physics.js';
+import { isReplaying } from './replay.js';
+import { rand, clamp } from './utils.js';
+
+const { Mouse, MouseConstraint, World, Events, Body } = Matter;
+
+export const POINTER = {
+  dragStiffness: 0.2,
+  flickWindowMs: 90,     // pointer motion this recent sets the throw velocity
+  flickMinSpeed: 2,      // px / step: slower releases just let go
+  maxThrowSpeed: 32,     // px / step
+  pokeRadius: 170,
+  pokeSpeed: 11,         // px / step added at the centre of a poke (fading to 0 at the radius)
+  pokeLift: 0.35,        // pokes tilt upward by this much
+  pokeSpin: 0.15,        // max random spin added by a poke
+  doubleTapMs: 320,
+  doubleTapPx: 32,
+  windRampMs: 500,       // wind builds up / dies down over this long
+  touchWindPx: 24,       // sideways two-finger drag distance that starts a wind
+  rippleMs: 450
+};
+
+// Held key -> wind direction
+const WIND_KEYS = { ArrowLeft: -1, ArrowRight: 1 };
+
+let canvasEl = null;
+let inputHandler = null;
+let mouse = null;              // Matter.Mouse on the canvas: what the page sees
+let sentPointer = null;        // { x, y, button } last handed over as an input
+let sentWind = null;           // wind direction last handed over
+let clockMillis = 0;           // p.millis() of the current frame (ripples)
+
+// Simulation side: moved by applied inputs only
+const simMouse = {
+  position: { x: 0, y: 0 },
+  button: -1,
+  sourceEvents: { mousemove: false, mousedown: false, mouseup: false }
+};
+let mouseConstraint = null;
+let constraintEngine = null;   // physics resets replace the engine: re-attach when it changes
+const dragStartListeners = [];
+const dragEndListeners = [];
+let samples = [];              // [{ t, x, y }] sim mouse positions while dragging (step clock)
+let windDir = 0;               // held direction the wind ramps toward
+let windNow = 0;               // ramped wind handed to physics.js
+
+const heldKeys = new Set();
+let touchWind = null;          // { startX, dir } during a two-finger drag
+let lastTap = null;            // { t, x, y } for double-tap detection
+const ripples = [];            // [{ x, y, millis }]
+
+export function initPointer(el, onInput) {
+  canvasEl = el;
+  inputHandler = onInput;
+  if (!canvasEl) return;
+  mouse = Mouse.create(canvasEl);
+  // Matter swallows wheel events on its element; the page has no use for that
+  canvasEl.removeEventListener('wheel', mouse.mousewheel);
+  // Releasing over the UI (or outside the window) must still end the drag
+  window.addEventListener('mouseup', mouse.mouseup);
+
+  canvasEl.addEventListener('dblclick', () => requestPoke(mouse.position.x, mouse.position.y));
+  canvasEl.addEventListener('touchstart', handleTouchStart, { passive: true });
+  canvasEl.addEventListener('touchmove', handleTouchMove, { passive: true });
+  canvasEl.addEventListener('touchend', handleTouchEnd, { passive: true });
+
+  window.addEventListener('keydown', e => {
+    if (!WIND_KEYS[e.key] || isTyping(e.target)) return;
+    e.preventDefault();
+    heldKeys.add(e.key);
+  });
+  window.addEventListener('keyup', e => heldKeys.delete(e.key));
+  window.addEventListener('blur', () => heldKeys.clear());
+}
+
+export function onDragStart(cb) {
+  dragStartListeners.push(cb);
+}
+
+export function onDragEnd(cb) {
+  dragEndListeners.push(cb);
+}
+
+export function getDraggedBody() {
+  return mouseConstraint ? mouseConstraint.body : null;
+}
+
+/* Arrow keys belong to the field being typed into (caret, slider, dropdown) */
+function isTyping(target) {
+  if (!target || !target.tagName) return false;
+  if (target.tagName === 'SELECT' || target.tagName === 'TEXTAREA') return true;
+  if (target.tagName !== 'INPUT') return false;
+  return target.type === 'range' || (target.type !== 'checkbox' && target.value !== '');
+}
+
+/* ---------------------------------------------------------------------------
+ * Grab + throw
+ * ------------------------------------------------------------------------- */
+
+function attach() {
+  mouseConstraint = MouseConstraint.create(engine, {
+    mouse: simMouse,
+    constraint: { stiffness: POINTER.dragStiffness, render: { visible: false } }
+  });
+  constraintEngine = engine;
+  World.add(world, mouseConstraint);
+  Events.on(mouseConstraint, 'startdrag', evt => {
+    samples = [];
+    for (const cb of dragStartListeners) cb(evt.body);
+  });
+  Events.on(mouseConstraint, 'enddrag', evt => {
+    for (const cb of dragEndListeners) cb(evt.body);
+    if (!evt.body.isStatic) throwBody(evt.body);
+    samples = [];
+  });
+}
+
+/* Pointer velocity over the flick window, in px / step (Matter's velocity unit) */
+function flickVelocity() {
+  const now = getSimMillis();
+  const recent = samples.filter(s => now - s.t <= POINTER.flickWindowMs);
+  if (recent.length < 2) return null;
+  const a = recent[0];
+  const b = recent[recent.length - 1];
+  const dt = b.t - a.t;
+  if (dt <= 0) return null;
+  const step = PHYS.FIXED_STEP_MS;
+  return { x: (b.x - a.x) / dt * step, y: (b.y - a.y) / dt * step };
+}
+
+function throwBody(body) {
+  const v = flickVelocity();
+  if (!v) return;
+  const speed = Math.hypot(v.x, v.y);
+  if (speed < POINTER.flickMinSpeed) return;
+  const k = Math.min(1, POINTER.maxThrowSpeed / speed);
+  Body.setVelocity(body, { x: v.x * k, y: v.y * k });
+}
+
+/* ---------------------------------------------------------------------------
+ * Poke
+ * ------------------------------------------------------------------------- */
+
+function requestPoke(x, y) {
+  if (inputHandler && !isReplaying()) inputHandler({ type: 'poke', x, y });
+}
+
+/* Runs inside a step: the random spin draws on the seeded RNG, in step order */
+function poke(x, y) {
+  ripples.push({ x, y, millis: clockMillis });
+  for (const entry of getWordBodies()) {
+    const b = entry.body;
+    if (b.isStatic) continue;
+    const dx = b.position.x - x;
+    const dy = b.position.y - y;
+    const d = Math.hypot(dx, dy);
+    if (d >= POINTER.pokeRadius) continue;
+    const falloff = 1 - d / POINTER.pokeRadius;
+    // Straight up when poked dead centre
+    const nx = d > 1 ? dx / d : 0;
+    const ny = (d > 1 ? dy / d : -1) - POINTER.pokeLift;
+    const len = Math.hypot(nx, ny) || 1;
+    const dv = POINTER.pokeSpeed * falloff;
+    Body.setVelocity(b, { x: b.velocity.x + nx / len * dv, y: b.velocity.y + ny / len * dv });
+    Body.setAngularVelocity(b, b.angularVelocity + (rand() - 0.5) * 2 * POINTER.pokeSpin * falloff);
+  }
+}
+
+/* ---------------------------------------------------------------------------
+ * Touch: double-tap pokes, two fingers blow (one finger drags via Matter.Mouse)
+ * ------------------------------------------------------------------------- */
+
+function touchPoint(t) {
+  const r = canvasEl.getBoundingClientRect();
+  return { x: t.clientX - r.left, y: t.clientY - r.top };
+}
+
+function midpoint(touches) {
+  const a = touchPoint(touches[0]);
+  const b = touchPoint(touches[1]);
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function handleTouchStart(e) {
+  if (e.touches.length >= 2) {
+    const m = midpoint(e.touches);
+    touchWind = { startX: m.x, dir: 0 };
+    mouse.button = -1; // two fingers blow, they do not drag
+    lastTap = null;
+    return;
+  }
+  const at = touchPoint(e.changedTouches[0]);
+  if (lastTap && e.timeStamp - lastTap.t < POINTER.doubleTapMs &&
+      Math.hypot(at.x - lastTap.x, at.y - lastTap.y) < POINTER.doubleTapPx) {
+    requestPoke(at.x, at.y);
+    lastTap = null;
+    return;
+  }
+  lastTap = { t: e.timeStamp, ...at };
+}
+
+function handleTouchMove(e) {
+  if (!touchWind || e.touches.length < 2) return;
+  mouse.button = -1;
+  const dx = midpoint(e.touches).x - touchWind.startX;
+  if (Math.abs(dx) >= POINTER.touchWindPx) touchWind.dir = Math.sign(dx);
+}
+
+function handleTouchEnd(e) {
+  if (e.touches.length < 2) touchWind = null;
+}
+
+/* ---------------------------------------------------------------------------
+ * Frame update (page side): hand the pointer and wind over as inputs
+ * ------------------------------------------------------------------------- */
+
+function windTarget() {
+  if (touchWind && touchWind.dir) return touchWind.dir;
+  let w = 0;
+  for (const key of heldKeys) w += WIND_KEYS[key];
+  return w;
+}
+
+export function updatePointer(p) {
+  clockMillis = p.millis();
+  if (!mouse) return;
+  mouse.pixelRatio = p.pixelDensity() || 1;
+  if (!inputHandler || isReplaying()) {
+    // Hand the page's state over again once the replay is done
+    sentPointer = null;
+    sentWind = null;
+    return;
+  }
+
+  // Moves only matter while pressed (a drag); a press or release carries its position
+  const { x, y } = mouse.position;
+  const button = mouse.button;
+  if (!sentPointer || button !== sentPointer.button ||
+      (button === 0 && (x !== sentPointer.x || y !== sentPointer.y))) {
+    sentPointer = { x, y, button };
+    inputHandler({ type: 'pointer', x, y, button });
+  }
+
+  const dir = windTarget();
+  if (dir !== sentWind) {
+    sentWind = dir;
+    inputHandler({ type: 'wind', dir });
+  }
+}
+
+/* ---------------------------------------------------------------------------
+ * Simulation side: inputs and the per-step update
+ * ------------------------------------------------------------------------- */
+
+export function applyPointerInput(input) {
+  if (input.type === 'pointer') {
+    simMouse.position.x = input.x;
+    simMouse.position.y = input.y;
+    simMouse.button = input.button;
+  } else if (input.type === 'wind') {
+    windDir = clamp(input.dir, -1, 1);
+  } else if (input.type === 'poke') {
+    poke(input.x, input.y);
+  }
+}
+
+export function stepPointer() {
+  if (!engine) return;
+  if (constraintEngine !== engine) attach();
+
+  if (mouseConstraint.body) {
+    samples.push({ t: getSimMillis(), x: simMouse.position.x, y: simMouse.position.y });
+    if (samples.length > 12) samples.shift();
+  }
+
+  // Wind eases toward the held direction
+  const step = POINTER.windRampMs > 0 ? PHYS.FIXED_STEP_MS / POINTER.windRampMs : 1;
+  windNow += clamp(windDir - windNow, -step, step);
+  setWind(windNow);
+}
+
+export function resetPointer() {
+  simMouse.button = -1;
+  samples = [];
+  windDir = 0;
+  windNow = 0;
+  setWind(0);
+  sentPointer = null;
+  sentWind = null;
+}
+
+/* ---------------------------------------------------------------------------
+ * Drawing
+ * ------------------------------------------------------------------------- */
+
+export function drawPointer(p) {
+  if (!ripples.length) return;
+  p.push();
+  p.noFill();
+  for (let i = ripples.length - 1; i >= 0; i--) {
+    const r = ripples[i];
+    const t = (clockMillis - r.millis) / POINTER.rippleMs;
+    if (t >= 1) {
+      ripples.splice(i, 1);
+      continue;
+    }
+    p.stroke(255, 200 * (1 - t));
+    p.strokeWeight(2);
+    p.circle(r.x, r.y, POINTER.pokeRadius * 2 * (0.2 + 0.8 * t));
+  }
+  p.pop();
+}
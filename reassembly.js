@@ -0,0 +1,276 @@
+/**
+ * reassembly.js
+ * Reassembly game: drag tokens out of the pile back onto a reading line, in sentence order.
+ *
+ *  - Drag: pointer.js (mouse / touch) drags any block; only tokens snap onto the line.
+ *  - Reading line: a strip below the UI block. A token released within REASSEMBLY.snapPx of
+ *    it is slotted at the drop position: frozen (static), upright and a sensor (falling
+ *    sentences pass through the line). Slotted tokens are laid out as one centred row in the
+ *    reading direction of the target sentence; dragging a slotted token frees it again.
+ *  - Target: the sentence most represented on the line. Token entries carry `sentenceRef`,
+ *    the sentence parent entry whose `sentenceTokens` drove the split (sketch.js).
+ *    Progress = line positions holding the sentence's token id at that position; the sentence
+ *    is solved when the line holds exactly its token ids, in order. Tokens without ids (mock
+ *    mode) are compared by their text instead.
+ *  - Time runs per sentence from its first slotted token until solved; a solved sentence keeps
+ *    its time (listed in the HUD) even if its tokens are dragged off again.
+ *  - Part of the simulation: drags start and end inside a step (pointer.js), times are on the
+ *    step clock (getSimMillis), and the line's height comes in with the logged settings
+ *    (sketch.js measures it with readingLineY and applies it with setReadingLineY), so replays
+ *    slot the same tokens.
+ *
+ * Exported API:
+ *  initReassembly()
+ *  setReassemblyMode(enabled)
+ *  isReassemblyMode()
+ *  readingLineY()            -> where the line belongs on the page (below the UI block), in px
+ *  setReadingLineY(y)        -> the line's height as the simulation uses it
+ *  updateReassembly(p)       -> per step, after the physics step: lay out the line, score
+ *  scoreLine(entries, sentence) -> { sentence, matched, total, solved } for token entries in
+ *                               line order against the sentence's sentenceTokens
+ *  drawReassembly(p)         -> reading line, insertion caret, progress / time / solved list
+ *  resetReassembly()         -> forget the line and the solved list (physics reset)
+ */
+
+import { getWordBodies, getSimMillis } from './physics.js';
+import { onDragStart, onDragEnd, getDraggedBody } from './pointer.js';
+import { sanitizeText } from './utils.js';
+
+const { Body } = Matter;
+
+export const REASSEMBLY = {
+  lineGapPx: 64,        // reading line: this far below the UI block
+  lineMargin: 0.05,     // fraction of the canvas width left free at each end of the line
+  snapPx: 48,           // release a token this close (vertically) to the line to slot it
+  slotGapPx: 6,         // space between slotted tokens
+  solvedFlashMs: 1800,  // glow around the line after a sentence is solved
+  solvedListMax: 4      // solved sentences listed in the HUD
+};
+
+let enabled = false;
+
+let slots = [];               // slotted token entries, reading order
+let lineDirection = 'ltr';
+let lineY = 0;
+let status = null;            // { sentence, matched, total, solved } for the current line
+let solvedLog = [];           // [{ text, ms }] newest first
+let solvedFlashMillis = -Infinity;
+let clockMillis = 0;          // step clock (getSimMillis) of the last update
+
+export function initReassembly() {
+  onDragStart(body => {
+    const entry = body.entryRef;
+    const at = entry ? slots.indexOf(entry) : -1;
+    if (at !== -1) {
+      slots.splice(at, 1);
+      unslot(entry);
+    }
+  });
+  onDragEnd(body => {
+    const entry = body.entryRef;
+    if (enabled && entry && entry.isToken && Math.abs(body.position.y - lineY) <= REASSEMBLY.snapPx) {
+      slot(entry, body.position.x);
+    }
+  });
+}
+
+export function isReassemblyMode() {
+  return enabled;
+}
+
+export function setReassemblyMode(on) {
+  enabled = !!on;
+  if (enabled) return;
+  for (const entry of slots) unslot(entry);
+  slots = [];
+  status = null;
+}
+
+export function resetReassembly() {
+  slots = [];
+  status = null;
+  solvedLog = [];
+  solvedFlashMillis = -Infinity;
+}
+
+/* ---------------------------------------------------------------------------
+ * Reading line
+ * ------------------------------------------------------------------------- */
+
+function setSensor(entry, on) {
+  for (const part of entry.body.parts) part.isSensor = on;
+}
+
+function slot(entry, dropX) {
+  if (!slots.length) lineDirection = (entry.sentenceRef && entry.sentenceRef.direction) || entry.direction || 'ltr';
+  // Insert after every slotted token that comes before the drop point in reading order
+  const before = e => (lineDirection === 'rtl' ? e.body.position.x > dropX : e.body.position.x < dropX);
+  let at = 0;
+  while (at < slots.length && before(slots[at])) at++;
+  slots.splice(at, 0, entry);
+  Body.setStatic(entry.body, true);
+  setSensor(entry, true);
+  entry.slotted = true;
+  const sentence = entry.sentenceRef;
+  if (sentence) {
+    sentence.reassembly = sentence.reassembly || { startMillis: null, solvedMs: null };
+    if (sentence.reassembly.startMillis == null) sentence.reassembly.startMillis = getSimMillis();
+  }
+}
+
+function unslot(entry) {
+  if (!entry.slotted) return;
+  entry.slotted = false;
+  setSensor(entry, false);
+  Body.setStatic(entry.body, false);
+  Body.setVelocity(entry.body, { x: 0, y: 0 });
+}
+
+export function readingLineY() {
+  const uiRoot = document.getElementById('ui-root');
+  return (uiRoot ? uiRoot.getBoundingClientRect().bottom : 0) + REASSEMBLY.lineGapPx;
+}
+
+export function setReadingLineY(y) {
+  if (Number.isFinite(y)) lineY = y;
+}
+
+/* Slotted tokens: one centred row on the line, in reading direction */
+function layoutLine(p) {
+  const total = slots.reduce((w, e) => w + e.width, 0) + REASSEMBLY.slotGapPx * Math.max(0, slots.length - 1);
+  const visual = lineDirection === 'rtl' ? slots.slice().reverse() : slots;
+  let x = p.width / 2 - total / 2;
+  for (const e of visual) {
+    Body.setAngle(e.body, 0);
+    Body.setPosition(e.body, { x: x + e.width / 2, y: lineY });
+    x += e.width + REASSEMBLY.slotGapPx;
+  }
+}
+
+/* Sentence with the most tokens on the line (ties: the one further along the line) */
+function targetSentence() {
+  const counts = new Map();
+  for (const e of slots) {
+    if (e.sentenceRef) counts.set(e.sentenceRef, (counts.get(e.sentenceRef) || 0) + 1);
+  }
+  let best = null;
+  let bestCount = 0;
+  for (const [sentence, n] of counts) {
+    if (n >= bestCount) {
+      best = sentence;
+      bestCount = n;
+    }
+  }
+  return best;
+}
+
+/* Same token: same id, or without ids (mock mode) the same text as drawn */
+function isSameToken(entry, token) {
+  if (entry.tokenId != null && token.id != null) return entry.tokenId === token.id;
+  return entry.word === sanitizeText(token.text);
+}
+
+export function scoreLine(entries, sentence) {
+  const expected = sentence.sentenceTokens || [];
+  let matched = 0;
+  for (let i = 0; i < Math.min(entries.length, expected.length); i++) {
+    if (isSameToken(entries[i], expected[i])) matched++;
+  }
+  const solved = matched === expected.length && entries.length === expected.length;
+  return { sentence, matched, total: expected.length, solved };
+}
+
+export function updateReassembly(p) {
+  clockMillis = getSimMillis();
+  if (!enabled) return;
+
+  // Slotted tokens removed from the world (reset, collapse cleanup) leave the line
+  const alive = getWordBodies();
+  slots = slots.filter(e => alive.includes(e));
+  layoutLine(p);
+
+  const sentence = targetSentence();
+  status = sentence ? scoreLine(slots, sentence) : null;
+  if (status && status.solved && sentence.reassembly.solvedMs == null) {
+    sentence.reassembly.solvedMs = clockMillis - sentence.reassembly.startMillis;
+    solvedLog.unshift({ text: sentence.sentenceText || sentence.word, ms: sentence.reassembly.solvedMs });
+    solvedLog.length = Math.min(solvedLog.length, REASSEMBLY.solvedListMax);
+    solvedFlashMillis = clockMillis;
+  }
+}
+
+/* ---------------------------------------------------------------------------
+ * Drawing
+ * ------------------------------------------------------------------------- */
+
+function formatTime(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function shorten(text, max = 32) {
+  const chars = [...text.trim()];
+  return chars.length > max ? chars.slice(0, max - 1).join('') + '…' : chars.join('');
+}
+
+/* Where a dragged token would land: x of the gap it would be inserted into */
+function insertionCaret() {
+  const body = getDraggedBody();
+  const entry = body && body.entryRef;
+  if (!entry || !entry.isToken || Math.abs(body.position.y - lineY) > REASSEMBLY.snapPx) return null;
+  const rtl = lineDirection === 'rtl';
+  const dropX = body.position.x;
+  const visual = rtl ? slots.slice().reverse() : slots;
+  let x = visual.length ? visual[0].body.position.x - visual[0].width / 2 - REASSEMBLY.slotGapPx / 2 : dropX;
+  for (const e of visual) {
+    if (e.body.position.x < dropX) x = e.body.position.x + e.width / 2 + REASSEMBLY.slotGapPx / 2;
+  }
+  return x;
+}
+
+export function drawReassembly(p) {
+  if (!enabled) return;
+  const x0 = p.width * REASSEMBLY.lineMargin;
+  const x1 = p.width * (1 - REASSEMBLY.lineMargin);
+  const flash = Math.max(0, 1 - (clockMillis - solvedFlashMillis) / REASSEMBLY.solvedFlashMs);
+  const rowH = slots.reduce((h, e) => Math.max(h, e.height), 0) || 40;
+  p.push();
+
+  // Reading line: a faint slot band, glowing for a moment after a solve
+  p.rectMode(p.CORNERS);
+  p.noFill();
+  p.stroke(255, 50 + 205 * flash);
+  p.strokeWeight(1 + 2 * flash);
+  p.rect(x0, lineY - rowH / 2 - 8, x1, lineY + rowH / 2 + 8, 6);
+
+  const caret = insertionCaret();
+  if (caret != null) {
+    p.stroke(255, 220);
+    p.strokeWeight(2);
+    p.line(caret, lineY - rowH / 2 - 4, caret, lineY + rowH / 2 + 4);
+  }
+
+  // Progress + time of the line's sentence
+  p.noStroke();
+  p.fill(255, 200);
+  p.textSize(14);
+  p.textAlign(p.LEFT, p.BOTTOM);
+  let label = 'Drag tokens onto the line, in sentence order';
+  if (status) {
+    const run = status.sentence.reassembly;
+    const elapsed = run.solvedMs != null ? run.solvedMs : clockMillis - run.startMillis;
+    label = status.solved
+      ? `Solved “${shorten(status.sentence.sentenceText || status.sentence.word)}” in ${formatTime(elapsed)}`
+      : `${status.matched} / ${status.total} tokens in place · ${formatTime(elapsed)}`;
+  }
+  p.text(label, x0, lineY - rowH / 2 - 14);
+
+  // Solved sentences, newest first
+  p.textAlign(p.RIGHT, p.BOTTOM);
+  p.textSize(12);
+  solvedLog.forEach((s, i) => {
+    p.fill(255, 170 - i * 30);
+    p.text(`✓ ${shorten(s.text, 24)} · ${formatTime(s.ms)}`, x1, lineY - rowH / 2 - 14 - i * 16);
+  });
+  p.pop();
+}
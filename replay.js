@@ -0,0 +1,156 @@
+/**
+ * replay.js
+ * Session input log and frame-exact replay.
+ *
+ * The simulation is deterministic: fixed steps and a step-count clock (physics.js), the seeded
+ * RNG (utils.js). Whatever enters it from outside is logged, stamped with the frame (step) at
+ * which it entered:
+ *  - 'submit'   – a sentence / token-id payload as tokenized, with the font size and fracture
+ *                 depth it was submitted with
+ *  - 'fuse'     – a reverse-BPE merge that came back from the tokenizer worker (async): the
+ *                 serials of the two entries (physics.js entry.serial) and the merged token
+ *  - 'pointer'  – pointer position and button (pointer.js): drags, throws, reassembly drops
+ *  - 'wind'     – held wind direction (pointer.js)
+ *  - 'poke'     – a double-click / double-tap poke (pointer.js) at { x, y }
+ *  - 'resize'   – a new canvas size, and whether the pile rescales to it (sketch.js)
+ *  - 'settings' – collapse mode, fuse tokens, crane, reassembly and its reading line height;
+ *                 logged at frame 0 and whenever they change
+ * A replay resets with the log's seed, lane mode, canvas size and starting pile (`scene`: the
+ * scene.js snapshot a loaded pile started from, or null) and feeds the inputs back at their
+ * frames; at the end of the log (its `frames`) recording carries on from there.
+ *
+ * Log format (JSON):
+ *  { version: 2, seed, width, height, laneMode, scene, frames, inputs: [{ frame, type, … }] }
+ *  (frames: simulation frame when the log was taken)
+ *
+ * Exported API:
+ *  initReplay(sim)             -> sim: { reset(log), step() } (sketch.js)
+ *  startRecording(header)      -> new log (every reset)
+ *  recordInput(input)          -> appends { frame, type, … } (copied)
+ *  takeInputs(frame)           -> while replaying: the logged inputs due at this frame
+ *  isReplaying()
+ *  getInputLog()               -> copy of the current log, frames stamped
+ *  startReplay(log)            -> replay in real time
+ *  runReplay(log, frames)      -> replay `frames` steps at once; returns the body states
+ *  verifyReplay(log?)          -> two runs of the log (default: the current one) to its end:
+ *                                 { identical, matchesLive, frames, difference }
+ *  captureBodyStates()         -> { words: [{ serial, word, x, y, angle, vx, vy, av }], fragments }
+ *  diffBodyStates(a, b)        -> first difference (string) or null
+ */
+
+import { getWordBodies, getFragmentBodies, getSimFrame } from './physics.js';
+
+export const REPLAY_VERSION = 2;
+
+let sim = null;
+let log = null;
+let replaying = false;
+let cursor = 0;
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+export function initReplay(simHooks) {
+  sim = simHooks;
+}
+
+export function startRecording(header) {
+  log = { version: REPLAY_VERSION, ...header, frames: 0, inputs: [] };
+  replaying = false;
+  cursor = 0;
+}
+
+export function recordInput(input) {
+  if (!log || replaying) return;
+  log.inputs.push(copy(input));
+}
+
+export function isReplaying() {
+  return replaying;
+}
+
+export function takeInputs(frame) {
+  if (!replaying) return [];
+  const due = [];
+  while (cursor < log.inputs.length && log.inputs[cursor].frame <= frame) {
+    due.push(copy(log.inputs[cursor++]));
+  }
+  // At the end of the log the session is live again (and keeps recording into this log)
+  if (cursor >= log.inputs.length && frame + 1 >= log.frames) replaying = false;
+  return due;
+}
+
+export function getInputLog() {
+  if (!log) return null;
+  return copy({ ...log, frames: replaying ? log.frames : getSimFrame() });
+}
+
+export function startReplay(replayLog) {
+  if (!sim) throw new Error('replay: initReplay() has not been called');
+  if (!replayLog || replayLog.version !== REPLAY_VERSION || !Array.isArray(replayLog.inputs)) {
+    throw new Error(`replay: not a version ${REPLAY_VERSION} input log`);
+  }
+  const next = copy(replayLog);
+  sim.reset(next); // starts a fresh recording: replace it by the log being replayed
+  log = next;
+  cursor = 0;
+  replaying = log.frames > 0;
+}
+
+export function runReplay(replayLog, frames = replayLog.frames) {
+  startReplay(replayLog);
+  for (let i = 0; i < frames; i++) sim.step();
+  return captureBodyStates();
+}
+
+export function verifyReplay(replayLog = getInputLog()) {
+  const live = captureBodyStates();
+  const first = runReplay(replayLog);
+  const second = runReplay(replayLog);
+  const difference = diffBodyStates(first, second);
+  return {
+    identical: difference == null,
+    matchesLive: diffBodyStates(live, second) == null,
+    frames: replayLog.frames,
+    difference
+  };
+}
+
+/* ---------------------------------------------------------------------------
+ * Body states
+ * ------------------------------------------------------------------------- */
+
+function stateOf(b) {
+  return {
+    x: b.position.x,
+    y: b.position.y,
+    angle: b.angle,
+    vx: b.velocity.x,
+    vy: b.velocity.y,
+    av: b.angularVelocity
+  };
+}
+
+export function captureBodyStates() {
+  return {
+    words: getWordBodies().map(e => ({ serial: e.serial, word: e.word, ...stateOf(e.body) })),
+    fragments: getFragmentBodies().map(f => stateOf(f.body))
+  };
+}
+
+export function diffBodyStates(a, b) {
+  for (const kind of ['words', 'fragments']) {
+    if (a[kind].length !== b[kind].length) {
+      return `${kind}: ${a[kind].length} vs ${b[kind].length}`;
+    }
+    for (let i = 0; i < a[kind].length; i++) {
+      for (const key of Object.keys(a[kind][i])) {
+        if (!Object.is(a[kind][i][key], b[kind][i][key])) {
+          return `${kind}[${i}].${key}: ${a[kind][i][key]} vs ${b[kind][i][key]}`;
+        }
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,300 @@
+/**
+ * scene.js
+ * Scene snapshots: the pile as versioned JSON, and back.
+ *
+ * A snapshot keeps every block in the world (physics.js wordEntries): its kind, text, token id,
+ * letter height, pose and velocities, plus what its next split needs (sentence tokens, fracture
+ * level, slow-split trace). Shatter fragments (physics.js fragmentEntries) keep their outline,
+ * pose, velocities and tone. Also saved: the collapse flag, gravity, the RNG state and the lane
+ * mode. Loading rebuilds every block through wordBody.js makeWordEntry, scaled to the current
+ * canvas, so an exhibition can keep the visitors' pile at closing and open with a curated one.
+ *
+ * Not kept: weld flashes, a merge trace mid-playback (the sentence comes back loose and plays
+ * it again on its next impact), reading-line slots and crane hooks.
+ *
+ * Format (JSON):
+ *  { format: 'fragile-words-scene', version: 1, savedAt, width, height, laneMode, collapsed,
+ *    gravity, rngState, sentences: [{ entry } | { sentenceText, sentenceTokens, direction }],
+ *    entries: [{ kind, text, letterHeight, direction, markerLength, hexBytes, special,
+ *                x, y, angle, vx, vy, av, … }],
+ *    fragments: [{ vertices: [{ x, y }] (around the body position, angle 0), x, y, angle,
+ *                  vx, vy, av, tone }] }
+ *  (fragments: oldest first; missing in files saved before fragments were kept)
+ *  (sentences: what token / word entries point at through `sentence` (their sentenceRef),
+ *   either a sentence parent saved in entries or a decoded id list's sentence record)
+ *
+ * Exported API:
+ *  SCENE_FORMAT, SCENE_VERSION
+ *  serializeScene(p)           -> snapshot of the current pile (plain JSON-safe object)
+ *  checkScene(scene)           -> throws an Error unless `scene` is a snapshot this version loads
+ *                                 (every entry, sentence record and fragment checked,
+ *                                 indices in range)
+ *  restoreScene(p, scene)      -> rebuilds the pile into a freshly reset world (sketch.js fullReset)
+ */
+
+import {
+  engine,
+  addWordEntry,
+  getWordBodies,
+  addFragments,
+  getFragmentBodies,
+  getSimMillis,
+  isCollapsed,
+  isLaneMode,
+  markCollapsedNoShatter
+} from './physics.js';
+import { makeWordEntry } from './wordBody.js';
+import { restoreFragment } from './fragments.js';
+import { seedRandom, getRandomState } from './utils.js';
+
+const { Body } = Matter;
+
+export const SCENE_FORMAT = 'fragile-words-scene';
+export const SCENE_VERSION = 1;
+
+const KINDS = ['sentence', 'word', 'token', 'byte', 'plain'];
+const POSE = ['x', 'y', 'angle', 'vx', 'vy', 'av'];
+
+function kindOf(entry) {
+  if (entry.isSentenceParent) return 'sentence';
+  if (entry.isWord) return 'word';
+  if (entry.isToken) return 'token';
+  if (entry.isByte) return 'byte';
+  return 'plain';
+}
+
+function copy(value) {
+  return value == null ? null : JSON.parse(JSON.stringify(value));
+}
+
+/* A fragment's outline around its position, with the body's rotation taken out */
+function localVertices(body) {
+  const cos = Math.cos(-body.angle);
+  const sin = Math.sin(-body.angle);
+  return body.vertices.map(v => {
+    const dx = v.x - body.position.x;
+    const dy = v.y - body.position.y;
+    return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+  });
+}
+
+/* ---------------------------------------------------------------------------
+ * Save
+ * ------------------------------------------------------------------------- */
+
+export function serializeScene(p) {
+  const entries = getWordBodies();
+  const now = getSimMillis();
+  const sentences = [];
+  const sentenceIndex = new Map();
+  const sentenceOf = ref => {
+    if (!ref) return null;
+    if (!sentenceIndex.has(ref)) {
+      const at = entries.indexOf(ref);
+      sentenceIndex.set(ref, sentences.length);
+      sentences.push(at !== -1
+        ? { entry: at }
+        : { sentenceText: ref.sentenceText ?? ref.word ?? '', sentenceTokens: copy(ref.sentenceTokens) || [], direction: ref.direction || 'ltr' });
+    }
+    return sentenceIndex.get(ref);
+  };
+
+  const saved = entries.map(e => {
+    const b = e.body;
+    const out = {
+      kind: kindOf(e),
+      text: e.word,
+      letterHeight: e.letterHeight,
+      direction: e.direction,
+      markerLength: e.letterRects.filter(r => r.marker).reduce((n, r) => n + r.char.length, 0),
+      hexBytes: e.letterRects.some(r => r.hex),
+      special: e.letterRects.some(r => r.special),
+      x: b.position.x,
+      y: b.position.y,
+      angle: b.angle,
+      // A frozen block (merge trace, reading line) comes back loose and at rest
+      vx: b.isStatic ? 0 : b.velocity.x,
+      vy: b.isStatic ? 0 : b.velocity.y,
+      av: b.isStatic ? 0 : b.angularVelocity,
+      tokenizerName: e.tokenizerName ?? null,
+      sentence: sentenceOf(e.sentenceRef),
+      fractureNext: e.midSplitDone ? null : (e.fractureNext ?? null),
+      fractureArmMs: e.fractureArmMillis ? Math.max(0, e.fractureArmMillis - now) : 0
+    };
+    if (e.isToken) {
+      out.tokenId = e.tokenId;
+      out.tokenRank = e.tokenRank ?? null;
+      out.byteSpan = copy(e.byteSpan);
+      out.cutChar = e.cutChar || null;
+      out.tieNext = e.tieNext ? entries.indexOf(e.tieNext) : -1;
+    }
+    if (e.isSentenceParent || e.isWord) {
+      out.sentenceTokens = copy(e.sentenceTokens) || [];
+      out.parentLetterHeight = e.parentLetterHeight ?? e.letterHeight;
+      out.fractureDepth = e.fractureDepth ?? null;
+    }
+    if (e.isSentenceParent) {
+      out.sentenceText = e.sentenceText ?? e.word;
+      out.mergeTrace = e.traceDone ? null : copy(e.mergeTrace);
+      if (e.lane != null) out.lane = e.lane;
+    }
+    return out;
+  });
+
+  const fragments = getFragmentBodies().map(({ body, tone }) => ({
+    vertices: localVertices(body),
+    x: body.position.x,
+    y: body.position.y,
+    angle: body.angle,
+    vx: body.velocity.x,
+    vy: body.velocity.y,
+    av: body.angularVelocity,
+    tone
+  }));
+
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    savedAt: new Date().toISOString(),
+    width: p.width,
+    height: p.height,
+    laneMode: isLaneMode(),
+    collapsed: isCollapsed(),
+    gravity: engine.gravity.y,
+    rngState: getRandomState(),
+    sentences,
+    entries: saved,
+    fragments
+  };
+}
+
+/* ---------------------------------------------------------------------------
+ * Load
+ * ------------------------------------------------------------------------- */
+
+/* Optional index: missing / null, or an integer in [min, length) */
+function isIndex(value, length, min = 0) {
+  return value == null || (Number.isInteger(value) && value >= min && value < length);
+}
+
+function isListOrNull(value) {
+  return value == null || Array.isArray(value);
+}
+
+/* Why a saved entry cannot be rebuilt (null when it can) */
+function entryProblem(e, scene) {
+  if (!e || typeof e !== 'object' || !KINDS.includes(e.kind)) return 'has no known kind';
+  if (typeof e.text !== 'string' || !e.text) return 'has no text';
+  if (!(e.letterHeight > 0) || !Number.isFinite(e.letterHeight)) return 'has no positive letterHeight';
+  if (!POSE.every(k => Number.isFinite(e[k]))) return 'has no finite pose';
+  if (!isIndex(e.sentence, scene.sentences.length)) return 'points at a missing sentence';
+  if (!isIndex(e.tieNext, scene.entries.length, -1)) return 'ties to a missing entry';
+  if (!isListOrNull(e.sentenceTokens) || !isListOrNull(e.byteSpan)) return 'has a malformed token list';
+  return null;
+}
+
+/* Why a saved fragment cannot be rebuilt (null when it can) */
+function fragmentProblem(f) {
+  if (!f || typeof f !== 'object' || !POSE.every(k => Number.isFinite(f[k]))) return 'has no finite pose';
+  if (!Array.isArray(f.vertices) || f.vertices.length < 3
+    || !f.vertices.every(v => v && Number.isFinite(v.x) && Number.isFinite(v.y))) return 'has no outline';
+  if (!Number.isFinite(f.tone)) return 'has no tone';
+  return null;
+}
+
+export function checkScene(scene) {
+  if (!scene || typeof scene !== 'object' || scene.format !== SCENE_FORMAT) {
+    throw new Error('not a Fragile Words scene file');
+  }
+  if (scene.version !== SCENE_VERSION) {
+    throw new Error(`scene version ${scene.version} is not supported (expected ${SCENE_VERSION})`);
+  }
+  if (!Array.isArray(scene.entries) || !Array.isArray(scene.sentences)) {
+    throw new Error('scene has no entries');
+  }
+  for (const [i, e] of scene.entries.entries()) {
+    const problem = entryProblem(e, scene);
+    if (problem) throw new Error(`scene entry ${i} ${problem}`);
+  }
+  for (const [i, s] of scene.sentences.entries()) {
+    const ok = s && typeof s === 'object' && (s.entry != null
+      ? isIndex(s.entry, scene.entries.length) && scene.entries[s.entry].kind === 'sentence'
+      : typeof s.sentenceText === 'string' && isListOrNull(s.sentenceTokens));
+    if (!ok) throw new Error(`scene sentence ${i} is malformed`);
+  }
+  if (!isListOrNull(scene.fragments)) throw new Error('scene fragments are not a list');
+  for (const [i, f] of (scene.fragments || []).entries()) {
+    const problem = fragmentProblem(f);
+    if (problem) throw new Error(`scene fragment ${i} ${problem}`);
+  }
+}
+
+function buildEntry(p, saved, sx, sy) {
+  const entry = makeWordEntry(p, saved.text, saved.x * sx, saved.y * sy, {
+    letterHeight: saved.letterHeight,
+    markerLength: saved.markerLength || 0,
+    hexBytes: !!saved.hexBytes,
+    special: !!saved.special,
+    direction: saved.direction || 'auto'
+  });
+  entry.tokenizerName = saved.tokenizerName ?? null;
+  if (saved.fractureNext) entry.fractureNext = saved.fractureNext;
+  if (saved.fractureArmMs) entry.fractureArmMillis = getSimMillis() + saved.fractureArmMs;
+
+  if (saved.kind === 'sentence') {
+    entry.isSentenceParent = true;
+    entry.spawnMillis = getSimMillis();
+    entry.sentenceText = saved.sentenceText ?? saved.text;
+    entry.midSplitDone = false;
+    entry.mergeTrace = saved.mergeTrace || null;
+    if (saved.lane != null) entry.lane = saved.lane;
+  } else if (saved.kind === 'word') {
+    entry.isWord = true;
+  } else if (saved.kind === 'token') {
+    entry.isToken = true;
+    entry.tokenId = saved.tokenId;
+    entry.tokenRank = saved.tokenRank;
+    entry.byteSpan = saved.byteSpan;
+    entry.cutChar = saved.cutChar || null;
+    entry.isSpecial = !!saved.special;
+  } else if (saved.kind === 'byte') {
+    entry.isByte = true;
+  }
+  if (saved.kind === 'sentence' || saved.kind === 'word') {
+    entry.sentenceTokens = saved.sentenceTokens || [];
+    entry.parentLetterHeight = saved.parentLetterHeight ?? saved.letterHeight;
+    entry.fractureDepth = saved.fractureDepth ?? 'words';
+  }
+
+  Body.setAngle(entry.body, saved.angle);
+  Body.setVelocity(entry.body, { x: saved.vx, y: saved.vy });
+  Body.setAngularVelocity(entry.body, saved.av);
+  return entry;
+}
+
+/**
+ * Rebuild a checked snapshot into the world. Positions scale with the canvas (as on a window
+ * resize); the RNG state is restored last, after makeWordEntry has drawn its initial tilts.
+ */
+export function restoreScene(p, scene) {
+  checkScene(scene);
+  const sx = scene.width > 0 ? p.width / scene.width : 1;
+  const sy = scene.height > 0 ? p.height / scene.height : 1;
+  const created = scene.entries.map(saved => buildEntry(p, saved, sx, sy));
+
+  const sentences = scene.sentences.map(s => (s && Number.isInteger(s.entry)
+    ? created[s.entry] || null
+    : { sentenceText: s.sentenceText, sentenceTokens: s.sentenceTokens || [], direction: s.direction || 'ltr' }));
+  scene.entries.forEach((saved, i) => {
+    const entry = created[i];
+    if (saved.sentence != null && sentences[saved.sentence]) entry.sentenceRef = sentences[saved.sentence];
+    if (saved.tieNext >= 0 && created[saved.tieNext]) entry.tieNext = created[saved.tieNext];
+    addWordEntry(entry);
+  });
+  addFragments((scene.fragments || []).map(f => restoreFragment({ ...f, x: f.x * sx, y: f.y * sy })));
+
+  if (scene.collapsed) markCollapsedNoShatter();
+  if (Number.isFinite(scene.gravity)) engine.gravity.y = scene.gravity;
+  if (Number.isFinite(scene.rngState)) seedRandom(scene.rngState);
+  return created;
+}
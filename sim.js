@@ -0,0 +1,144 @@
+/**
+ * sim.js
+ * The simulation step: everything that changes the pile, advanced PHYS.FIXED_STEP_MS at a time.
+ * The page (sketch.js) runs it from its draw loop, a replay (replay.js) from the input log, and
+ * test/replay.test.js headless, each with its own hooks for what only it knows about.
+ *
+ * One step (simTick):
+ *  1. Inputs: while replaying, the logged inputs due at this frame (replay.js takeInputs);
+ *     live, the ones pushed since the last step plus a settings change, stamped with the
+ *     frame and logged (recordInput).
+ *  2. Each input is applied: submissions, fusions and canvas resizes through the hooks;
+ *     pointer, wind and pokes through pointer.js; settings switch the crane and the reading
+ *     line and become getSimSettings().
+ *  3. Spawning (hooks.spawn), the pointer (drag attach, throw samples, wind) and the crane, then
+ *     the physics step.
+ *  4. After it: hooks.afterStep (delayed splits, merge traces), the reading line, and collapse
+ *     detection (hooks.onCollapse, once).
+ *
+ * Exported API:
+ *  initSim(hooks)              -> hooks: { readSettings(), submit(payload), fuse(input),
+ *                                 resize(input), spawn(), afterStep(), onCollapse() }; only
+ *                                 readSettings is required
+ *  resetSim(seed, w, h)        -> new session: RNG, world, pointer, reading line and crane
+ *                                 reset; waiting inputs dropped except canvas resizes, settings
+ *                                 logged again at frame 0
+ *  pushInput(input)            -> an input ({ type, … }, see replay.js) for the next step
+ *  pendingInputs(type)         -> the inputs of that type still waiting for their step
+ *  getSimSettings()            -> the settings the simulation runs with (from the UI when live,
+ *                                 from the log when replaying)
+ *  simTick(p)                  -> one fixed step
+ */
+
+import {
+  PHYS,
+  resetPhysics,
+  stepPhysics,
+  getSimFrame,
+  isCollapsed,
+  checkAndFlagCollapse
+} from './physics.js';
+import { applyPointerInput, stepPointer, resetPointer } from './pointer.js';
+import {
+  setReassemblyMode,
+  isReassemblyMode,
+  setReadingLineY,
+  updateReassembly,
+  resetReassembly
+} from './reassembly.js';
+import { setCraneMode, isCraneMode, updateCrane, resetCrane } from './crane.js';
+import { recordInput, takeInputs, isReplaying } from './replay.js';
+import { seedRandom } from './utils.js';
+
+const noop = () => {};
+
+let hooks = null;
+// Inputs that arrived since the last step (submissions, fusion results, pointer, resizes); logged when applied
+const liveInputs = [];
+// Settings the simulation reads (from the UI when live, from the log when replaying)
+let simSettings = null;
+
+export function initSim(simHooks) {
+  hooks = {
+    submit: noop,
+    fuse: noop,
+    resize: noop,
+    spawn: noop,
+    afterStep: noop,
+    onCollapse: noop,
+    ...simHooks
+  };
+}
+
+export function resetSim(seed, w, h) {
+  // A canvas resize still waiting for its step carries over into the new log
+  liveInputs.splice(0, liveInputs.length, ...liveInputs.filter(i => i.type === 'resize'));
+  simSettings = null; // logged again at frame 0
+  seedRandom(seed);
+  resetPhysics(w, h);
+  resetPointer();
+  resetReassembly();
+  resetCrane(w, h);
+}
+
+export function pushInput(input) {
+  liveInputs.push(input);
+}
+
+export function pendingInputs(type) {
+  return liveInputs.filter(i => i.type === type);
+}
+
+export function getSimSettings() {
+  return simSettings;
+}
+
+/* Live: this step's inputs (plus a settings change), stamped with the frame and logged */
+function takeLiveInputs(frame) {
+  const settings = hooks.readSettings();
+  if (!simSettings || Object.keys(settings).some(k => settings[k] !== simSettings[k])) {
+    liveInputs.unshift({ type: 'settings', settings });
+  }
+  const inputs = liveInputs.splice(0).map(input => ({ frame, ...input }));
+  for (const input of inputs) recordInput(input);
+  return inputs;
+}
+
+function applyInput(input) {
+  if (input.type === 'submit') {
+    hooks.submit(input.payload);
+  } else if (input.type === 'fuse') {
+    hooks.fuse(input);
+  } else if (input.type === 'pointer' || input.type === 'wind' || input.type === 'poke') {
+    applyPointerInput(input);
+  } else if (input.type === 'resize') {
+    hooks.resize(input);
+  } else if (input.type === 'settings') {
+    simSettings = { ...input.settings };
+    if (isCraneMode() !== simSettings.crane) setCraneMode(simSettings.crane);
+    if (isReassemblyMode() !== simSettings.reassembly) setReassemblyMode(simSettings.reassembly);
+    setReadingLineY(simSettings.lineY);
+  }
+}
+
+export function simTick(p) {
+  if (!hooks) throw new Error('sim: initSim() has not been called');
+  const frame = getSimFrame();
+  const inputs = isReplaying() ? takeInputs(frame) : takeLiveInputs(frame);
+  for (const input of inputs) applyInput(input);
+
+  // Spawn pending words (allowed even after collapse; new words auto-split if collapsed)
+  hooks.spawn();
+
+  // Pointer (drag attach, throw samples, wind) and crane (hook constraint) before the step
+  stepPointer();
+  updateCrane(p, PHYS.FIXED_STEP_MS);
+  stepPhysics();
+
+  // Delayed splits and merge traces AFTER the physics step, BEFORE rendering
+  hooks.afterStep();
+  updateReassembly(p);
+
+  // Collapse detection
+  if (!isCollapsed() && checkAndFlagCollapse()) hooks.onCollapse();
+}
@@ -5,18 +5,47 @@
  *
  * Flow:
  *  - User types a full sentence (human semantic unit) which spawns as ONE falling body.
- *  - On FIRST physical impact (ground or existing stack) that body splits into GPT‑2 BPE tokens
+ *  - On FIRST physical impact (ground or existing stack) that body splits into BPE tokens
+ *    (GPT‑2 / cl100k_base / o200k_base, picked in the UI)
  *    revealing the model’s internal sub‑word segmentation.
+ *  - Progressive fracturing (ui.js "Fracture" depth): the first impact can split the sentence
+ *    into its whitespace words instead, the next impact of each word into its tokens, and a
+ *    hard impact a token into its byte / character pieces (FRACTURE).
+ *  - Impact energy decides: soft landings leave a block whole, harder ones crack it one level,
+ *    a hard hit tokenizes a sentence outright; pieces scatter harder the harder the hit
+ *    (physics.js PHYS.IMPACT_*).
+ *  - Fuse tokens (optional): two touching tokens fuse into one block when the merge table has
+ *    a rule for them (reverse BPE, tokenizer.js mergeTokensAsync), with a weld flash.
  *  - Tokens stack to form a precarious vertical structure (metaphor: human meaning tower vs. machine sequence).
  *  - Instability heuristics (physics.js) trigger a collapse state; gravity is gently reduced
- *    for calmer settling. Tokens now just drift/settle (no further breakup).
+ *    for calmer settling. Soft collapse (default): tokens just drift/settle. Shatter collapse
+ *    (ui.js "Collapse"): every block breaks into triangle fragments (fragments.js).
  *  - Font size slider adjusts future sentence/token geometry.
+ *  - Slow split (optional): on impact the sentence freezes, breaks into single bytes and fuses
+ *    merge by merge in rank order (tokenizer.js traceMergesAsync) before the tokens drop.
+ *  - Token-ID input (optional): typed ids are decoded and drop as ready-split token blocks
+ *    (no sentence parent), the reverse direction of the impact split.
+ *  - Compare mode: the same sentence drops into two lanes (left / right of a divider wall),
+ *    each split by a different tokenizer, with a token count header per lane.
+ *  - Pointer play (pointer.js): drag / flick any block, double-click (double-tap) to poke the
+ *    pile, hold the arrow keys (two-finger drag) to blow a wind across it.
+ *  - Reassemble mode (reassembly.js): drag tokens back onto a reading line in sentence order;
+ *    every token keeps `sentenceRef`, the sentence parent whose sentenceTokens it came from.
+ *  - Crane mode (crane.js): a crane hooks resting tokens with a Matter constraint and tosses
+ *    them back onto the pile, so an idle installation keeps rearranging its own text.
  *  - “Start again” resets physics, RNG, and clears state (deterministic seed re-applied).
+ *  - Scene snapshots (scene.js): “Save pile” downloads the pile as JSON, “Load pile” resets
+ *    into a saved one (blocks, collapse, gravity, RNG state).
+ *  - Autosave (autosave.js): the pile and the queued submissions are kept in localStorage, so a
+ *    reload picks the session up again; “Start again” clears the save.
+ *  - Deterministic replay (replay.js): the simulation runs in fixed steps (sim.js simTick) on a
+ *    step-count clock; submissions, async fusions and setting changes enter it only at step
+ *    boundaries and are logged with their frame, so a session re-runs frame-exact from seed + log.
  *
  * Key Tunables:
- *  - Physics thresholds & caps: physics.js (PHYS)
+ *  - Physics thresholds & caps: physics.js (PHYS), including the impact-energy split curve
  *  - Body geometry / material: wordBody.js (WORD_PHYSICS_DEFAULTS + letterHeight override)
- *  - Collapse gravity scaling: physics.js (markCollapsedNoShatter)
+ *  - Collapse gravity scaling: physics.js (markCollapsedNoShatter); fragment cap: PHYS.MAX_FRAGMENTS
  *  - RNG: utils.js (seedRandom, rand)
  *
  * Architecture:
@@ -24,9 +53,20 @@
  *  - Physics + instability detection: physics.js
  *  - Compound letter-rect construction: wordBody.js
  *  - UI + font slider + tokenizer trigger: ui.js + tokenizer.js
+ *  - Drag / throw / poke / wind: pointer.js; reading line game: reassembly.js; crane: crane.js
+ *  - Simulation step (inputs, spawning, pointer, crane, physics, collapse): sim.js, with hooks
+ *    into this file for submissions, fusions, resizes, splits and the shatter
+ *  - Input log + replay: replay.js; scene snapshots: scene.js; reload persistence: autosave.js
  *
  * Rendering:
  *  - Black background; white rounded rectangles with black glyphs.
+ *  - Shatter fragments: plain light-grey triangles (tone varies per fragment).
+ *  - Optional token id label under each token block (ui.js "Show token IDs").
+ *  - Compare mode: faint divider line and "<tokenizer> · N tokens" header per lane.
+ *  - WordPiece '##' / SentencePiece '▁' markers render as hollow (inverted) letter blocks.
+ *  - Special tokens (<|endoftext|>, [CLS]…) render as one black pill with a double white outline.
+ *  - Partial-byte tokens (part of a multi-byte character) render as grey hex byte cells; tokens
+ *    sharing one character are tied by a bracket labelled with that character.
  *
  * Concept:
  *  - Human: stacking semantic blocks (sentences → contextual structure).
@@ -37,25 +77,76 @@
 
 import {
   initPhysics,
-  resetPhysics,
-  stepPhysics,
+  getSimMillis,
   addWordEntry,
   getWordBodies,
-  checkAndFlagCollapse,
   handleResize,
   isCollapsed,
   markCollapsedNoShatter,
+  shatterAll,
+  getFragmentBodies,
   removeWordEntry,
   setSentenceImpactCallback,
+  setTokenContactCallback,
+  setLaneMode,
+  isLaneMode,
+  getLaneBounds,
+  impactStrength,
   PHYS,
   floorBody
 } from './physics.js';
 
-import { makeWordEntry } from './wordBody.js';
-/* Fragments pipeline removed (no letter/token breakup after collapse) */
-/* Crane removed */
-import { initUI, focusInput, getFontSize } from './ui.js';
-import { seedRandom, rand, lerp } from './utils.js';
+import { makeWordEntry, WORD_PHYSICS_DEFAULTS } from './wordBody.js';
+import { createFragmentsForEntry } from './fragments.js';
+import {
+  initUI,
+  focusInput,
+  getFontSize,
+  getShowTokenIds,
+  getFractureDepth,
+  getFuseTokens,
+  getCollapseMode,
+  setCompareEnabled
+} from './ui.js';
+import { tokenizerLabel, mergeTokensAsync } from './tokenizer.js';
+import {
+  initPointer,
+  updatePointer,
+  drawPointer
+} from './pointer.js';
+import {
+  initReassembly,
+  setReassemblyMode,
+  isReassemblyMode,
+  readingLineY,
+  drawReassembly
+} from './reassembly.js';
+import {
+  initCrane,
+  setCraneMode,
+  isCraneMode,
+  drawCrane,
+  resizeCrane
+} from './crane.js';
+import {
+  initReplay,
+  startRecording,
+  isReplaying
+} from './replay.js';
+import { initSim, resetSim, pushInput, pendingInputs, getSimSettings, simTick } from './sim.js';
+import { serializeScene, checkScene, restoreScene } from './scene.js';
+import { initAutosave, readAutosave, clearAutosave } from './autosave.js';
+import {
+  seedRandom,
+  rand,
+  lerp,
+  sanitizeText,
+  bidiOrder,
+  textDirection,
+  groupTokensIntoWords,
+  FONT_STACK,
+  SEED
+} from './utils.js';
 
  // Word queue control (FIFO)
 const wordQueue = [];
@@ -63,10 +154,37 @@ const wordQueue = [];
  // Canvas reference
 let p5Instance = null;
 let lastMillis = 0;
+let stepBudget = 0; // real ms not yet simulated (fixed steps)
 let prevW = window.innerWidth;
 let prevH = window.innerHeight;
+let worldW = 0; // size the physics world is laid out for (applyResize)
+let worldH = 0;
 let baseViewportH = window.innerHeight;
 
+// Compare mode: latest sentence stats per lane ({ tokenizer, count } | null)
+const laneStats = [null, null];
+const LANE_FILL = 0.85; // max fraction of lane width a sentence parent may occupy
+
+// Slow split pacing (merge trace playback)
+const SLOW_SPLIT = {
+  holdMs: 450,     // pause on the single-byte view before the first merge / after the last
+  stepMs: 160,     // per merge, shortened for long sentences so playback stays under maxMs
+  maxMs: 7000,
+  gapPx: 3         // space between symbols while they are still apart
+};
+
+// Progressive fracturing: sentence → words → tokens → bytes (energy thresholds: PHYS.IMPACT_*)
+const FRACTURE = {
+  rearmMs: 600,     // a freshly split block ignores impacts this long (it spawns in contact)
+  upBias: 0.6       // scatter direction: outward from the split point, tilted up by this much
+};
+
+// Reverse-BPE fusion weld flash
+const WELD = {
+  flashMs: 900,     // outline glow + merge caption fade-out
+  glowPx: 10        // how far the outermost glow outline reaches at the start
+};
+
 // Dynamic sentence sizing parameters
 const SENTENCE_SIZE_PARAMS = {
   shortThreshold: 15,   // chars
@@ -119,8 +237,43 @@ function computeDynamicLetterHeight(basePx, sentence) {
 function enqueueWord(payload) {
   // payload can be:
   //  - string (legacy single token/word)
-  //  - { type:'sentence', sentence:string, tokens:string[] }
-  wordQueue.push(payload);
+  //  - { type:'sentence', sentence:string, tokenizer:string, tokens:Array<{ id, text, rank, byteSpan }>, trace? }
+  //  - { type:'compare', sentence:string, lanes:Array<{ tokenizer, tokens, tokenCount, trace? }> }
+  //  - { type:'tokens', sentence:string, tokenizer:string, tokens, tokenCount } (decoded token ids;
+  //    drops pre-split, into the left lane in compare mode)
+  //  (trace: merge trace from tokenizer.js traceMergesAsync when "Slow split" is on)
+  // Stamped with the size / depth it was submitted with, it enters the simulation (and the
+  // replay log) at the next step
+  if (isReplaying()) return;
+  if (payload && typeof payload === 'object') {
+    payload = { ...payload, fontSize: getFontSize(), fractureDepth: getFractureDepth() };
+  }
+  pushInput({ type: 'submit', payload });
+}
+
+/**
+ * Build + add a falling sentence parent carrying its token list for the impact split.
+ * maxWidth (optional) shrinks the letter height so the sentence fits a comparison lane.
+ */
+function spawnSentenceParent(p, sentenceRaw, tokens, tokenizer, trace, x, y, maxWidth, fontSize, fractureDepth) {
+  let lh = computeDynamicLetterHeight(fontSize, sentenceRaw);
+  let parentEntry = makeWordEntry(p, sentenceRaw, x, y, { letterHeight: lh });
+  if (maxWidth && parentEntry.width > maxWidth) {
+    lh = Math.max(SENTENCE_SIZE_PARAMS.hardMinPx, Math.floor(lh * maxWidth / parentEntry.width));
+    parentEntry = makeWordEntry(p, sentenceRaw, x, y, { letterHeight: lh });
+  }
+  parentEntry.spawnMillis = getSimMillis();
+  parentEntry.sentenceText = sentenceRaw; // token byteSpans index this text
+  parentEntry.sentenceTokens = tokens.slice(); // store tokens for impact split
+  parentEntry.tokenizerName = tokenizer || null;
+  parentEntry.isSentenceParent = true;
+  parentEntry.midSplitDone = false;
+  parentEntry.fractureDepth = fractureDepth; // pinned at submission: a dropdown change affects new sentences only
+  parentEntry.fractureNext = parentEntry.fractureDepth === 'tokens' ? 'tokens' : 'words';
+  parentEntry.parentLetterHeight = lh; // tokens inherit this exact size
+  parentEntry.mergeTrace = trace || null;
+  addWordEntry(parentEntry);
+  return parentEntry;
 }
 
 /**
@@ -132,7 +285,8 @@ function maybeSpawnWord(p) {
   const item = wordQueue.shift();
   const x = p.width * 0.5;
   const y = -50;
-  const fontSize = getFontSize();
+  const fontSize = item.fontSize ?? getFontSize();
+  const fractureDepth = item.fractureDepth ?? getFractureDepth();
 
   if (typeof item === 'string') {
     const entry = makeWordEntry(p, item, x, y, { letterHeight: fontSize });
@@ -142,38 +296,184 @@ function maybeSpawnWord(p) {
 
   if (item && item.type === 'sentence' && Array.isArray(item.tokens) && item.tokens.length) {
     // Raw sentence (unmodified display; sanitization handled downstream)
-    const sentenceRaw = item.sentence || item.tokens.join('');
-    const dynamicLH = computeDynamicLetterHeight(fontSize, sentenceRaw);
-    const parentEntry = makeWordEntry(p, sentenceRaw, x, y, { letterHeight: dynamicLH });
-    parentEntry.spawnMillis = p.millis();
-    parentEntry.sentenceTokens = item.tokens.slice(); // store tokens for impact split
-    parentEntry.isSentenceParent = true;
-    parentEntry.midSplitDone = false;
-    parentEntry.parentLetterHeight = dynamicLH; // tokens inherit this exact size
-    addWordEntry(parentEntry);
+    const sentenceRaw = item.sentence || item.tokens.map(t => t.text).join('');
+    spawnSentenceParent(p, sentenceRaw, item.tokens, item.tokenizer, item.trace, x, y, 0, fontSize, fractureDepth);
+    return;
+  }
+
+  if (item && item.type === 'tokens' && Array.isArray(item.tokens) && item.tokens.length) {
+    if (isLaneMode()) {
+      const bounds = getLaneBounds(0);
+      laneStats[0] = { tokenizer: item.tokenizer, count: item.tokenCount ?? item.tokens.length };
+      spawnDecodedTokens(p, item, bounds.center, y, (bounds.x1 - bounds.x0) * LANE_FILL);
+    } else {
+      spawnDecodedTokens(p, item, x, y, p.width * 0.9);
+    }
     return;
   }
+
+  if (item && item.type === 'compare' && Array.isArray(item.lanes)) {
+    // Lanes only exist while compare mode is on; if it was switched off mid-queue, drop it
+    if (!isLaneMode()) return;
+    item.lanes.slice(0, 2).forEach((lane, i) => {
+      laneStats[i] = { tokenizer: lane.tokenizer, count: lane.tokenCount ?? lane.tokens.length };
+      if (!lane.tokens.length) return;
+      const bounds = getLaneBounds(i);
+      const sentenceRaw = item.sentence || lane.tokens.map(t => t.text).join('');
+      const parentEntry = spawnSentenceParent(
+        p, sentenceRaw, lane.tokens, lane.tokenizer, lane.trace, bounds.center, y,
+        (bounds.x1 - bounds.x0) * LANE_FILL, fontSize, fractureDepth
+      );
+      parentEntry.lane = i;
+    });
+  }
 }
 
 /**
  * Collapse handling: perform shatter only once.
+ * Soft mode only softens gravity; shatter mode also breaks every block into fragments. Each
+ * block gets its letters' share of what is left of PHYS.MAX_FRAGMENTS (at least one piece), so
+ * a big pile breaks coarser (down to runs of letters as one piece) instead of the last blocks
+ * staying whole. Only a pile with more blocks than the budget keeps some blocks whole.
  */
 let collapseActivated = false;
 function activateCollapse() {
   if (collapseActivated) return;
   collapseActivated = true;
-  // Mark collapse; soften gravity (tokens remain intact).
   markCollapsedNoShatter();
+  if (getSimSettings().collapseMode !== 'shatter') return;
+  // Static blocks (merge trace playback, reassembly line) are left whole
+  let lettersLeft = getWordBodies().reduce((n, e) => n + (e.body.isStatic ? 0 : e.letterRects.length), 0);
+  let budget = PHYS.MAX_FRAGMENTS;
+  shatterAll(entry => {
+    const letters = entry.letterRects.length;
+    const share = Math.min(budget, Math.max(1, Math.floor(budget * letters / Math.max(1, lettersLeft))));
+    lettersLeft -= letters;
+    if (share < 1) return null;
+    const fragments = createFragmentsForEntry(entry, { maxPieces: share });
+    budget -= fragments.length;
+    return fragments;
+  });
+  const alive = getWordBodies();
+  for (let i = pendingSplits.length - 1; i >= 0; i--) {
+    if (!alive.includes(pendingSplits[i])) pendingSplits.splice(i, 1);
+  }
 }
 
 /**
- * Full reset invoked by UI.
+ * Full reset invoked by UI. With a scene snapshot (scene.js) the fresh world is filled with
+ * its pile; the snapshot becomes part of the input log header, so replays start from it too.
  */
-function fullReset(p) {
+function fullReset(p, seed = SEED, scene = null) {
   collapseActivated = false;
   wordQueue.length = 0;
-  seedRandom(); // reset RNG to seed
-  resetPhysics(p.width, p.height);
+  laneStats[0] = laneStats[1] = null;
+  activeTraces.length = 0;
+  pendingSplits.length = 0;
+  resetSim(seed, p.width, p.height); // RNG back to the seed, fresh world
+  worldW = p.width;
+  worldH = p.height;
+  if (scene) {
+    restoreScene(p, scene);
+    collapseActivated = isCollapsed();
+  }
+  startRecording({ seed, width: p.width, height: p.height, laneMode: isLaneMode(), scene });
+}
+
+/*
+ * Load a snapshot (ui.js): a bad file throws before the current pile is touched. Should
+ * rebuilding it still fail, the pile as it was comes back before the error is passed on.
+ */
+function loadScene(p, scene) {
+  checkScene(scene);
+  const previous = serializeScene(p);
+  try {
+    setLaneMode(!!scene.laneMode);
+    fullReset(p, SEED, scene);
+  } catch (err) {
+    setLaneMode(!!previous.laneMode);
+    fullReset(p, SEED, previous);
+    throw err;
+  }
+}
+
+/* Submissions not yet dropped: the queue plus those still waiting for the next step */
+function queuedSubmissions() {
+  return [...wordQueue, ...pendingInputs('submit').map(i => i.payload)];
+}
+
+/* Page load: the autosaved pile; its queued submissions enter the new log at frame 0 */
+function restoreSession(p, session) {
+  if (!session) return;
+  try {
+    loadScene(p, session.scene);
+  } catch (err) {
+    console.warn('[autosave] Saved session could not be restored:', err.message);
+    clearAutosave();
+    fullReset(p);
+    return;
+  }
+  setCompareEnabled(isLaneMode());
+  for (const payload of session.queue) pushInput({ type: 'submit', payload });
+}
+
+/* Replay start: the log's canvas size and lane mode, then a reset with its seed */
+function resetForReplay(p, log) {
+  if (log.width !== p.width || log.height !== p.height) {
+    p.resizeCanvas(log.width, log.height);
+    prevW = log.width;
+    prevH = log.height;
+  }
+  setLaneMode(!!log.laneMode);
+  fullReset(p, log.seed, log.scene || null);
+}
+
+/* ---------------------------------------------------------------------------
+ * Simulation step (sim.js simTick): what it reads from the page and does to the pile
+ * ------------------------------------------------------------------------- */
+
+function readSettings() {
+  const reassembly = isReassemblyMode();
+  return {
+    collapseMode: getCollapseMode(),
+    fuseTokens: getFuseTokens(),
+    crane: isCraneMode(),
+    reassembly,
+    lineY: reassembly ? readingLineY() : null
+  };
+}
+
+/* A reverse-BPE merge logged by handleTokenContact: both blocks, by serial, if still there */
+function applyFuse(p, { left, right, token }) {
+  const words = getWordBodies();
+  const a = words.find(e => e.serial === left);
+  const b = words.find(e => e.serial === right);
+  if (a && b) fuseTokens(p, a, b, token);
+}
+
+/*
+ * Canvas size change (p.windowResized): the canvas takes the new size; with `rescale` the
+ * bodies keep their relative place (prevents sudden collapse) and walls / floors / crane move.
+ */
+function applyResize(p, { width, height, rescale }) {
+  if (width !== p.width || height !== p.height) p.resizeCanvas(width, height);
+  if (!rescale) return;
+  const scaleX = width / worldW;
+  const scaleY = height / worldH;
+  if ((Math.abs(scaleX - 1) > 0.001) || (Math.abs(scaleY - 1) > 0.001)) {
+    const entries = [...getWordBodies(), ...getFragmentBodies()];
+    for (const e of entries) {
+      const b = e.body;
+      Matter.Body.setPosition(b, {
+        x: b.position.x * scaleX,
+        y: b.position.y * scaleY
+      });
+    }
+  }
+  handleResize(width, height);
+  resizeCrane(width, height);
+  worldW = width;
+  worldH = height;
 }
 
 /**
@@ -182,48 +482,187 @@ function fullReset(p) {
  */
 function drawWords(p) {
   const words = getWordBodies();
+  const showIds = getShowTokenIds();
   p.push();
   for (const entry of words) {
+    if (entry.tracing) continue; // drawn by drawMergeTraces
     const b = entry.body;
     p.push();
     p.translate(b.position.x, b.position.y);
     p.rotate(b.angle);
     p.textAlign(p.CENTER, p.CENTER);
     for (const r of entry.letterRects) {
+      if (r.special) {
+        // Control token: one black pill, double outline, white glyphs
+        p.rectMode(p.CORNER);
+        p.noFill();
+        p.stroke(255);
+        p.strokeWeight(1);
+        p.rect(r.x - 3, r.y - 3, r.w + 6, r.h + 6, r.h / 2 + 3);
+        p.fill(0);
+        p.strokeWeight(2);
+        p.rect(r.x, r.y, r.w, r.h, r.h / 2);
+        p.noStroke();
+        p.fill(255);
+        p.textSize(r.h * 0.5);
+        p.text(r.char, r.x + r.w / 2, r.y + r.h / 2 + 1);
+        continue;
+      }
       // Subtle stroked white block (spec: white filled shape with 1px stroke)
       p.stroke(255);
       p.strokeWeight(1);
-      p.fill(255);
+      // subword markers ('##', '▁') are hollow blocks; loose bytes are grey cells
+      p.fill(r.marker ? 0 : r.hex ? 150 : 255);
       p.rectMode(p.CORNER);
       p.rect(r.x, r.y, r.w, r.h, 3);
       // Letter glyph (slightly smaller) to emphasize word meaning
       p.noStroke();
-      p.fill(0); // invert letter for contrast inside white block
-      p.textSize(r.h * 0.6);
+      p.fill(r.marker ? 255 : 0); // invert letter for contrast inside white block
+      p.textSize(r.h * (r.hex ? 0.42 : 0.6));
       p.text(r.char, r.x + r.w / 2, r.y + r.h / 2 + 1);
     }
+    if (showIds && entry.tokenId != null) {
+      // Small id label beneath the glyphs: what the model actually receives
+      p.fill(255, 200);
+      p.textSize(Math.max(9, entry.height * 0.3));
+      p.text(String(entry.tokenId), 0, entry.height / 2 + Math.max(7, entry.height * 0.22));
+    }
     p.pop();
   }
+  drawFragments(p);
   p.pop();
 }
 
-/* Fragment drawing removed (letters handle breakup) */
+/* Shatter fragments: filled triangles straight from the body vertices (world space) */
+function drawFragments(p) {
+  const fragments = getFragmentBodies();
+  if (!fragments.length) return;
+  p.noStroke();
+  for (const f of fragments) {
+    p.fill(f.tone);
+    p.beginShape();
+    for (const v of f.body.vertices) p.vertex(v.x, v.y);
+    p.endShape(p.CLOSE);
+  }
+}
+
+/**
+ * Ties between sibling tokens that split one multi-byte character: a bracket under both
+ * blocks (in each block's own frame) labelled with the character they share.
+ */
+function drawCharTies(p) {
+  const words = getWordBodies();
+  p.push();
+  p.textAlign(p.CENTER, p.TOP);
+  for (const entry of words) {
+    const next = entry.tieNext;
+    if (!next || !words.includes(next)) continue;
+    const foot = e => {
+      const d = e.height / 2 + 4;
+      const a = e.body.angle;
+      // local (0, d) rotated into world space
+      return { x: e.body.position.x - Math.sin(a) * d, y: e.body.position.y + Math.cos(a) * d };
+    };
+    const a = foot(entry);
+    const b = foot(next);
+    const drop = Math.max(5, entry.height * 0.15);
+    p.noFill();
+    p.stroke(255, 170);
+    p.strokeWeight(1.5);
+    p.beginShape();
+    p.vertex(a.x, a.y);
+    p.vertex(a.x, a.y + drop);
+    p.vertex(b.x, b.y + drop);
+    p.vertex(b.x, b.y);
+    p.endShape();
+    p.noStroke();
+    p.fill(255, 210);
+    p.textSize(Math.max(11, entry.height * 0.35));
+    p.text(entry.cutChar, (a.x + b.x) / 2, Math.max(a.y, b.y) + drop + 2);
+  }
+  p.pop();
+}
 
 /**
- * Impact-based sentence parent -> token split (refined).
+ * Compare mode overlay: divider line + per-lane token count header (below the UI block).
+ */
+function drawLanes(p) {
+  if (!isLaneMode()) return;
+  const uiRoot = document.getElementById('ui-root');
+  const headerY = (uiRoot ? uiRoot.getBoundingClientRect().bottom : 0) + 18;
+  p.push();
+  p.stroke(255, 60);
+  p.strokeWeight(1);
+  p.line(p.width / 2, headerY - 12, p.width / 2, p.height);
+  p.noStroke();
+  p.fill(255, 190);
+  p.textAlign(p.CENTER, p.CENTER);
+  p.textSize(14);
+  for (let i = 0; i < 2; i++) {
+    const stats = laneStats[i];
+    if (!stats) continue;
+    const bounds = getLaneBounds(i);
+    const unit = stats.count === 1 ? 'token' : 'tokens';
+    p.text(`${tokenizerLabel(stats.tokenizer)} · ${stats.count} ${unit}`, bounds.center, headerY);
+  }
+  p.pop();
+}
+
+/**
+ * Impact-based split of a block into its next fracture level (refined).
+ *
+ * Levels (entry.fractureNext, set from the sentence's pinned fractureDepth):
+ *  - 'words'  – sentence parent -> whitespace words (groupTokensIntoWords); one-token words
+ *               are created as token blocks right away
+ *  - 'tokens' – sentence parent or word -> its tokens
+ *  - 'bytes'  – token -> one block per letter rect (character, or hex byte cell)
+ *
+ * Impact energy (physics.js impactOf) picks the level: below PHYS.IMPACT_CRACK_ENERGY nothing
+ * happens, above it the block drops one level, and a sentence hit with
+ * PHYS.IMPACT_SHATTER_ENERGY skips the words; tokens need PHYS.IMPACT_BYTE_ENERGY. The pieces
+ * are pushed outward with impactStrength(energy).
  *
  * Goals:
  *  - Delay actual split by 1 frame after first collision to let parent settle into contact,
  *    reducing the visual "jump".
- *  - Spawn token bodies centered around the original parent body's center (symmetric layout)
+ *  - Spawn child bodies centered around the original parent body's center (symmetric layout)
  *    instead of expanding only to the right, avoiding lateral impulse.
  *  - Inherit parent linear + angular velocity and angle for continuity.
+ *  - Children are created in contact with whatever their parent hit: they only split again
+ *    on an impact after FRACTURE.rearmMs.
  */
 const pendingSplits = [];
 
-function scheduleSentenceSplit(entry, p) {
-  if (!entry || entry.midSplitDone || entry.splitScheduled) return;
+/* Level an impact splits the block into (null: too soft, or the block is not armed yet) */
+function fractureLevelFor(entry, impact, p) {
+  if (entry.fractureArmMillis && getSimMillis() < entry.fractureArmMillis) return null;
+  if (entry.fractureNext === 'bytes') return impact.energy >= PHYS.IMPACT_BYTE_ENERGY ? 'bytes' : null;
+  if (impact.energy < PHYS.IMPACT_CRACK_ENERGY) return null;
+  // A hard hit skips the word level
+  if (entry.fractureNext === 'words' && impact.energy >= PHYS.IMPACT_SHATTER_ENERGY) return 'tokens';
+  return entry.fractureNext;
+}
+
+/* Arm freshly split blocks for their next level */
+function armFracture(entries, next, p) {
+  for (const e of entries) {
+    e.fractureNext = next;
+    e.fractureArmMillis = getSimMillis() + FRACTURE.rearmMs;
+  }
+}
+
+function scheduleSplit(entry, p, level, impact) {
+  if (!entry || entry.midSplitDone) return;
+  const strength = impactStrength(impact.energy);
+  if (entry.splitScheduled) {
+    // Several contacts of one landing: the hardest decides
+    if (!entry._capturedState || strength <= entry._capturedState.strength) return;
+    entry._capturedState.strength = strength;
+    if (level === 'tokens') entry._splitLevel = level; // may now skip the word level
+    return;
+  }
   entry.splitScheduled = true;
+  entry._splitLevel = level;
   // Capture kinematic + pose state at scheduling time
   const b = entry.body;
   entry._capturedState = {
@@ -232,7 +671,8 @@ function scheduleSentenceSplit(entry, p) {
     angle: b.angle,
     vx: b.velocity.x,
     vy: b.velocity.y,
-    av: b.angularVelocity
+    av: b.angularVelocity,
+    strength
   };
   entry._delayFrames = 1; // one-frame delay
   pendingSplits.push(entry);
@@ -250,12 +690,20 @@ function processPendingSplits(p) {
       entry._delayFrames--;
       continue;
     }
+    // Slow split: play the merge trace first; the split resumes once playback finishes
+    if (entry.mergeTrace && !entry.traceDone) {
+      pendingSplits.splice(i, 1);
+      startMergeTrace(entry, p);
+      continue;
+    }
     // Perform the actual split now.
     const tokens = entry.sentenceTokens || [];
     entry.midSplitDone = true;
     pendingSplits.splice(i, 1);
 
-    if (!tokens.length) continue;
+    // A played merge trace already showed the tokens: skip the word level
+    const level = entry.traceDone ? 'tokens' : (entry._splitLevel || entry.fractureNext);
+    if (level !== 'bytes' && !tokens.length) continue;
 
     const parentState = entry._capturedState;
     const lh = entry.parentLetterHeight || entry.letterHeight || 34;
@@ -263,40 +711,397 @@ function processPendingSplits(p) {
     // Remove parent AFTER delay so physics remains coherent during waiting frame
     removeWordEntry(entry);
 
-    // First pass: create token entries all at the parent center so we can measure widths
-    const gap = 4;
-    const created = [];
-    let totalWidth = 0;
-    for (let ti = 0; ti < tokens.length; ti++) {
-      const token = tokens[ti];
-      const tokenEntry = makeWordEntry(p, token, parentState.x, parentState.y, { letterHeight: lh });
-      tokenEntry.isToken = true;
-      created.push(tokenEntry);
-      totalWidth += tokenEntry.width;
-      if (ti < tokens.length - 1) totalWidth += gap;
+    if (level === 'bytes') {
+      splitIntoPieces(p, entry, parentState);
+    } else if (level !== 'words' || !splitIntoWords(p, entry, tokens, parentState, lh)) {
+      const created = makeTokenEntries(p, tokens, parentState.x, parentState.y, lh, entry.tokenizerName, entry.direction);
+      linkSentence(created, entry.sentenceRef || entry);
+      placeTokenRow(created, tokens, parentState, entry.direction);
+      if (entry.fractureDepth === 'bytes') armFracture(created.filter(canBreakIntoPieces), 'bytes', p);
     }
+  }
+}
 
-    // Centered layout: distribute tokens symmetrically
-    let cursor = -totalWidth / 2;
-    for (const tokenEntry of created) {
-      const centerX = cursor + tokenEntry.width / 2;
-      // Minimal vertical jitter (±1px) to avoid z-fighting look
-      const yJitter = (rand() - 0.5) * 2;
-      // Reposition & orient
-      tokenEntry.body.angle = parentState.angle; // set directly before adding
-      Matter.Body.setPosition(tokenEntry.body, {
-        x: parentState.x + centerX,
-        y: parentState.y + yJitter
-      });
-      Matter.Body.setAngle(tokenEntry.body, parentState.angle);
-      Matter.Body.setVelocity(tokenEntry.body, { x: parentState.vx, y: parentState.vy });
-      Matter.Body.setAngularVelocity(tokenEntry.body, parentState.av);
-      addWordEntry(tokenEntry);
-      cursor += tokenEntry.width + gap;
+/**
+ * Words level: one block per whitespace word, each carrying its own tokens for the next impact.
+ * Returns false (caller splits straight into tokens) when there is nothing to gain: a single
+ * word, or tokens without byte spans.
+ */
+function splitIntoWords(p, entry, tokens, origin, lh) {
+  const groups = groupTokensIntoWords(entry.sentenceText || entry.word, tokens);
+  if (!groups || groups.length < 2) return false;
+  const sentence = entry.sentenceRef || entry;
+  const created = groups.map(g => {
+    if (g.tokens.length === 1) {
+      // Word == token: no intermediate block
+      const [tokenEntry] = makeTokenEntries(p, g.tokens, origin.x, origin.y, lh, entry.tokenizerName, entry.direction);
+      tokenEntry.sentenceRef = sentence;
+      if (entry.fractureDepth === 'bytes' && canBreakIntoPieces(tokenEntry)) armFracture([tokenEntry], 'bytes', p);
+      return tokenEntry;
+    }
+    const wordEntry = makeWordEntry(p, g.text, origin.x, origin.y, { letterHeight: lh, direction: entry.direction });
+    wordEntry.isWord = true;
+    wordEntry.sentenceRef = sentence;
+    wordEntry.sentenceTokens = g.tokens;
+    wordEntry.tokenizerName = entry.tokenizerName;
+    wordEntry.parentLetterHeight = lh;
+    wordEntry.fractureDepth = entry.fractureDepth;
+    armFracture([wordEntry], 'tokens', p);
+    return wordEntry;
+  });
+  placeTokenRow(created, groups, origin, entry.direction);
+  return true;
+}
+
+/* Bytes level: special tokens stay whole; single-piece tokens have nothing to break into */
+function canBreakIntoPieces(entry) {
+  return !entry.isSpecial && entry.letterRects.filter(r => r.char.trim()).length > 1;
+}
+
+/**
+ * Bytes level: every letter rect of a token (character, or hex byte cell of a partial-byte
+ * token) becomes its own block, placed where it was drawn. Blank (space) rects are dropped.
+ */
+function splitIntoPieces(p, entry, origin) {
+  const cos = Math.cos(origin.angle);
+  const sin = Math.sin(origin.angle);
+  for (const r of entry.letterRects) {
+    if (!r.char.trim()) continue;
+    const lx = r.x + r.w / 2;
+    const ly = r.y + r.h / 2;
+    const piece = makeWordEntry(p, r.hex ? `<${r.char}>` : r.char, origin.x, origin.y, {
+      letterHeight: r.h,
+      markerLength: r.marker ? r.char.length : 0,
+      hexBytes: r.hex,
+      direction: entry.direction
+    });
+    piece.isByte = true;
+    piece.tokenizerName = entry.tokenizerName;
+    Matter.Body.setPosition(piece.body, { x: origin.x + lx * cos - ly * sin, y: origin.y + lx * sin + ly * cos });
+    Matter.Body.setAngle(piece.body, origin.angle);
+    Matter.Body.setVelocity(piece.body, scatterVelocity(origin, lx, ly, entry.width / 2));
+    Matter.Body.setAngularVelocity(piece.body, origin.av);
+    addWordEntry(piece);
+  }
+}
+
+/**
+ * Token blocks for a token list, created at (x, y) so their widths can be measured
+ * (not yet added to the world). Byte siblings are linked through `tieNext`.
+ */
+const TOKEN_GAP = 4;
+
+function makeTokenEntries(p, tokens, x, y, lh, tokenizerName, direction) {
+  const created = [];
+  for (let ti = 0; ti < tokens.length; ti++) {
+    const token = tokens[ti];
+    const tokenEntry = makeWordEntry(p, token.text, x, y, {
+      letterHeight: lh,
+      markerLength: token.marker ? token.marker.length : 0,
+      hexBytes: !!token.partial,
+      special: !!token.special,
+      direction // tokens follow their sentence's paragraph direction
+    });
+    tokenEntry.isToken = true;
+    tokenEntry.tokenId = token.id;
+    tokenEntry.tokenRank = token.rank;
+    tokenEntry.byteSpan = token.byteSpan;
+    tokenEntry.cutChar = token.cutChar || null;
+    tokenEntry.isSpecial = !!token.special;
+    tokenEntry.tokenizerName = tokenizerName;
+    // Byte siblings: the token after a cut holds the rest of the same character
+    if (ti > 0 && created[ti - 1].cutChar) created[ti - 1].tieNext = tokenEntry;
+    created.push(tokenEntry);
+  }
+  return created;
+}
+
+/* Reassembly: tokens remember the sentence (sentenceTokens, sentenceText, direction) they belong to */
+function linkSentence(entries, sentence) {
+  for (const e of entries) e.sentenceRef = sentence;
+}
+
+/**
+ * Velocity of a piece at local offset (lx, ly) from a split's origin: the origin's velocity
+ * plus, for impact splits (origin.strength > 0), an outward push from the split point — tilted
+ * up, up to PHYS.IMPACT_SCATTER_SPEED, pieces further out (relative to `reach`) pushed more
+ * sideways.
+ */
+function scatterVelocity(origin, lx, ly, reach) {
+  const v = { x: origin.vx, y: origin.vy };
+  if (!origin.strength) return v;
+  const cos = Math.cos(origin.angle);
+  const sin = Math.sin(origin.angle);
+  const ox = lx / Math.max(1, reach);
+  const oy = ly / Math.max(1, reach);
+  const dx = ox * cos - oy * sin;
+  const dy = ox * sin + oy * cos - FRACTURE.upBias;
+  const len = Math.hypot(dx, dy) || 1;
+  const speed = origin.strength * PHYS.IMPACT_SCATTER_SPEED * (0.75 + rand() * 0.5);
+  v.x += (dx / len) * speed;
+  v.y += (dy / len) * speed;
+  return v;
+}
+
+/**
+ * Lay a row of token (or word) entries out around origin { x, y, angle, vx, vy, av, strength? }
+ * and add them to the world: centred, in visual order (RTL runs right-to-left), each inheriting
+ * the origin's pose and velocity (plus the impact scatter). Hex byte tokens take the direction
+ * of the character they cut (or their neighbours').
+ */
+function placeTokenRow(created, tokens, origin, direction) {
+  let totalWidth = 0;
+  created.forEach((e, ti) => { totalWidth += e.width + (ti < created.length - 1 ? TOKEN_GAP : 0); });
+  const bidiUnits = tokens.map((t, ti) => (t.partial ? (t.cutChar || '') : created[ti].word));
+  let cursor = -totalWidth / 2;
+  for (const ti of bidiOrder(bidiUnits, direction)) {
+    const tokenEntry = created[ti];
+    const centerX = cursor + tokenEntry.width / 2;
+    // Minimal vertical jitter (±1px) to avoid z-fighting look
+    const yJitter = (rand() - 0.5) * 2;
+    // Reposition & orient
+    tokenEntry.body.angle = origin.angle; // set directly before adding
+    Matter.Body.setPosition(tokenEntry.body, {
+      x: origin.x + centerX,
+      y: origin.y + yJitter
+    });
+    Matter.Body.setAngle(tokenEntry.body, origin.angle);
+    Matter.Body.setVelocity(tokenEntry.body, scatterVelocity(origin, centerX, 0, totalWidth / 2));
+    Matter.Body.setAngularVelocity(tokenEntry.body, origin.av);
+    addWordEntry(tokenEntry);
+    cursor += tokenEntry.width + TOKEN_GAP;
+  }
+}
+
+/**
+ * Token-ID input: decoded tokens drop already split (no sentence parent, no impact split).
+ * Rows wrap at maxWidth and stack upward so the first row lands on top.
+ */
+function spawnDecodedTokens(p, item, x, y, maxWidth) {
+  const lh = computeDynamicLetterHeight(item.fontSize ?? getFontSize(), item.sentence);
+  const direction = textDirection(item.sentence);
+  const created = makeTokenEntries(p, item.tokens, x, y, lh, item.tokenizer, direction);
+  // No sentence parent: the decoded ids are the sentence to reassemble
+  linkSentence(created, { sentenceText: item.sentence, sentenceTokens: item.tokens, direction });
+  if ((item.fractureDepth ?? getFractureDepth()) === 'bytes') armFracture(created.filter(canBreakIntoPieces), 'bytes', p);
+  const rows = [];
+  let row = null;
+  let rowWidth = 0;
+  created.forEach((e, ti) => {
+    if (!row || rowWidth + TOKEN_GAP + e.width > maxWidth) {
+      row = { entries: [], tokens: [] };
+      rows.push(row);
+      rowWidth = -TOKEN_GAP;
+    }
+    row.entries.push(e);
+    row.tokens.push(item.tokens[ti]);
+    rowWidth += TOKEN_GAP + e.width;
+  });
+  const rowGap = lh * 1.6;
+  rows.forEach((r, i) => {
+    const origin = { x, y: y - (rows.length - 1 - i) * rowGap, angle: 0, vx: 0, vy: 0, av: 0 };
+    placeTokenRow(r.entries, r.tokens, origin, direction);
+  });
+  return created;
+}
+
+/**
+ * Reverse-BPE fusion ("Fuse tokens"): when two token blocks start touching and the merge table
+ * has a rule for them, they fuse into the merged token's block.
+ *
+ *  - Order: reading order first (left block, then right; mirrored for RTL), then the reverse.
+ *  - The lookup is async (worker); both blocks must still be in the world when it returns.
+ *    The result enters the simulation as a logged 'fuse' input at the next step (replay.js);
+ *    while replaying, fusions come from the log instead.
+ *  - The fused block sits at the pair's centre of mass and keeps their combined linear
+ *    momentum (and mass-weighted spin); it flashes a weld outline captioned with the merge.
+ */
+function handleTokenContact(a, b, p) {
+  if (!getSimSettings().fuseTokens || isReplaying() || a.fusing || b.fusing) return;
+  if (a.tokenId == null || b.tokenId == null || a.isSpecial || b.isSpecial) return;
+  if (a.tokenizerName !== b.tokenizerName) return;
+  let [left, right] = a.body.position.x <= b.body.position.x ? [a, b] : [b, a];
+  if (left.direction === 'rtl') [left, right] = [right, left];
+  a.fusing = b.fusing = true;
+  const name = left.tokenizerName || undefined;
+  mergeTokensAsync(left.tokenId, right.tokenId, name)
+    .then(token => (token ? { token, left, right } : mergeTokensAsync(right.tokenId, left.tokenId, name)
+      .then(t => (t ? { token: t, left: right, right: left } : null))))
+    .then(found => {
+      a.fusing = b.fusing = false;
+      const words = getWordBodies();
+      if (found && words.includes(a) && words.includes(b)) {
+        pushInput({ type: 'fuse', left: found.left.serial, right: found.right.serial, token: found.token });
+      }
+    })
+    .catch(() => { a.fusing = b.fusing = false; });
+}
+
+function fuseTokens(p, left, right, token) {
+  const bl = left.body;
+  const br = right.body;
+  const mass = bl.mass + br.mass;
+  const x = (bl.position.x * bl.mass + br.position.x * br.mass) / mass;
+  const y = (bl.position.y * bl.mass + br.position.y * br.mass) / mass;
+  const momentum = {
+    x: bl.velocity.x * bl.mass + br.velocity.x * br.mass,
+    y: bl.velocity.y * bl.mass + br.velocity.y * br.mass
+  };
+  const spin = (bl.angularVelocity * bl.mass + br.angularVelocity * br.mass) / mass;
+  const angle = (bl.mass >= br.mass ? bl : br).angle;
+  removeWordEntry(left);
+  removeWordEntry(right);
+
+  const lh = left.letterHeight || right.letterHeight;
+  const [fused] = makeTokenEntries(p, [token], x, y, lh, left.tokenizerName, left.direction);
+  Matter.Body.setAngle(fused.body, angle);
+  Matter.Body.setVelocity(fused.body, { x: momentum.x / fused.body.mass, y: momentum.y / fused.body.mass });
+  Matter.Body.setAngularVelocity(fused.body, spin);
+  fused.weld = { millis: getSimMillis(), rank: token.rank, left: left.word, right: right.word };
+  if (left.fractureNext === 'bytes' || right.fractureNext === 'bytes') armFracture([fused], 'bytes', p);
+  addWordEntry(fused);
+}
+
+/* Weld flash: fading glow outlines around a freshly fused block + the merge that fused it */
+function drawWelds(p) {
+  const now = getSimMillis();
+  p.push();
+  for (const entry of getWordBodies()) {
+    if (!entry.weld) continue;
+    const t = (now - entry.weld.millis) / WELD.flashMs;
+    if (t >= 1) {
+      entry.weld = null;
+      continue;
+    }
+    const fade = 1 - t;
+    const b = entry.body;
+    p.push();
+    p.translate(b.position.x, b.position.y);
+    p.rotate(b.angle);
+    p.rectMode(p.CENTER);
+    p.noFill();
+    for (let k = 0; k < 3; k++) {
+      const grow = WELD.glowPx * (0.3 + k * 0.35) * (0.4 + 0.6 * fade);
+      p.stroke(255, 255 * fade * (1 - k * 0.3));
+      p.strokeWeight(3 - k);
+      p.rect(0, 0, entry.width + grow * 2, entry.height + grow * 2, 4 + grow);
+    }
+    p.pop();
+    p.noStroke();
+    p.fill(255, 220 * fade);
+    p.textAlign(p.CENTER, p.BOTTOM);
+    p.textSize(Math.max(11, entry.height * 0.32));
+    const rank = entry.weld.rank != null ? `merge #${entry.weld.rank}: ` : '';
+    p.text(`${rank}${entry.weld.left} + ${entry.weld.right}`, b.position.x, b.position.y - entry.height);
+  }
+  p.pop();
+}
+
+/**
+ * Slow split: merge trace playback.
+ *
+ *  - The parent is frozen in place (static) and hidden; its sentence is shown as single-byte
+ *    symbols which fuse one merge per step (rank order), the newest merge highlighted with its
+ *    rank and the two pieces it joined.
+ *  - When all merges have played, the parent is queued for the regular split with zero
+ *    velocity (the tokens drop from rest).
+ */
+const activeTraces = [];
+
+function startMergeTrace(entry, p) {
+  const { symbols, steps } = entry.mergeTrace;
+  Matter.Body.setStatic(entry.body, true); // hold pose while the merges play
+  entry.tracing = true;
+  entry.tracePlayback = {
+    symbols: symbols.slice(),
+    stepIndex: 0,
+    lastStep: null,
+    stepMs: Math.min(SLOW_SPLIT.stepMs, SLOW_SPLIT.maxMs / Math.max(1, steps.length)),
+    nextMillis: getSimMillis() + SLOW_SPLIT.holdMs
+  };
+  activeTraces.push(entry);
+}
+
+function updateMergeTraces(p) {
+  const now = getSimMillis();
+  for (let i = activeTraces.length - 1; i >= 0; i--) {
+    const entry = activeTraces[i];
+    const play = entry.tracePlayback;
+    const steps = entry.mergeTrace.steps;
+    while (play.stepIndex < steps.length && now >= play.nextMillis) {
+      const step = steps[play.stepIndex++];
+      play.symbols.splice(step.at, 2, step.text);
+      play.lastStep = step;
+      play.nextMillis += play.stepMs;
     }
+    if (play.stepIndex < steps.length || now < play.nextMillis + SLOW_SPLIT.holdMs) continue;
+    // Done: hand over to the regular split (tokens drop from rest)
+    activeTraces.splice(i, 1);
+    entry.tracing = false;
+    entry.traceDone = true;
+    const b = entry.body;
+    entry._capturedState = { x: b.position.x, y: b.position.y, angle: b.angle, vx: 0, vy: 0, av: 0 };
+    entry._delayFrames = 0;
+    pendingSplits.push(entry);
   }
 }
 
+function drawMergeTraces(p) {
+  if (!activeTraces.length) return;
+  p.push();
+  p.textFont(FONT_STACK);
+  for (const entry of activeTraces) {
+    const play = entry.tracePlayback;
+    const b = entry.body;
+    const lh = entry.parentLetterHeight || entry.letterHeight || 34;
+    // Same per-letter metrics as wordBody.js layoutLetters
+    p.textSize(lh * 0.78);
+    const texts = play.symbols.map(sym => sanitizeText(sym));
+    const widths = texts.map(t => {
+      let w = 0;
+      for (const ch of t) w += Math.max(8, p.textWidth(ch)) + WORD_PHYSICS_DEFAULTS.letterPaddingX;
+      return w;
+    });
+    const total = widths.reduce((a, w) => a + w, 0) + SLOW_SPLIT.gapPx * (widths.length - 1);
+    const newest = play.lastStep ? play.lastStep.at : -1;
+    // Symbols are in logical order; place them visually (RTL runs right-to-left)
+    const order = bidiOrder(texts, entry.direction);
+
+    p.push();
+    p.translate(b.position.x, b.position.y);
+    p.rotate(b.angle);
+    p.rectMode(p.CORNER);
+    p.textAlign(p.CENTER, p.CENTER);
+    let x = -total / 2;
+    for (const k of order) {
+      const w = widths[k];
+      if (texts[k].trim()) {
+        p.stroke(255);
+        p.strokeWeight(k === newest ? 3 : 1);
+        p.fill(255);
+        p.rect(x, -lh / 2, w, lh, 3);
+        p.noStroke();
+        p.fill(0);
+        p.textSize(lh * 0.6);
+        p.text(texts[k], x + w / 2, 1);
+      }
+      x += w + SLOW_SPLIT.gapPx;
+    }
+    p.pop();
+
+    if (play.lastStep) {
+      // Caption: which merge just fired
+      const { rank, left, right } = play.lastStep;
+      p.noStroke();
+      p.fill(255, 200);
+      p.textAlign(p.CENTER, p.BOTTOM);
+      p.textSize(Math.max(11, lh * 0.32));
+      p.text(`merge #${rank}: ${sanitizeText(left)} + ${sanitizeText(right)}`, b.position.x, b.position.y - lh);
+    }
+  }
+  p.pop();
+}
+
 /* Removed fallbackEnsureSentenceSplits: splitting now ONLY occurs on actual collision events (floor, wall, or another word body) to honor user-specified triggers. */
 
 // Instantiate p5 in instance mode
@@ -304,23 +1109,57 @@ new p5(p => {
   p5Instance = p;
 
   p.setup = function() {
-    p.createCanvas(window.innerWidth, window.innerHeight);
+    const canvas = p.createCanvas(window.innerWidth, window.innerHeight);
     // Adapt pixel density for crisper rendering on mobile / HiDPI while capping for performance.
     p.pixelDensity(Math.min(2, window.devicePixelRatio || 1));
-    // Use Unicode-capable font (Noto Sans first) for wider glyph coverage (em-dash, smart quotes, ellipsis)
-    p.textFont('Noto Sans, Helvetica, Arial, sans-serif');
+    // Use Unicode-capable fonts (Noto Sans + Hebrew / Arabic / CJK families) for real glyphs in any script
+    p.textFont(FONT_STACK);
     seedRandom();
     initPhysics(p.width, p.height);
-    // Register impact callback for tokenization
-    setSentenceImpactCallback(entry => {
-      scheduleSentenceSplit(entry, p);
+    worldW = p.width;
+    worldH = p.height;
+    startRecording({ seed: SEED, width: p.width, height: p.height, laneMode: isLaneMode(), scene: null });
+    initSim({
+      readSettings,
+      submit: payload => wordQueue.push(payload),
+      fuse: input => applyFuse(p, input),
+      resize: input => applyResize(p, input),
+      spawn: () => maybeSpawnWord(p),
+      afterStep: () => {
+        processPendingSplits(p);
+        updateMergeTraces(p);
+      },
+      onCollapse: activateCollapse
     });
-    // Crane removed
+    initReplay({ reset: log => resetForReplay(p, log), step: () => simTick(p) });
+    // Register impact callback for tokenization (and the later fracture levels)
+    setSentenceImpactCallback((entry, impact) => {
+      const level = fractureLevelFor(entry, impact, p);
+      if (level) scheduleSplit(entry, p, level, impact);
+    });
+    setTokenContactCallback((a, b) => handleTokenContact(a, b, p));
+    initCrane(p.width, p.height);
+    initPointer(canvas ? canvas.elt : null, pushInput);
+    initReassembly();
 
     initUI({
       onSubmit: enqueueWord,
-      onReset: () => fullReset(p)
+      onReset: () => {
+        fullReset(p);
+        clearAutosave();
+      },
+      onCompareChange: enabled => {
+        // Fresh pile per mode: the divider would otherwise spawn inside existing bodies
+        setLaneMode(enabled);
+        fullReset(p);
+      },
+      onReassembleChange: enabled => setReassemblyMode(enabled),
+      onCraneChange: enabled => setCraneMode(enabled),
+      onSaveScene: () => serializeScene(p),
+      onLoadScene: scene => loadScene(p, scene)
     });
+    restoreSession(p, readAutosave());
+    initAutosave(() => ({ scene: serializeScene(p), queue: queuedSubmissions() }));
 
     // Listen to visual viewport changes (iOS Safari address bar / orientation)
     if (window.visualViewport) {
@@ -334,6 +1173,8 @@ new p5(p => {
     lastMillis = p.millis();
   };
 
+  /* Canvas resizes go through the input log (applyResize, next step) like everything else that
+     changes the pile; the canvas keeps its size until then */
   p.windowResized = function() {
     const newW = window.innerWidth;
     const newH = window.innerHeight;
@@ -343,71 +1184,49 @@ new p5(p => {
     const heightDrop = prevH - newH;
     // Case 1: soft keyboard appeared (large vertical shrink, width stable) -> keep logical height for physics stability
     if (inputFocused && Math.abs(newW - prevW) < 5 && heightDrop > 140) {
-      p.resizeCanvas(newW, prevH);
+      pushInput({ type: 'resize', width: newW, height: prevH, rescale: false });
       return;
     }
     // Case 2: mobile browser UI chrome (address bar) show/hide minor vertical delta: accept new height for drawing
     // but skip physics world rebuild / body re-scaling to avoid jitter.
     if (!inputFocused && Math.abs(newW - prevW) < 5 && heightDrop > 0 && heightDrop < 140) {
-      p.resizeCanvas(newW, newH);
+      pushInput({ type: 'resize', width: newW, height: newH, rescale: false });
       prevH = newH;
       return;
     }
 
     // Normal / orientation resize (significant geometry change)
-    p.resizeCanvas(newW, newH);
     // Update pixel density in case DPR changed with orientation (some Android devices)
     p.pixelDensity(Math.min(2, window.devicePixelRatio || 1));
-
-    // Scale existing bodies proportionally to retain relative structure (prevents sudden collapse)
-    const scaleX = newW / prevW;
-    const scaleY = newH / prevH;
-    if ((Math.abs(scaleX - 1) > 0.001) || (Math.abs(scaleY - 1) > 0.001)) {
-      const entries = getWordBodies();
-      for (const e of entries) {
-        const b = e.body;
-        Matter.Body.setPosition(b, {
-          x: b.position.x * scaleX,
-          y: b.position.y * scaleY
-        });
-      }
-    }
-
-    handleResize(newW, newH);
+    // Bodies are scaled proportionally to retain relative structure
+    pushInput({ type: 'resize', width: newW, height: newH, rescale: true });
     prevW = newW;
     prevH = newH;
-    // Crane removed
   };
 
   p.draw = function() {
     const now = p.millis();
-    const dt = now - lastMillis;
+    // Fixed steps: as many as the elapsed time asks for (a slow frame catches up a few at most)
+    stepBudget += Math.min(now - lastMillis, PHYS.FIXED_STEP_MS * PHYS.MAX_STEPS_PER_FRAME);
     lastMillis = now;
 
     p.background(0);
 
-    // Spawn pending words (allowed even after collapse; new words auto-split if collapsed)
-    maybeSpawnWord(p);
-
-    // Crane removed
-
-    // Physics step
-    stepPhysics(dt);
-
-    // Process any delayed splits AFTER physics step, BEFORE rendering (only collision-triggered)
-    processPendingSplits(p);
-
-    // Impact-based token split handled by physics collision callback (no mid-fall check)
-
-    // Collapse detection
-    if (!isCollapsed()) {
-      const justCollapsed = checkAndFlagCollapse();
-      if (justCollapsed) {
-        activateCollapse();
-      }
+    // Pointer and wind changes become inputs, then the simulation steps
+    updatePointer(p);
+    while (stepBudget >= PHYS.FIXED_STEP_MS) {
+      stepBudget -= PHYS.FIXED_STEP_MS;
+      simTick(p);
     }
 
-    // Draw order: words
+    // Draw order: lanes, reading line, crane, words, byte ties, weld flashes, merge trace overlays, poke ripples
+    drawLanes(p);
+    drawReassembly(p);
+    drawCrane(p);
     drawWords(p);
+    drawCharTies(p);
+    drawWelds(p);
+    drawMergeTraces(p);
+    drawPointer(p);
   };
 });
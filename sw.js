@@ -0,0 +1,202 @@
+/**
+ * sw.js
+ * Offline-first service worker: precaches the app shell, p5 / Matter.js, the Noto Sans fonts and
+ * the local GPT‑2 tokenizer assets, so the installation loads and tokenizes with no network.
+ *
+ * Caching strategy:
+ *  - Install: CORE (shell + libraries + encoder.local.json / vocab.local.bpe) must all be cached,
+ *    or the install fails and the previous worker stays in charge. Fonts (every woff2 file the
+ *    Google Fonts stylesheet references) and OPTIONAL assets (larger rank files) are best effort.
+ *  - Same-origin requests: cache first, refreshed in the background (stale-while-revalidate);
+ *    navigations ignore the query string (?tokenizer=…, ?noWorker…). The multi-MB *.local.*
+ *    tokenizer files are cache first; a HEAD request in the background compares their ETag /
+ *    Content-Length with the cached copy and downloads them again only when one changed.
+ *  - CDN libraries / fonts: cache first (versioned, immutable URLs); misses are cached as they
+ *    are fetched.
+ *  - CACHE_NAME carries CACHE_VERSION and a hash of the CORE and OPTIONAL lists, so adding or
+ *    removing a precached file installs a fresh cache. Bump CACHE_VERSION to force a full
+ *    re-download when files change but the lists do not.
+ *  - Activate: caches from older CACHE_NAME versions are deleted.
+ *
+ * Messages:
+ *  <- { type: 'offline-status' }  -> replies { type: 'offline-status', ready, missing }
+ *  -> { type: 'offline-ready' } is posted to every client once install precaching finishes.
+ */
+
+const CORE = [
+  './',
+  './index.html',
+  './styles.css',
+  './manifest.webmanifest',
+  './favicon_blackF.png',
+  './sketch.js',
+  './sim.js',
+  './physics.js',
+  './pointer.js',
+  './reassembly.js',
+  './crane.js',
+  './replay.js',
+  './scene.js',
+  './autosave.js',
+  './wordBody.js',
+  './fragments.js',
+  './ui.js',
+  './utils.js',
+  './tokenizer.js',
+  './tokenizerCore.js',
+  './tokenizer.worker.js',
+  './assetCache.js',
+  './offline.js',
+  './encoder.local.json',
+  './vocab.local.bpe',
+  'https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.min.js',
+  'https://cdn.jsdelivr.net/npm/matter-js@0.20.0/build/matter.min.js'
+];
+
+const FONT_CSS = 'https://fonts.googleapis.com/css2?family=Noto+Sans:wght@400;500;600&family=Noto+Sans+Hebrew:wght@400;500&family=Noto+Sans+Arabic:wght@400;500&family=Noto+Sans+JP:wght@400;500&family=Noto+Sans+SC:wght@400;500&display=swap';
+
+// Other registered tokenizers' local files, when the installation ships them
+const OPTIONAL = [
+  './cl100k_base.local.tiktoken',
+  './o200k_base.local.tiktoken',
+  './bert-base-uncased.local.vocab.txt'
+];
+
+const CACHE_VERSION = 2;
+
+// FNV-1a over the precache lists (base 36): a new or dropped file gives a new cache
+function listHash(urls) {
+  let h = 0x811c9dc5;
+  for (const ch of urls.join('\n')) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+const CACHE_NAME = `fragile-words-v${CACHE_VERSION}-${listHash([...CORE, ...OPTIONAL])}`;
+
+function toRequest(url) {
+  const abs = new URL(url, self.location);
+  return new Request(abs, { mode: abs.origin === self.location.origin ? 'same-origin' : 'cors' });
+}
+
+async function cacheFonts(cache) {
+  const cssResponse = await fetch(toRequest(FONT_CSS));
+  if (!cssResponse.ok) throw new Error('HTTP ' + cssResponse.status);
+  await cache.put(FONT_CSS, cssResponse.clone());
+  const css = await cssResponse.text();
+  const fontUrls = Array.from(new Set(Array.from(css.matchAll(/url\((https:[^)]+)\)/g), m => m[1])));
+  const results = await Promise.allSettled(fontUrls.map(url => cache.add(toRequest(url))));
+  const failed = results.filter(r => r.status === 'rejected').length;
+  if (failed) console.warn('[sw] Fonts: ' + failed + ' of ' + fontUrls.length + ' files not cached.');
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(CORE.map(toRequest));
+    await Promise.allSettled([
+      cacheFonts(cache).catch(err => console.warn('[sw] Font stylesheet not cached.', err)),
+      ...OPTIONAL.map(url => cache.add(toRequest(url)))
+    ]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith('fragile-words-') && n !== CACHE_NAME).map(n => caches.delete(n)));
+    await self.clients.claim();
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(c => c.postMessage({ type: 'offline-ready' }));
+  })());
+});
+
+async function missingCore() {
+  const cache = await caches.open(CACHE_NAME);
+  const missing = [];
+  for (const url of CORE) {
+    if (!(await cache.match(new URL(url, self.location).href))) missing.push(url);
+  }
+  return missing;
+}
+
+self.addEventListener('message', event => {
+  if (!event.data || event.data.type !== 'offline-status') return;
+  event.waitUntil(missingCore().then(missing => {
+    event.source.postMessage({ type: 'offline-status', ready: !missing.length, missing });
+  }));
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
+
+async function staleWhileRevalidate(event, request, key = request) {
+  const cache = await caches.open(CACHE_NAME);
+  const hit = await cache.match(key);
+  const refresh = fetch(request).then(response => {
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  });
+  if (hit) {
+    event.waitUntil(refresh.catch(() => {}));
+    return hit;
+  }
+  return refresh;
+}
+
+const LARGE_ASSET = /\.local\.[^/]+$/; // encoder.local.json, vocab.local.bpe, *.local.tiktoken…
+
+// Same file on the server as in the cache? Compared by ETag, else by Content-Length; a header
+// the server does not send is not evidence of a change
+function sameAsset(cached, head) {
+  const etag = head.headers.get('ETag');
+  if (etag && cached.headers.get('ETag')) return etag === cached.headers.get('ETag');
+  const size = head.headers.get('Content-Length');
+  if (size && cached.headers.get('Content-Length')) return size === cached.headers.get('Content-Length');
+  return true;
+}
+
+// Cache first for the large tokenizer files; a cheap HEAD decides whether to download again
+async function cacheFirstRevalidated(event, request) {
+  const cache = await caches.open(CACHE_NAME);
+  const hit = await cache.match(request);
+  if (!hit) return cacheFirst(request);
+  event.waitUntil((async () => {
+    const head = await fetch(request.url, { method: 'HEAD', cache: 'no-cache' });
+    if (!head.ok || sameAsset(hit, head)) return;
+    const response = await fetch(request.url, { cache: 'no-cache' });
+    if (response.ok) await cache.put(request, response);
+  })().catch(() => {}));
+  return hit;
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate') {
+      // One cached page for every query-string variant
+      event.respondWith(staleWhileRevalidate(event, request, new URL('./index.html', self.location).href));
+    } else if (LARGE_ASSET.test(url.pathname)) {
+      // Multi-MB tokenizer files: no background re-download on every load
+      event.respondWith(cacheFirstRevalidated(event, request));
+    } else {
+      event.respondWith(staleWhileRevalidate(event, request));
+    }
+    return;
+  }
+  if (url.hostname === 'cdn.jsdelivr.net' || url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(cacheFirst(request));
+  }
+  // Anything else (remote tokenizer endpoints) goes to the network untouched
+});
@@ -0,0 +1,146 @@
+/**
+ * test/autosave.test.js
+ * The autosaved session (autosave.js) against an in-memory localStorage: a good record comes
+ * back (a shattered pile with its fragments), a bad one is deleted, malformed queued submissions
+ * are dropped from an otherwise good one.
+ */
+
+import { createCanvasStub } from './headless.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetPhysics, addWordEntry, getWordBodies, getFragmentBodies, shatterAll } from '../physics.js';
+import { makeWordEntry } from '../wordBody.js';
+import { createFragmentsForEntry } from '../fragments.js';
+import { serializeScene, restoreScene } from '../scene.js';
+import { AUTOSAVE, initAutosave, saveNow, readAutosave, clearAutosave } from '../autosave.js';
+
+const p = createCanvasStub();
+const store = new Map();
+globalThis.localStorage = {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key)
+};
+globalThis.window = { location: { search: '' } };
+
+const sentence = {
+  type: 'sentence',
+  sentence: 'Still queued',
+  tokenizer: 'gpt2',
+  tokens: [{ id: 18380, text: 'Still', rank: 1, byteSpan: [0, 5] }, { id: 8358, text: ' queued', rank: 2, byteSpan: [5, 12] }],
+  fontSize: 48,
+  fractureDepth: 'words'
+};
+
+let session;
+
+function pileScene() {
+  resetPhysics(p.width, p.height);
+  addWordEntry(makeWordEntry(p, 'Fragile', 300, 400, { letterHeight: 40 }));
+  return JSON.parse(JSON.stringify(serializeScene(p)));
+}
+
+function writeRecord(record) {
+  store.set(AUTOSAVE.key, typeof record === 'string' ? record : JSON.stringify(record));
+}
+
+// Quiet the expected warnings
+console.warn = () => {};
+
+// With ?noAutosave initAutosave only takes the session callback (no timer, no page listeners)
+window.location.search = '?noAutosave=1';
+initAutosave(() => session);
+window.location.search = '';
+
+describe('autosave', () => {
+  beforeEach(() => {
+    store.clear();
+    session = { scene: pileScene(), queue: [] };
+  });
+
+  it('restores a saved session', () => {
+    session.queue = ['plain', sentence];
+    saveNow();
+    const restored = readAutosave();
+    assert.deepEqual(restored.scene, session.scene);
+    assert.deepEqual(restored.queue, ['plain', sentence]);
+    assert.equal(typeof restored.savedAt, 'string');
+  });
+
+  it('restores a shattered pile with its fragments', () => {
+    shatterAll(entry => createFragmentsForEntry(entry));
+    const tones = getFragmentBodies().map(f => f.tone);
+    assert.ok(tones.length > 0);
+    session = { scene: JSON.parse(JSON.stringify(serializeScene(p))), queue: [] };
+    saveNow();
+    assert.equal(store.has(AUTOSAVE.key), true, 'a pile of fragments is not an empty session');
+
+    const restored = readAutosave();
+    resetPhysics(p.width, p.height);
+    restoreScene(p, restored.scene);
+    assert.equal(getWordBodies().length, 0);
+    assert.deepEqual(getFragmentBodies().map(f => f.tone), tones);
+  });
+
+  it('does not store an empty session', () => {
+    session = { scene: { ...session.scene, entries: [] }, queue: [] };
+    writeRecord('stale');
+    saveNow();
+    assert.equal(store.has(AUTOSAVE.key), false);
+    assert.equal(readAutosave(), null);
+  });
+
+  it('discards unparseable records, other versions and bad scenes', () => {
+    const bad = {
+      'not JSON': '{"version": 1,',
+      'another version': { version: AUTOSAVE.version + 1, scene: session.scene, queue: [] },
+      'a bad scene': { version: AUTOSAVE.version, scene: { ...session.scene, entries: [{ ...session.scene.entries[0], text: '' }] }, queue: [] }
+    };
+    for (const [what, record] of Object.entries(bad)) {
+      writeRecord(record);
+      assert.equal(readAutosave(), null, what);
+      assert.equal(store.has(AUTOSAVE.key), false, `${what}: the record should be deleted`);
+    }
+  });
+
+  it('drops malformed queued submissions and keeps the rest', () => {
+    const compare = { type: 'compare', sentence: 'x', lanes: [{ tokenizer: 'gpt2', tokens: [{ text: 'x' }] }, { tokenizer: 'cl100k_base', tokens: [] }] };
+    writeRecord({
+      version: AUTOSAVE.version,
+      scene: session.scene,
+      queue: [
+        'plain',
+        '',
+        42,
+        null,
+        sentence,
+        { ...sentence, tokens: [] },
+        { ...sentence, tokens: 'Still queued' },
+        { ...sentence, tokens: [{ id: 1 }] },
+        { ...sentence, fontSize: -3 },
+        { ...sentence, fractureDepth: 'atoms' },
+        { ...sentence, type: 'poem' },
+        compare,
+        { ...compare, lanes: [{ tokens: null }] }
+      ]
+    });
+    const restored = readAutosave();
+    assert.deepEqual(restored.queue, ['plain', sentence, compare]);
+    assert.deepEqual(restored.scene, session.scene);
+  });
+
+  it('treats a missing queue as empty', () => {
+    writeRecord({ version: AUTOSAVE.version, scene: session.scene });
+    assert.deepEqual(readAutosave().queue, []);
+  });
+
+  it('is off with ?noAutosave and cleared by clearAutosave', () => {
+    saveNow();
+    window.location.search = '?noAutosave=1';
+    assert.equal(readAutosave(), null);
+    window.location.search = '';
+    assert.notEqual(readAutosave(), null);
+    clearAutosave();
+    assert.equal(readAutosave(), null);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * test/bpe.test.js
+ * The heap + linked-list BPE merge and the bounded LRU cache behind it (tokenizerCore.js),
+ * on small hand-written merge tables.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { bpe, createLruCache, BPE_CACHE_DEFAULT_SIZE } from '../tokenizerCore.js';
+
+// pairRank over a merge list: the rule's index is its rank (several rules may share one)
+function ranker(rules) {
+  const ranks = new Map(rules.map(([a, b, rank]) => [`${a} ${b}`, rank]));
+  return (a, b) => ranks.get(`${a} ${b}`);
+}
+
+describe('bpe', () => {
+  it('applies the lowest rank first', () => {
+    const rank = ranker([['b', 'c', 0], ['a', 'b', 1], ['a', 'bc', 2]]);
+    assert.deepEqual(bpe('abc', rank, createLruCache()), ['abc']);
+    assert.deepEqual(bpe('abd', rank, createLruCache()), ['ab', 'd']);
+  });
+
+  it('merges tied ranks left to right', () => {
+    // 'aaa': both 'a a' pairs rank 0; the leftmost fuses and the right 'a' is left over
+    const rank = ranker([['a', 'a', 0]]);
+    const trace = [];
+    assert.deepEqual(bpe('aaa', rank, createLruCache(), trace), ['aa', 'a']);
+    assert.deepEqual(trace, [{ rank: 0, at: 0 }]);
+    assert.deepEqual(bpe('aaaa', rank, createLruCache()), ['aa', 'aa']);
+  });
+
+  it('breaks ties between different pairs by position', () => {
+    // 'x y' and 'y z' share rank 0: 'x y' starts further left and wins, leaving 'z' alone
+    const rank = ranker([['x', 'y', 0], ['y', 'z', 0], ['xy', 'z', 1]]);
+    const trace = [];
+    assert.deepEqual(bpe('xyz', rank, createLruCache(), trace), ['xyz']);
+    assert.deepEqual(trace, [{ rank: 0, at: 0 }, { rank: 1, at: 0 }]);
+  });
+
+  it('skips heap entries made stale by a neighbouring merge', () => {
+    // 'c d' (rank 2) is queued first but 'b c' (rank 0) takes the 'c'; then 'bc d' (rank 1)
+    const rank = ranker([['b', 'c', 0], ['bc', 'd', 1], ['c', 'd', 2]]);
+    const trace = [];
+    assert.deepEqual(bpe('abcd', rank, createLruCache(), trace), ['a', 'bcd']);
+    assert.deepEqual(trace, [{ rank: 0, at: 1 }, { rank: 1, at: 1 }]);
+  });
+
+  it('reports trace positions in the word as it stands at each merge', () => {
+    const rank = ranker([['c', 'd', 0], ['a', 'b', 1], ['ab', 'cd', 2]]);
+    const trace = [];
+    assert.deepEqual(bpe('abcd', rank, createLruCache(), trace), ['abcd']);
+    assert.deepEqual(trace, [{ rank: 0, at: 2 }, { rank: 1, at: 0 }, { rank: 2, at: 0 }]);
+  });
+
+  it('caches results and bypasses the cache when tracing', () => {
+    let calls = 0;
+    const rank = (a, b) => { calls++; return a === 'a' && b === 'b' ? 0 : undefined; };
+    const cache = createLruCache();
+    assert.deepEqual(bpe('ab', rank, cache), ['ab']);
+    const after = calls;
+    assert.deepEqual(bpe('ab', rank, cache), ['ab']);
+    assert.equal(calls, after, 'a cache hit must not rank pairs again');
+    bpe('ab', rank, cache, []);
+    assert.ok(calls > after, 'a traced merge must not come from the cache');
+  });
+});
+
+describe('createLruCache', () => {
+  it('defaults to BPE_CACHE_DEFAULT_SIZE entries', () => {
+    const cache = createLruCache();
+    assert.equal(cache.limit, BPE_CACHE_DEFAULT_SIZE);
+    for (let i = 0; i <= BPE_CACHE_DEFAULT_SIZE; i++) cache.set(`k${i}`, i);
+    assert.equal(cache.size, BPE_CACHE_DEFAULT_SIZE);
+    assert.equal(cache.get('k0'), undefined);
+    assert.equal(cache.get(`k${BPE_CACHE_DEFAULT_SIZE}`), BPE_CACHE_DEFAULT_SIZE);
+  });
+
+  it('evicts the least recently used key', () => {
+    const cache = createLruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    assert.equal(cache.get('a'), 1); // 'a' is now the most recent
+    cache.set('c', 3);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+    assert.equal(cache.size, 2);
+  });
+
+  it('refreshes a key on overwrite', () => {
+    const cache = createLruCache(2);
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 10);
+    cache.set('c', 3);
+    assert.equal(cache.get('a'), 10);
+    assert.equal(cache.get('b'), undefined);
+  });
+
+  it('evicts the oldest keys when shrunk and stores nothing at size 0', () => {
+    const cache = createLruCache(4);
+    for (const k of ['a', 'b', 'c', 'd']) cache.set(k, k);
+    cache.resize(2);
+    assert.equal(cache.limit, 2);
+    assert.equal(cache.size, 2);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('d'), 'd');
+    cache.resize(0);
+    assert.equal(cache.size, 0);
+    cache.set('e', 'e');
+    assert.equal(cache.get('e'), undefined);
+  });
+
+  it('clears', () => {
+    const cache = createLruCache(3);
+    cache.set('a', 1);
+    cache.clear();
+    assert.equal(cache.size, 0);
+    assert.equal(cache.get('a'), undefined);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * test/fragments.test.js
+ * Shatter fragments (fragments.js) on a headless world: a block breaks into
+ * FRAG_DEFAULTS.piecesPerLetter pieces per letter, and within a smaller maxPieces budget
+ * into fewer, down to runs of letters as one piece, still covering the whole block.
+ */
+
+import { createCanvasStub } from './headless.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetPhysics } from '../physics.js';
+import { makeWordEntry } from '../wordBody.js';
+import { createFragmentsForEntry, FRAG_DEFAULTS } from '../fragments.js';
+import { seedRandom, SEED } from '../utils.js';
+
+const p = createCanvasStub();
+const TEXT = 'Fragile words';
+
+let entry;
+
+beforeEach(() => {
+  seedRandom(SEED);
+  resetPhysics(p.width, p.height);
+  entry = makeWordEntry(p, TEXT, 600, 400, { letterHeight: 40 });
+});
+
+const areaOf = fragments => fragments.reduce((sum, f) => sum + f.body.area, 0);
+const lettersArea = e => e.letterRects.reduce((sum, r) => sum + r.w * r.h, 0);
+
+describe('createFragmentsForEntry', () => {
+  it('breaks every letter into piecesPerLetter pieces by default', () => {
+    const n = entry.letterRects.length;
+    const fragments = createFragmentsForEntry(entry);
+    assert.ok(fragments.length > n * 4 && fragments.length <= n * FRAG_DEFAULTS.piecesPerLetter, `${fragments.length} pieces`);
+  });
+
+  it('lowers the pieces per letter to stay within maxPieces', () => {
+    const n = entry.letterRects.length;
+    for (const maxPieces of [n * 5, n * 2, n]) {
+      const fragments = createFragmentsForEntry(entry, { maxPieces });
+      assert.ok(fragments.length >= n / 2 && fragments.length <= maxPieces, `maxPieces ${maxPieces}: ${fragments.length} pieces`);
+    }
+  });
+
+  it('breaks runs of letters off together below one piece per letter', () => {
+    for (const maxPieces of [5, 2, 1]) {
+      const fragments = createFragmentsForEntry(entry, { maxPieces });
+      assert.equal(fragments.length, maxPieces);
+      assert.ok(areaOf(fragments) >= lettersArea(entry) * 0.99, `maxPieces ${maxPieces}: the pieces cover every letter`);
+    }
+  });
+
+  it('keeps the pieces where the block was', () => {
+    const fragments = createFragmentsForEntry(entry, { maxPieces: 3 });
+    const { min, max } = entry.body.bounds;
+    for (const { body } of fragments) {
+      assert.ok(body.position.x > min.x && body.position.x < max.x && body.position.y > min.y && body.position.y < max.y);
+    }
+  });
+});
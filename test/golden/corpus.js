@@ -0,0 +1,95 @@
+/**
+ * test/golden/corpus.js
+ * Tricky strings for the golden-vector suite: each one targets a place where a byte-level
+ * BPE port tends to drift from the reference (pre-token regex, merges parsing, byte mapping).
+ * Expected ids live next to this file, one JSON file per tokenizer (see generate.js).
+ *
+ * Keep labels unique and stable: they key the expected ids. Cases are encoded with specialMode
+ * 'escaped' (special-token text is plain text) unless they set `special: true`.
+ *
+ * WORDPIECE_CORPUS feeds bert-base-uncased (WordPiece, not byte-level).
+ */
+
+export const CORPUS = [
+  // Contractions: GPT‑2's pattern only knows lowercase ASCII apostrophe forms
+  { label: 'contractions', text: "I'm sure you're right, they'll see we've tried and she'd know it's done." },
+  { label: 'contractions-negative', text: "don't can't won't shouldn't isn't" },
+  { label: 'contractions-uppercase', text: "I'M SURE YOU'RE RIGHT, THEY'LL SEE" },
+  { label: 'contractions-curly', text: 'I’m sure you’re right, it’s fine' },
+  { label: 'possessive-plural', text: "the dogs' toys and James's book" },
+  { label: 'apostrophe-alone', text: "' ''' 'tis 'twas rock 'n' roll" },
+
+  // Numbers: digit runs, separators, non-ASCII digits and numeric symbols
+  { label: 'numbers-integers', text: '0 7 42 123 1234 12345 1234567890 00042' },
+  { label: 'numbers-separators', text: '3.14159 1,000,000 -273.15 +1e-9 50% $19.99' },
+  { label: 'numbers-dates', text: '2024-01-31T23:59:59Z 31/12/1999 v1.2.3' },
+  { label: 'numbers-hex', text: '0x1F 0xDEADBEEF #ff8800' },
+  { label: 'numbers-other-scripts', text: '٤٥٦ ١٢٣ १२३ 一二三 ½ ² Ⅻ' },
+
+  // Whitespace runs: `\s+(?!\S)` leaves the last space for the following word
+  { label: 'spaces-between', text: 'a  b   c    d' },
+  { label: 'spaces-leading', text: '   leading' },
+  { label: 'spaces-trailing', text: 'trailing   ' },
+  { label: 'spaces-only', text: '     ' },
+  { label: 'tabs', text: '\tone\t\ttwo\t\t\tthree' },
+  { label: 'newlines', text: '\n\nfirst\n\nsecond\n \n third\n' },
+  { label: 'crlf', text: 'line one\r\nline two\r\n\r\n' },
+  { label: 'whitespace-mixed', text: 'x \t \n \r\n  y' },
+  { label: 'whitespace-unicode', text: 'no\u00a0break em\u2003space ideo\u3000graphic zero\u200bwidth' },
+
+  // Emoji: multi-byte sequences that BPE splits into partial-byte tokens
+  { label: 'emoji-simple', text: 'I love it 🙂😂🔥' },
+  { label: 'emoji-zwj', text: 'family 👨‍👩‍👧‍👦 and 🏳️‍🌈' },
+  { label: 'emoji-flags', text: '🇮🇱 🇺🇸🇯🇵' },
+  { label: 'emoji-skin-tone', text: '👍🏽 👋🏿' },
+  { label: 'emoji-keycap', text: '1️⃣ #️⃣' },
+
+  // Mixed scripts
+  { label: 'hebrew', text: 'שלום עולם, מה שלומך?' },
+  { label: 'arabic', text: 'مرحبا بالعالم' },
+  { label: 'cjk', text: '你好，世界！日本語のテキスト' },
+  { label: 'korean', text: '안녕하세요 세계' },
+  { label: 'cyrillic', text: 'Привет мир' },
+  { label: 'devanagari', text: 'नमस्ते दुनिया' },
+  { label: 'thai', text: 'สวัสดีชาวโลก' },
+  { label: 'greek', text: 'Καλημέρα κόσμε' },
+  { label: 'latin-accents', text: 'Café naïve résumé — déjà vu' },
+  { label: 'latin-combining', text: 'Cafe\u0301 nai\u0308ve (decomposed)' },
+  { label: 'mixed-scripts', text: 'Fragile מילים كلمات 言葉 слова 123!' },
+
+  // Byte-mapping and merges edge cases
+  { label: 'hash-runs', text: '# ## ### #### ######## ################' },
+  { label: 'hash-markdown', text: '## Heading\n#hashtag #$ $#' },
+  { label: 'byte-mapped-chars', text: 'ĠĊ Ġt ċ ÿ ¡ ¬ ® soft\u00adhyphen' },
+  { label: 'control-chars', text: 'nul\u0000bell\u0007esc\u001bdel\u007f' },
+  { label: 'punctuation-runs', text: '...!!!??? --- *** ~~~ ((([[[{{{' },
+  { label: 'code', text: 'function f(x) {\n    return x => x ** 2; // ok\n}' },
+  { label: 'url', text: 'https://example.com/path?q=1&r=two#frag' },
+  { label: 'repeated-letters', text: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa' },
+  { label: 'long-word', text: 'Pneumonoultramicroscopicsilicovolcanoconiosis antidisestablishmentarianism' },
+  { label: 'astral-plane', text: '𝔉𝔯𝔞𝔤𝔦𝔩𝔢 𝐰𝐨𝐫𝐝𝐬 𓀀' },
+  { label: 'special-escaped', text: 'a <|endoftext|> as plain text' },
+  { label: 'special-allowed', text: 'end<|endoftext|>start <|endoftext|>', special: true }
+];
+
+/*
+ * WordPiece (bert-base-uncased) cases. The reference (bert-tokenizer, see generate.js) follows
+ * BERT's basic tokenizer only for single-spaced text: it turns whitespace runs into [UNK], splits
+ * punctuation by Unicode category P only (not `$+<=>^|~`), mis-strips some accents and keeps CJK
+ * runs whole. The shared cases are the CORPUS strings outside those gaps.
+ */
+const WORDPIECE_SHARED = [
+  'contractions', 'contractions-negative', 'contractions-uppercase', 'contractions-curly',
+  'possessive-plural', 'numbers-integers', 'numbers-dates', 'numbers-hex', 'emoji-simple',
+  'emoji-zwj', 'hebrew', 'arabic', 'cyrillic', 'devanagari', 'thai', 'latin-combining',
+  'control-chars', 'repeated-letters', 'long-word'
+];
+
+export const WORDPIECE_CORPUS = [
+  ...CORPUS.filter(c => WORDPIECE_SHARED.includes(c.label)),
+  // Lowercasing + greedy longest-match continuation pieces ('##…')
+  { label: 'wordpiece-subwords', text: 'i like strawberries' },
+  { label: 'wordpiece-continuations', text: 'The unaffable unbelievability of tokenization.' },
+  { label: 'wordpiece-uppercase', text: 'HELLO World, Fragile WORDS break APART!' },
+  { label: 'wordpiece-punctuation', text: 'wait... (really?) "yes" - no; fine: ok!' }
+];
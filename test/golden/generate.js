@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * test/golden/generate.js
+ * Regenerates the expected ids of the golden-vector suite from reference tokenizers:
+ *  - js-tiktoken (a port of OpenAI's tiktoken that ships the reference gpt2 / cl100k_base /
+ *    o200k_base ranks) for CORPUS
+ *  - bert-tokenizer (BERT's basic + WordPiece tokenizer, its own copy of the bert-base-uncased
+ *    vocab) for WORDPIECE_CORPUS
+ * Only needed when a corpus changes; the tests themselves never touch the references.
+ *
+ * Usage: npm run golden            (all reference tokenizers)
+ *        node test/golden/generate.js gpt2
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { CORPUS, WORDPIECE_CORPUS } from './corpus.js';
+
+const require = createRequire(import.meta.url);
+
+function tiktokenReference(name) {
+  const { getEncoding } = require('js-tiktoken');
+  const enc = getEncoding(name);
+  return {
+    reference: 'js-tiktoken',
+    corpus: CORPUS,
+    // 'escaped' cases: special-token text is ordinary text, never an error
+    encode: (text, special) => (special ? enc.encode(text, 'all') : enc.encode(text, [], []))
+  };
+}
+
+function bertReference() {
+  const { BertTokenizer } = require('bert-tokenizer');
+  const tokenizer = new BertTokenizer(require.resolve('bert-tokenizer/assets/vocab.json'), true);
+  return { reference: 'bert-tokenizer', corpus: WORDPIECE_CORPUS, encode: text => tokenizer.tokenize(text) };
+}
+
+const REFERENCES = {
+  gpt2: () => tiktokenReference('gpt2'),
+  cl100k_base: () => tiktokenReference('cl100k_base'),
+  o200k_base: () => tiktokenReference('o200k_base'),
+  'bert-base-uncased': bertReference
+};
+
+const names = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(REFERENCES);
+for (const name of names) {
+  const { reference, corpus, encode } = REFERENCES[name]();
+  const cases = corpus.map(({ label, text, special }) => ({ label, ids: encode(text, special) }));
+  const file = new URL(`./${name}.json`, import.meta.url);
+  // One case per line keeps diffs of regenerated vectors readable
+  const json = [
+    '{',
+    `  "tokenizer": ${JSON.stringify(name)},`,
+    `  "reference": ${JSON.stringify(reference)},`,
+    '  "cases": [',
+    cases.map(c => '    ' + JSON.stringify(c)).join(',\n'),
+    '  ]',
+    '}',
+    ''
+  ].join('\n');
+  await writeFile(file, json);
+  console.log(`${name}: ${cases.length} cases -> ${file.pathname}`);
+}
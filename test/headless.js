@@ -0,0 +1,29 @@
+/**
+ * test/headless.js
+ * What the simulation modules expect from the page, for tests that build a world without a
+ * browser: Matter.js as the `Matter` global (the page loads it from the CDN) and a p5 stand-in
+ * with the canvas size and the text metrics wordBody.js lays letters out with.
+ *
+ * Import it before any module that reads `Matter` at load time (physics.js, wordBody.js…).
+ */
+
+import Matter from 'matter-js';
+
+globalThis.Matter = Matter;
+
+// Monospace-ish metrics: every character is 0.55 em wide
+export function createCanvasStub(width = 1200, height = 800) {
+  let size = 12;
+  return {
+    width,
+    height,
+    textSize(s) {
+      if (s !== undefined) size = s;
+      return size;
+    },
+    textWidth: text => [...String(text)].length * size * 0.55,
+    textFont() {},
+    push() {},
+    pop() {}
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * test/reassembly.test.js
+ * Reading-line scoring (reassembly.js scoreLine): tokens count where the line holds the
+ * sentence's token at that position, by id, or without ids (mock mode) by text.
+ */
+
+import { createCanvasStub } from './headless.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeWordEntry } from '../wordBody.js';
+import { scoreLine } from '../reassembly.js';
+
+const p = createCanvasStub();
+
+// Mock-mode tokens of 'the cat the dog' (tokenizerCore.js heuristic: no ids)
+const MOCK = [
+  { id: null, text: 'the', rank: null, byteSpan: [0, 3] },
+  { id: null, text: ' cat', rank: null, byteSpan: [3, 7] },
+  { id: null, text: ' the', rank: null, byteSpan: [7, 11] },
+  { id: null, text: ' dog', rank: null, byteSpan: [11, 15] }
+];
+const GPT2 = [
+  { id: 7956, text: 'Frag', rank: 12, byteSpan: [0, 4] },
+  { id: 576, text: 'ile', rank: 40, byteSpan: [4, 7] }
+];
+
+function tokenEntries(tokens, sentence) {
+  return tokens.map(t => Object.assign(makeWordEntry(p, t.text, 0, 0, { letterHeight: 32 }), {
+    isToken: true,
+    tokenId: t.id,
+    byteSpan: t.byteSpan,
+    sentenceRef: sentence
+  }));
+}
+
+const line = (entries, order) => order.map(i => entries[i]);
+
+describe('scoreLine', () => {
+  it('solves a sentence only in its token order', () => {
+    const sentence = { sentenceText: 'Fragile', sentenceTokens: GPT2 };
+    const entries = tokenEntries(GPT2, sentence);
+    assert.deepEqual(scoreLine(entries, sentence), { sentence, matched: 2, total: 2, solved: true });
+    assert.equal(scoreLine(line(entries, [1, 0]), sentence).solved, false);
+    assert.equal(scoreLine(line(entries, [0]), sentence).solved, false);
+  });
+
+  it('does not count tokens without ids as matching each other', () => {
+    const sentence = { sentenceText: 'the cat the dog', sentenceTokens: MOCK };
+    const entries = tokenEntries(MOCK, sentence);
+    const wrong = scoreLine(line(entries, [3, 1, 0, 2]), sentence);
+    assert.equal(wrong.solved, false);
+    assert.equal(wrong.matched, 1);
+    assert.equal(scoreLine(line(entries, [1, 0, 2, 3]), sentence).matched, 2);
+    assert.equal(scoreLine(entries, sentence).solved, true);
+  });
+
+  it('accepts same-text tokens in either order, like tokens with the same id', () => {
+    const tokens = [
+      { id: null, text: 'la', rank: null, byteSpan: [0, 2] },
+      { id: null, text: 'la', rank: null, byteSpan: [2, 4] },
+      { id: null, text: 'nd', rank: null, byteSpan: [4, 6] }
+    ];
+    const sentence = { sentenceText: 'laland', sentenceTokens: tokens };
+    const entries = tokenEntries(tokens, sentence);
+    assert.equal(scoreLine(line(entries, [1, 0, 2]), sentence).solved, true);
+    assert.equal(scoreLine(line(entries, [0, 2, 1]), sentence).matched, 1);
+  });
+
+  it('compares text as drawn', () => {
+    const tokens = [{ id: null, text: '\u0000x', rank: null, byteSpan: [0, 2] }];
+    const sentence = { sentenceText: '\u0000x', sentenceTokens: tokens };
+    assert.equal(scoreLine(tokenEntries(tokens, sentence), sentence).solved, true);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * test/replay.test.js
+ * Frame-exact replay (replay.js) on a headless world: a session of dropped words, a drag and
+ * throw, wind and a poke is recorded as an input log, then replayed; every body must end in
+ * exactly the same pose (position, angle, velocities) in both replays and in the live run.
+ *
+ * The step is the page's own (sim.js simTick). The hooks stand in for sketch.js: a submitted
+ * word drops whole at a seeded position, with no splits and no canvas to resize.
+ */
+
+import { createCanvasStub } from './headless.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { addWordEntry, getWordBodies, getSimFrame } from '../physics.js';
+import { makeWordEntry } from '../wordBody.js';
+import { onDragStart } from '../pointer.js';
+import { isCraneMode } from '../crane.js';
+import { initSim, resetSim, pushInput, simTick } from '../sim.js';
+import {
+  initReplay,
+  startRecording,
+  isReplaying,
+  getInputLog,
+  startReplay,
+  runReplay,
+  verifyReplay,
+  captureBodyStates,
+  diffBodyStates
+} from '../replay.js';
+import { rand, SEED } from '../utils.js';
+
+const p = createCanvasStub();
+let drags = 0;
+onDragStart(() => drags++);
+
+const SETTINGS = { collapseMode: 'soft', fuseTokens: false, crane: false, reassembly: false, lineY: null };
+let settings = SETTINGS; // what the page's controls would show
+
+initSim({
+  readSettings: () => settings,
+  // The drop point draws on the seeded RNG, like the simulation's own randomness
+  submit: word => addWordEntry(makeWordEntry(p, word, p.width * (0.3 + 0.4 * rand()), -50, { letterHeight: 40 }))
+});
+
+function reset(log) {
+  resetSim(log.seed, log.width, log.height);
+}
+
+function step() {
+  simTick(p);
+}
+
+function steps(n) {
+  for (let i = 0; i < n; i++) step();
+}
+
+// A live session: words drop, one is dragged up and flung, wind blows, the pile is poked
+function playSession() {
+  const header = { seed: SEED, width: p.width, height: p.height };
+  reset(header);
+  startRecording(header);
+  for (const word of ['Fragile', 'words', 'break', 'apart']) {
+    pushInput({ type: 'submit', payload: word });
+    steps(40);
+  }
+  steps(120);
+
+  const { x, y } = getWordBodies()[0].body.position;
+  pushInput({ type: 'pointer', x: x + 3, y: y + 2, button: 0 });
+  steps(2);
+  for (let k = 1; k <= 6; k++) {
+    pushInput({ type: 'pointer', x: x + 3 + k * 12, y: y + 2 - k * 25, button: 0 });
+    steps(1);
+  }
+  pushInput({ type: 'pointer', x: x + 75, y: y - 148, button: -1 });
+  steps(60);
+
+  pushInput({ type: 'wind', dir: 1 });
+  steps(45);
+  pushInput({ type: 'wind', dir: 0 });
+  pushInput({ type: 'poke', x: p.width / 2, y: p.height - 20 });
+  steps(90);
+  return getInputLog();
+}
+
+describe('replay', () => {
+  beforeEach(() => {
+    initReplay({ reset, step });
+    drags = 0;
+    settings = SETTINGS;
+  });
+
+  it('records every input with its frame', () => {
+    const log = playSession();
+    assert.equal(log.frames, getSimFrame());
+    assert.deepEqual([...new Set(log.inputs.map(i => i.type))], ['settings', 'submit', 'pointer', 'wind', 'poke']);
+    assert.deepEqual(log.inputs[0], { frame: 0, type: 'settings', settings: SETTINGS });
+    assert.ok(log.inputs.every((input, i) => i === 0 || input.frame >= log.inputs[i - 1].frame));
+    assert.equal(drags, 1, 'the session should grab a block');
+  });
+
+  it('replays the log to exactly the same poses, twice', () => {
+    const log = playSession();
+    const result = verifyReplay(log);
+    assert.equal(result.difference, null);
+    assert.equal(result.identical, true);
+    assert.equal(result.matchesLive, true);
+    assert.equal(result.frames, log.frames);
+    assert.equal(drags, 3, 'both replays should grab the block again');
+  });
+
+  it('follows the logged settings, not the controls', () => {
+    playSession();
+    settings = { ...SETTINGS, crane: true };
+    steps(300);
+    const log = getInputLog();
+    assert.deepEqual(log.inputs.filter(i => i.type === 'settings').map(i => i.settings.crane), [false, true]);
+
+    settings = SETTINGS;
+    const result = verifyReplay(log);
+    assert.equal(result.difference, null);
+    assert.equal(result.matchesLive, true);
+    assert.equal(isCraneMode(), true, 'the replay switched the crane on at its logged frame');
+  });
+
+  it('survives a JSON round trip of the log', () => {
+    const log = playSession();
+    const live = captureBodyStates();
+    assert.equal(diffBodyStates(live, runReplay(JSON.parse(JSON.stringify(log)))), null);
+  });
+
+  it('diverges when an input is missing', () => {
+    const log = playSession();
+    const live = captureBodyStates();
+    const withoutPoke = { ...log, inputs: log.inputs.filter(i => i.type !== 'poke') };
+    assert.notEqual(diffBodyStates(live, runReplay(withoutPoke)), null);
+  });
+
+  it('goes live again at the end of the log', () => {
+    const log = playSession();
+    startReplay(log);
+    assert.equal(isReplaying(), true);
+    steps(log.frames);
+    assert.equal(isReplaying(), false);
+  });
+
+  it('rejects logs of another version', () => {
+    assert.throws(() => startReplay({ ...playSession(), version: 1 }), /not a version 2 input log/);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * test/scene.test.js
+ * Scene snapshots (scene.js) on a headless world: checkScene turns away files that cannot be
+ * rebuilt, and a saved pile loads back with the same blocks, poses, links and RNG state, and
+ * with its shatter fragments.
+ */
+
+import { createCanvasStub } from './headless.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resetPhysics,
+  stepPhysics,
+  addWordEntry,
+  getWordBodies,
+  getFragmentBodies,
+  shatterAll,
+  isCollapsed,
+  markCollapsedNoShatter
+} from '../physics.js';
+import { makeWordEntry } from '../wordBody.js';
+import { createFragmentsForEntry } from '../fragments.js';
+import { serializeScene, checkScene, restoreScene, SCENE_FORMAT, SCENE_VERSION } from '../scene.js';
+import { seedRandom, rand, SEED } from '../utils.js';
+
+const p = createCanvasStub();
+
+// A sentence still falling, two tokens of another (tied: the first cuts a character), a byte
+function buildPile() {
+  seedRandom(SEED);
+  resetPhysics(p.width, p.height);
+  const tokens = [
+    { id: 7956, text: 'Frag', rank: 12, byteSpan: [0, 4] },
+    { id: 576, text: 'ile', rank: 40, byteSpan: [4, 7] }
+  ];
+  const sentence = makeWordEntry(p, 'Fragile words', 400, 100, { letterHeight: 40 });
+  Object.assign(sentence, {
+    isSentenceParent: true,
+    sentenceText: 'Fragile words',
+    sentenceTokens: tokens,
+    fractureDepth: 'tokens',
+    fractureNext: 'tokens'
+  });
+  addWordEntry(sentence);
+  const decoded = { sentenceText: 'Fragile', sentenceTokens: tokens, direction: 'ltr' };
+  const created = tokens.map((t, i) => {
+    const entry = makeWordEntry(p, t.text, 600 + i * 120, 500, { letterHeight: 32 });
+    Object.assign(entry, { isToken: true, tokenId: t.id, tokenRank: t.rank, byteSpan: t.byteSpan, sentenceRef: decoded });
+    addWordEntry(entry);
+    return entry;
+  });
+  created[0].cutChar = 'i';
+  created[0].tieNext = created[1];
+  const byte = makeWordEntry(p, '<E2>', 900, 600, { letterHeight: 24, hexBytes: true });
+  byte.isByte = true;
+  addWordEntry(byte);
+  for (let i = 0; i < 30; i++) stepPhysics();
+}
+
+function validScene() {
+  buildPile();
+  return JSON.parse(JSON.stringify(serializeScene(p)));
+}
+
+// The pile with its token blocks shattered, settled a few steps
+function shatteredScene() {
+  buildPile();
+  markCollapsedNoShatter();
+  shatterAll(entry => (entry.isToken ? createFragmentsForEntry(entry, { piecesPerLetter: 4 }) : null));
+  for (let i = 0; i < 10; i++) stepPhysics();
+  return JSON.parse(JSON.stringify(serializeScene(p)));
+}
+
+const pose = e => [e.body.position.x, e.body.position.y, e.body.angle, e.body.velocity.x, e.body.velocity.y, e.body.angularVelocity];
+
+describe('checkScene', () => {
+  it('accepts a saved pile', () => {
+    assert.doesNotThrow(() => checkScene(validScene()));
+  });
+
+  it('rejects other files and versions', () => {
+    assert.throws(() => checkScene(null), /not a Fragile Words scene/);
+    assert.throws(() => checkScene({ format: 'something-else' }), /not a Fragile Words scene/);
+    assert.throws(() => checkScene({ ...validScene(), version: SCENE_VERSION + 1 }), /not supported/);
+    assert.throws(() => checkScene({ format: SCENE_FORMAT, version: SCENE_VERSION, entries: {} }), /no entries/);
+  });
+
+  const broken = {
+    'an unknown kind': e => { e.kind = 'boulder'; },
+    'empty text': e => { e.text = ''; },
+    'a zero letterHeight': e => { e.letterHeight = 0; },
+    'a negative letterHeight': e => { e.letterHeight = -12; },
+    'a missing pose': e => { delete e.vx; },
+    'a non-integer sentence index': e => { e.sentence = 0.5; },
+    'a sentence index out of range': e => { e.sentence = 99; },
+    'a non-integer tieNext': e => { e.tieNext = '1'; },
+    'a tieNext out of range': e => { e.tieNext = 99; },
+    'a non-array sentenceTokens': e => { e.sentenceTokens = 'Frag ile'; },
+    'a non-array byteSpan': e => { e.byteSpan = { start: 0, end: 4 }; }
+  };
+  for (const [what, breakIt] of Object.entries(broken)) {
+    it(`rejects an entry with ${what}`, () => {
+      const scene = validScene();
+      breakIt(scene.entries[1]);
+      assert.throws(() => checkScene(scene), /scene entry 1 /);
+    });
+  }
+
+  it('rejects sentence records that point nowhere', () => {
+    const scene = validScene();
+    scene.sentences.push({ entry: 1 }); // a token, not a sentence
+    assert.throws(() => checkScene(scene), /scene sentence 1 is malformed/);
+    scene.sentences[1] = { sentenceText: 42 };
+    assert.throws(() => checkScene(scene), /scene sentence 1 is malformed/);
+  });
+
+  it('rejects fragments that cannot be rebuilt', () => {
+    const breaks = [
+      f => { f.vy = null; },
+      f => { f.vertices = f.vertices.slice(0, 2); },
+      f => { f.vertices[0] = { x: 'a', y: 0 }; },
+      f => { delete f.tone; }
+    ];
+    for (const breakIt of breaks) {
+      const scene = shatteredScene();
+      breakIt(scene.fragments[2]);
+      assert.throws(() => checkScene(scene), /scene fragment 2 /);
+    }
+    assert.throws(() => checkScene({ ...validScene(), fragments: {} }), /fragments are not a list/);
+  });
+
+  it('accepts a file saved without fragments', () => {
+    const scene = validScene();
+    delete scene.fragments;
+    assert.doesNotThrow(() => checkScene(scene));
+  });
+});
+
+describe('serializeScene / restoreScene', () => {
+  it('round-trips the pile through JSON', () => {
+    buildPile();
+    markCollapsedNoShatter();
+    const before = getWordBodies().map(e => ({ word: e.word, pose: pose(e) }));
+    const saved = JSON.parse(JSON.stringify(serializeScene(p)));
+    const nextRand = rand();
+
+    seedRandom(1);
+    resetPhysics(p.width, p.height);
+    assert.equal(getWordBodies().length, 0);
+    const created = restoreScene(p, saved);
+
+    assert.equal(created.length, before.length);
+    assert.deepEqual(getWordBodies().map(e => e.word), before.map(e => e.word));
+    getWordBodies().forEach((e, i) => {
+      pose(e).forEach((v, k) => assert.ok(Math.abs(v - before[i].pose[k]) < 1e-9, `${e.word} pose[${k}]: ${v} vs ${before[i].pose[k]}`));
+    });
+    assert.equal(isCollapsed(), true);
+    assert.equal(rand(), nextRand, 'the RNG continues where the saved pile left it');
+
+    const [sentence, frag, ile, byte] = created;
+    assert.equal(sentence.isSentenceParent, true);
+    assert.deepEqual(sentence.sentenceTokens.map(t => t.id), [7956, 576]);
+    assert.equal(sentence.fractureNext, 'tokens');
+    assert.equal(frag.isToken, true);
+    assert.equal(frag.tokenId, 7956);
+    assert.deepEqual(frag.byteSpan, [0, 4]);
+    assert.equal(frag.tieNext, ile);
+    assert.equal(frag.sentenceRef, ile.sentenceRef, 'tokens of one sentence share its record');
+    assert.equal(frag.sentenceRef.sentenceText, 'Fragile');
+    assert.equal(byte.isByte, true);
+  });
+
+  it('keeps shatter fragments: outline, pose, motion and tone', () => {
+    const saved = shatteredScene();
+    const before = getFragmentBodies().map(f => ({ tone: f.tone, pose: pose(f), vertices: f.body.vertices.map(v => [v.x, v.y]) }));
+    assert.ok(before.length > 0, 'the tokens shattered');
+    assert.equal(saved.fragments.length, before.length);
+
+    resetPhysics(p.width, p.height);
+    assert.equal(getFragmentBodies().length, 0);
+    restoreScene(p, saved);
+
+    const after = getFragmentBodies();
+    assert.equal(after.length, before.length);
+    assert.deepEqual(getWordBodies().map(e => e.word), ['Fragile words', '<E2>'], 'shattered blocks stay gone');
+    const close = (a, b, what) => assert.ok(Math.abs(a - b) < 1e-6, `${what}: ${a} vs ${b}`);
+    after.forEach((f, i) => {
+      assert.equal(f.tone, before[i].tone);
+      assert.equal(f.body.isFragment, true);
+      pose(f).forEach((v, k) => close(v, before[i].pose[k], `fragment ${i} pose[${k}]`));
+      f.body.vertices.forEach((v, k) => {
+        close(v.x, before[i].vertices[k][0], `fragment ${i} vertex ${k} x`);
+        close(v.y, before[i].vertices[k][1], `fragment ${i} vertex ${k} y`);
+      });
+    });
+    assert.equal(isCollapsed(), true);
+  });
+
+  it('saves a restored pile the same way again', () => {
+    const saved = validScene();
+    resetPhysics(p.width, p.height);
+    restoreScene(p, saved);
+    const again = JSON.parse(JSON.stringify(serializeScene(p)));
+    const strip = s => ({ ...s, savedAt: null, entries: s.entries.map(e => ({ ...e, x: 0, y: 0, angle: 0, vx: 0, vy: 0, av: 0 })) });
+    assert.deepEqual(strip(again), strip(saved));
+  });
+});
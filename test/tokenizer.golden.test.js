@@ -0,0 +1,144 @@
+/**
+ * test/tokenizer.golden.test.js
+ * Golden-vector parity: every CORPUS string must encode to the ids OpenAI's reference
+ * tokenizer produces, and every WORDPIECE_CORPUS string to bert-base-uncased's (committed in
+ * test/golden/<tokenizer>.json, see generate.js). Runs headless on the core with the local
+ * asset files read from disk — no worker, no network.
+ *
+ *   npm test
+ *
+ * A mismatch reports the first diverging position with the tokens on both sides.
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { CORPUS, WORDPIECE_CORPUS } from './golden/corpus.js';
+import {
+  ensureTokenizerReady,
+  tokenizeToTokens,
+  tokenizerSource,
+  decodeIds,
+  pairRankFor,
+  mergeTokenPair
+} from '../tokenizerCore.js';
+
+// Byte-level BPE decodes back to the exact text; WordPiece lowercases and drops whitespace
+const GOLDEN_TOKENIZERS = {
+  gpt2: { corpus: CORPUS, roundTrip: true },
+  cl100k_base: { corpus: CORPUS, roundTrip: true },
+  o200k_base: { corpus: CORPUS, roundTrip: true },
+  'bert-base-uncased': { corpus: WORDPIECE_CORPUS, roundTrip: false }
+};
+
+async function readJson(path) {
+  return JSON.parse(await readFile(new URL(path, import.meta.url), 'utf8'));
+}
+
+// Decoded ids around the first divergence, e.g. `… [' the'=262] ['#'=2]`
+function describeIds(ids, from, name) {
+  return ids.slice(from, from + 4).map(id => {
+    let text;
+    try { text = decodeIds([id], name).text; } catch (err) { text = '?'; }
+    return `[${JSON.stringify(text)}=${id}]`;
+  }).join(' ') || '(end)';
+}
+
+function mismatchMessage(label, text, actual, expected, name) {
+  let at = 0;
+  while (at < actual.length && at < expected.length && actual[at] === expected[at]) at++;
+  return [
+    `${name} "${label}" diverges at token ${at} (got ${actual.length} ids, expected ${expected.length})`,
+    `  text:     ${JSON.stringify(text)}`,
+    `  got:      ${at ? '… ' : ''}${describeIds(actual, at, name)}`,
+    `  expected: ${at ? '… ' : ''}${describeIds(expected, at, name)}`
+  ].join('\n');
+}
+
+for (const [name, { corpus, roundTrip }] of Object.entries(GOLDEN_TOKENIZERS)) {
+  describe(`${name} golden vectors`, () => {
+    let golden;
+
+    before(async () => {
+      golden = await readJson(`./golden/${name}.json`);
+      await ensureTokenizerReady(name, { skipRemote: true, skipCache: true });
+      assert.equal(tokenizerSource(name), 'local', `${name}: local asset files did not load`);
+    });
+
+    it('covers the whole corpus', () => {
+      assert.deepEqual(golden.cases.map(c => c.label), corpus.map(c => c.label),
+        `test/golden/${name}.json is stale – run \`npm run golden\``);
+    });
+
+    for (const { label, text, special } of corpus) {
+      it(label, () => {
+        const expected = golden.cases.find(c => c.label === label);
+        assert.ok(expected, `no expected ids for "${label}"`);
+        const specialMode = special ? 'allowed' : 'escaped';
+        const actual = tokenizeToTokens(text, name, { specialMode }).map(t => t.id);
+        if (actual.join() !== expected.ids.join()) {
+          assert.fail(mismatchMessage(label, text, actual, expected.ids, name));
+        }
+        if (roundTrip) assert.equal(decodeIds(actual, name).text, text, 'ids do not decode back to the text');
+      });
+    }
+  });
+}
+
+describe('gpt2 merges parsing', () => {
+  before(() => ensureTokenizerReady('gpt2', { skipRemote: true, skipCache: true }));
+
+  it('ranks every line of vocab.local.bpe by its position', async () => {
+    const lines = (await readFile(new URL('../vocab.local.bpe', import.meta.url), 'utf8')).split('\n');
+    assert.match(lines[0], /^#version/);
+    const merges = lines.slice(1).filter(l => l);
+    assert.equal(merges.length, 50000);
+    const rank = pairRankFor('gpt2');
+    const wrong = merges
+      .map((line, i) => ({ line, i, got: rank(...line.split(' ')) }))
+      .filter(m => m.got !== m.i)
+      .map(m => `${JSON.stringify(m.line)} ranked ${m.got}, expected ${m.i}`);
+    assert.deepEqual(wrong.slice(0, 5), [], `${wrong.length} merges ranked wrongly`);
+  });
+});
+
+describe('reverse-BPE merges', () => {
+  before(() => ensureTokenizerReady('gpt2', { skipRemote: true, skipCache: true }));
+
+  it('fuses a pair the merge table has a rule for', () => {
+    assert.deepEqual(
+      (({ id, text, rank }) => ({ id, text, rank }))(mergeTokenPair(220, 83, 'gpt2')),
+      { id: 256, text: ' t', rank: 0 }
+    );
+    assert.equal(mergeTokenPair(7956, 576, 'gpt2').text, ' fragile');
+  });
+
+  it('returns null without a rule or for special tokens', () => {
+    assert.equal(mergeTokenPair(83, 220, 'gpt2'), null);
+    assert.equal(mergeTokenPair(50256, 220, 'gpt2'), null);
+  });
+});
+
+describe('decoding token ids', () => {
+  before(() => ensureTokenizerReady('gpt2', { skipRemote: true, skipCache: true }));
+
+  it('decodes ids up to the last special token', () => {
+    assert.equal(decodeIds([15496, 995, 50256], 'gpt2').text, 'Hello world<|endoftext|>');
+  });
+
+  it('rejects ids outside the vocabulary with a RangeError naming them', () => {
+    assert.throws(() => decodeIds([15496, 50257, 995, 123456], 'gpt2'), err => {
+      assert.equal(err.name, 'RangeError');
+      assert.deepEqual(err.invalidIds, [50257, 123456]);
+      assert.equal(err.maxId, 50256);
+      return true;
+    });
+  });
+
+  it('rejects ids that are not integers', () => {
+    assert.throws(() => decodeIds([1.5, -1], 'gpt2'), err => {
+      assert.deepEqual(err.invalidIds, [1.5, -1]);
+      return true;
+    });
+  });
+});
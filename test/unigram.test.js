@@ -0,0 +1,110 @@
+/**
+ * test/unigram.test.js
+ * SentencePiece unigram loading and encoding on a hand-built model. No real T5 vocabulary is
+ * shipped (t5-small loads spiece.model from HuggingFace), so test/golden/unigram-mini.json
+ * lists a few pieces chosen so that greedy longest-match and Viterbi disagree, and
+ * unigram-mini.model holds the same pieces as a binary ModelProto, wrapped in a trainer and
+ * normalizer spec the parser has to skip. Both are loaded as `local` assets of two test
+ * tokenizers, through the same path as the real ones.
+ *
+ *   npm test
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  TOKENIZERS,
+  ensureTokenizerReady,
+  tokenizeToTokens,
+  tokenizerSource,
+  decodeIds
+} from '../tokenizerCore.js';
+
+const WS = '▁';
+
+function miniSpec(name, file) {
+  return {
+    name,
+    label: `Test unigram (${file})`,
+    shortLabel: 'Test Unigram',
+    format: 'unigram',
+    wordStart: WS,
+    specialTokens: { '<pad>': 0, '</s>': 1, '<unk>': 2 },
+    local: { model: `./test/golden/${file}` },
+    endpoints: []
+  };
+}
+
+TOKENIZERS['unigram-mini-model'] = miniSpec('unigram-mini-model', 'unigram-mini.model');
+TOKENIZERS['unigram-mini-json'] = miniSpec('unigram-mini-json', 'unigram-mini.json');
+
+const encode = (text, name = 'unigram-mini-model') =>
+  tokenizeToTokens(text, name).map(({ id, text: piece }) => [id, piece]);
+
+let pieces;
+
+before(async () => {
+  pieces = JSON.parse(await readFile(new URL('./golden/unigram-mini.json', import.meta.url), 'utf8')).pieces;
+  for (const name of ['unigram-mini-model', 'unigram-mini-json']) {
+    await ensureTokenizerReady(name, { skipRemote: true, skipCache: true });
+    assert.equal(tokenizerSource(name), 'local', `${name}: local asset did not load`);
+  }
+});
+
+describe('SentencePiece model parsing', () => {
+  it('reads every piece of the binary ModelProto in id order', () => {
+    const ids = pieces.map((p, id) => id);
+    assert.deepEqual(decodeIds(ids, 'unigram-mini-model').tokens.map(t => t.text), pieces.map(p => p.piece));
+  });
+
+  it('keeps the scores and types of the JSON export', () => {
+    for (const text of ['abc', 'fine  World!', 'fée a', 'fin', 'A\u{1F600}']) {
+      assert.deepEqual(encode(text), encode(text, 'unigram-mini-json'), JSON.stringify(text));
+    }
+  });
+
+  it('rejects ids past the last piece', () => {
+    assert.throws(() => decodeIds([pieces.length], 'unigram-mini-model'), RangeError);
+  });
+});
+
+describe('unigram normalization', () => {
+  it('adds the dummy prefix and collapses whitespace runs into one word start', () => {
+    assert.deepEqual(encode('  fine \t\n World!'), [[8, WS + 'fine'], [10, WS + 'W'], [11, 'orld'], [12, '!']]);
+  });
+
+  it('applies NFKC before matching pieces', () => {
+    // U+FB01 ligature, full-width letters and a combining acute accent
+    assert.deepEqual(encode('ﬁne Ｗｏｒｌｄ'), [[8, WS + 'fine'], [10, WS + 'W'], [11, 'orld']]);
+    assert.deepEqual(encode('fe\u0301e'), [[15, WS + 'f\u00e9e']]);
+  });
+
+  it('maps every token back to its bytes in the original text', () => {
+    const text = 'ﬁne  W!';
+    const tokens = tokenizeToTokens(text, 'unigram-mini-model');
+    assert.deepEqual(tokens.map(t => t.byteSpan), [[0, 5], [5, 8], [8, 9]]);
+    assert.deepEqual(tokens.map(t => t.marker), [WS, WS, undefined]);
+  });
+});
+
+describe('unigram segmentation', () => {
+  it('picks the best-scoring path, not the longest first piece', () => {
+    // ▁ab + c scores -10, ▁a + bc scores -2
+    assert.deepEqual(encode('abc'), [[4, WS + 'a'], [6, 'bc']]);
+  });
+
+  it('never emits unused or byte pieces', () => {
+    // '▁fin' is UNUSED with the highest score; 'A' only exists as the byte piece <0x41>
+    const ids = encode('fin A').map(([id]) => id);
+    assert.ok(!ids.includes(13) && !ids.includes(14), `got ${ids.join(', ')}`);
+  });
+
+  it('emits characters no piece covers alone, with the unknown id', () => {
+    assert.deepEqual(encode('a\u{1F600}!'), [[4, WS + 'a'], [2, '\u{1F600}'], [12, '!']]);
+  });
+
+  it('decodes pieces back to text without the dummy prefix', () => {
+    assert.equal(decodeIds([4, 6, 10, 11, 12], 'unigram-mini-model').text, 'abc World!');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * test/utils.test.js
+ * Pure helpers of utils.js that the physics layer relies on.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupTokensIntoWords, parseTokenIds, fragmentRectangle, polygonArea } from '../utils.js';
+
+// Structured tokens for pieces of `text` (byteSpans computed from the pieces, in order)
+function tokensOf(text, pieces, extra = {}) {
+  const enc = new TextEncoder();
+  const tokens = [];
+  let at = 0;
+  for (const piece of pieces) {
+    const start = text.indexOf(piece, at);
+    const byteStart = enc.encode(text.slice(0, start)).length;
+    tokens.push({ text: piece, byteSpan: [byteStart, byteStart + enc.encode(piece).length], ...(extra[piece] || {}) });
+    at = start + piece.length;
+  }
+  return tokens;
+}
+
+const words = groups => groups.map(g => [g.text, g.tokens.map(t => t.text)]);
+
+describe('groupTokensIntoWords', () => {
+  it('starts a word at leading-space tokens', () => {
+    const text = 'Tokenization is fragile.';
+    assert.deepEqual(words(groupTokensIntoWords(text, tokensOf(text, ['Token', 'ization', ' is', ' fragile', '.']))), [
+      ['Tokenization', ['Token', 'ization']],
+      ['is', [' is']],
+      ['fragile.', [' fragile', '.']]
+    ]);
+  });
+
+  it('splits on whitespace carried by dropped or trailing tokens', () => {
+    const text = 'one\n\ntwo?\nthree';
+    // '\n\n' was dropped as whitespace-only; '?\n' keeps its newline (cl100k_base style)
+    assert.deepEqual(words(groupTokensIntoWords(text, tokensOf(text, ['one', 'two', '?\n', 'three']))), [
+      ['one', ['one']],
+      ['two?', ['two', '?\n']],
+      ['three', ['three']]
+    ]);
+  });
+
+  it('keeps partial-byte tokens with their word and uses the sentence text', () => {
+    const text = 'hi 🙂!';
+    const tokens = [
+      { text: 'hi', byteSpan: [0, 2] },
+      { text: ' <F0 9F>', byteSpan: [2, 5], partial: true },
+      { text: '<99 82>', byteSpan: [5, 7], partial: true },
+      { text: '!', byteSpan: [7, 8] }
+    ];
+    assert.deepEqual(words(groupTokensIntoWords(text, tokens)), [
+      ['hi', ['hi']],
+      ['🙂!', [' <F0 9F>', '<99 82>', '!']]
+    ]);
+  });
+
+  it('gives special tokens a word of their own', () => {
+    const text = 'a<|endoftext|>b';
+    const tokens = tokensOf(text, ['a', '<|endoftext|>', 'b'], { '<|endoftext|>': { special: true } });
+    assert.deepEqual(words(groupTokensIntoWords(text, tokens)).map(w => w[0]), ['a', '<|endoftext|>', 'b']);
+  });
+
+  it('returns null without byte spans', () => {
+    assert.equal(groupTokensIntoWords('a b', [{ text: 'a', byteSpan: null }, { text: 'b', byteSpan: null }]), null);
+  });
+});
+
+describe('parseTokenIds', () => {
+  it('accepts whitespace, comma and semicolon separated lists, with or without brackets', () => {
+    assert.deepEqual(parseTokenIds('15496 995'), { ids: [15496, 995], invalid: [] });
+    assert.deepEqual(parseTokenIds(' [15496, 995] '), { ids: [15496, 995], invalid: [] });
+    assert.deepEqual(parseTokenIds('15496,995;0\n220'), { ids: [15496, 995, 0, 220], invalid: [] });
+  });
+
+  it('returns nothing for empty input', () => {
+    assert.deepEqual(parseTokenIds(''), { ids: [], invalid: [] });
+    assert.deepEqual(parseTokenIds('  , ; '), { ids: [], invalid: [] });
+    assert.deepEqual(parseTokenIds(null), { ids: [], invalid: [] });
+  });
+
+  it('rejects entries that are not non-negative integers', () => {
+    assert.deepEqual(parseTokenIds('12 -3 4.5 abc 0x10 1e3 7'), {
+      ids: [12, 7],
+      invalid: ['-3', '4.5', 'abc', '0x10', '1e3']
+    });
+  });
+
+  it('rejects ids beyond the safe integer range', () => {
+    assert.deepEqual(parseTokenIds(`1 ${Number.MAX_SAFE_INTEGER} 9007199254740993`), {
+      ids: [1, Number.MAX_SAFE_INTEGER],
+      invalid: ['9007199254740993']
+    });
+  });
+});
+
+describe('fragmentRectangle', () => {
+  it('fans the rect into as many triangles as pieces, inside the rect', () => {
+    for (const pieces of [4, 8, 12]) {
+      const polys = fragmentRectangle(10, 20, 30, 40, 65, pieces);
+      assert.equal(polys.length, pieces);
+      assert.ok(polys.every(poly => poly.length === 3));
+      assert.ok(polys.flat().every(pt => pt.x >= 10 && pt.x <= 40 && pt.y >= 20 && pt.y <= 60));
+      assert.ok(polys.some(poly => Math.abs(polygonArea(poly)) > 0));
+    }
+  });
+
+  it('returns the rect whole below four pieces', () => {
+    for (const pieces of [0, 1, 3]) {
+      assert.deepEqual(fragmentRectangle(10, 20, 30, 40, 65, pieces), [
+        [{ x: 10, y: 20 }, { x: 40, y: 20 }, { x: 40, y: 60 }, { x: 10, y: 60 }]
+      ]);
+    }
+  });
+
+  it('is deterministic per letter', () => {
+    assert.deepEqual(fragmentRectangle(0, 0, 30, 40, 65, 8), fragmentRectangle(0, 0, 30, 40, 65, 8));
+  });
+});
@@ -1,412 +1,335 @@
 /**
  * tokenizer.js
- * Lightweight GPT-2 BPE tokenizer loader (runtime fetch) with string token outputs.
+ * Page-side tokenizer facade: active tokenizer, status events for ui.js, and an async API
+ * backed by a Web Worker (tokenizer.worker.js) so loading and encoding stay off the draw loop.
  *
- * Loads encoder.json and vocab.bpe (merges) from a public CDN once, builds
- * the BPE ranks map, and exposes:
- *   await ensureTokenizerReady()
- *   tokenizeToDisplayChunks(text) -> Array<string> (string form of GPT‑2 tokens)
+ * The registry and encoders live in tokenizerCore.js (see it for the structured token fields:
+ * { id, text, rank, byteSpan, marker?, partial?, cutChar?, special? }).
  *
- * Intent:
- *  - Provide reasonably accurate GPT‑2 BPE token boundaries.
- *  - Avoid embedding the ~500KB encoder data directly; fetch on demand.
- *  - Fallback gracefully to a simple regex splitter if network fails.
+ * Public API:
+ *   await ensureTokenizerReady(name?)
+ *   setActiveTokenizer(name) / getActiveTokenizer() / listTokenizers() / tokenizerLabel(name?)
+ *   tokenizerReady(name?) / tokenizerFailed(name?) / tokenizerMode(name?) / tokenizerSource(name?)
+ *   await tokenizeAsync(text, name?, { signal? }) -> structured tokens
+ *   await traceMergesAsync(text, name?, { signal? }) -> { tokens, symbols, steps } | null
+ *   await decodeIdsAsync(ids, name?) -> { text, tokens } (rejects with a RangeError for unknown ids)
+ *   await mergeTokensAsync(leftId, rightId, name?) -> merged token | null (reverse BPE, memoized)
+ *   setSpecialTokenMode('allowed' | 'escaped') / getSpecialTokenMode() / listSpecialTokens(name?)
+ *   visibleTokens(tokens) – the tokens that become blocks (whitespace-only tokens are not drawn)
  *
- * NOTE:
- *  - We output the raw token strings (byte decoded), preserving leading spaces.
- *  - Downstream code (ui.js) treats each returned token as a "block".
+ * `name` defaults to the active tokenizer (GPT‑2 unless ?tokenizer=<name> is given).
+ * Aborting `signal` sends a 'cancel' to the worker and the promise rejects with an AbortError.
+ *
+ * Backends:
+ *  - Worker (default): request / response messages (load / encode / decode / merge / cancel).
+ *  - In-page: the same request handler (tokenizerCore.js runRequest) on the main thread; used
+ *    when module workers are unavailable, when the worker fails to start, or with ?noWorker.
+ *
+ * Events (window): 'tokenizer-ready' { mode, name }, 'tokenizer-failed' { name },
+ * 'tokenizer-changed' { name }. A 10 s watchdog marks a tokenizer failed if its load has not
+ * settled, so the UI is never stuck on "Loading…"; a late load still flips it to ready.
  */
 
-/**
- * Correct GPT-2 asset base path (previous path 404'ed -> constant failure & fallback):
- * Official OpenAI hosting uses /models/124M/ for encoder.json & vocab.bpe
- * Add simple multi-endpoint fallback list (first that succeeds wins).
- */
-const ENDPOINTS = [
-  // Raw GitHub (generally good CORS)
-  'https://raw.githubusercontent.com/openai/gpt-2/master/models/124M',
-  // OpenAI Azure blob
-  'https://openaipublic.blob.core.windows.net/gpt-2/models/124M',
-  // jsDelivr GitHub mirror
-  'https://cdn.jsdelivr.net/gh/openai/gpt-2/models/124M',
-  // HuggingFace model repo (adds ?download to avoid HTML)
-  'https://huggingface.co/gpt2/resolve/main'
-];
-
-// Optional local copies (user can place in project root to bypass network/CORS):
-//   encoder.local.json
-//   vocab.local.bpe
-// If present they are preferred automatically unless ?skipLocal=1
-const LOCAL_ENCODER = './encoder.local.json';
-const LOCAL_MERGES  = './vocab.local.bpe';
-
-let activeEndpointIndex = 0;
-function currentEncoderURL() {
-  return ENDPOINTS[activeEndpointIndex] + '/encoder.json';
-}
-function currentMergesURL() {
-  return ENDPOINTS[activeEndpointIndex] + '/vocab.bpe';
+import {
+  TOKENIZERS,
+  DEFAULT_TOKENIZER,
+  listTokenizers,
+  listSpecialTokens as coreListSpecialTokens,
+  visibleTokens,
+  runRequest
+} from './tokenizerCore.js';
+
+export { TOKENIZERS, DEFAULT_TOKENIZER, listTokenizers, visibleTokens };
+
+const WATCHDOG_MS = 10000;
+
+function queryParams() {
+  const q = (typeof window !== 'undefined') ? window.location.search : '';
+  return new URLSearchParams(q);
 }
 
-let encoder = null;         // char -> token id map
-let decoder = null;         // token id -> char map
-let bpeRanks = null;        // Map of pair -> rank
-let cache = new Map();      // BPE cache
-let loadPromise = null;
-let failed = false;
-let mockMode = false; // heuristic tokenization mode (activated if remote assets unreachable)
-let localMode = false; // true if loaded from local static files
+let activeName = (() => {
+  const requested = queryParams().get('tokenizer');
+  return requested && TOKENIZERS[requested] ? requested : DEFAULT_TOKENIZER;
+})();
+
+let specialMode = 'allowed';
+
+function specFor(name) {
+  const spec = TOKENIZERS[name || activeName];
+  if (!spec) throw new Error('[tokenizer] Unknown tokenizer: ' + name);
+  return spec;
+}
 
 /**
- * Byte <-> unicode reversible mapping (GPT-2 style)
+ * Page-side status per tokenizer, mirrored from the backend's load replies.
+ *   mode:   'loading' | 'bpe' | 'mock' | 'fallback-failed'
+ *   source: 'local' | 'cache' | 'remote' | 'mock' | null
  */
-function bytesToUnicode() {
-  const bs = [];
-  const cs = [];
-  for (let i = 33; i <= 126; i++) bs.push(i);
-  for (let i = 161; i <= 172; i++) bs.push(i);
-  for (let i = 174; i <= 255; i++) bs.push(i);
-  let n = 0;
-  for (let b = 0; b < 256; b++) {
-    if (!bs.includes(b)) {
-      bs.push(b);
-      cs.push(256 + n);
-      n++;
-    }
-  }
-  return bs.reduce((obj, b, i) => {
-    obj[String.fromCharCode(b)] = String.fromCharCode(cs[i] || b);
-    return obj;
-  }, {});
+const statuses = new Map();
+function statusFor(name) {
+  if (!statuses.has(name)) statuses.set(name, { mode: 'loading', source: null, loadPromise: null });
+  return statuses.get(name);
 }
 
-const byteEncoder = bytesToUnicode();
-const byteDecoder = Object.entries(byteEncoder).reduce((o, [k, v]) => {
-  o[v] = k;
-  return o;
-}, {});
-
-// Regex from OpenAI GPT-2 tokenizer
-const GPT2_PATTERN = /'s|'t|'re|'ve|'m|'ll|'d| ?[A-Za-z]+| ?\d+| ?[^ \r\n\tA-Za-z\d]+|\s+(?!\S)|\s+/g;
+function cancelledError() {
+  const err = new Error('[tokenizer] Request cancelled');
+  err.name = 'AbortError';
+  return err;
+}
 
 /**
- * Fetch and build tokenizer data.
+ * Backends expose request(msg, signal) -> Promise<result>.
  */
-async function loadTokenizer() {
-  if (loadPromise) return loadPromise;
-  const maxEndpoints = ENDPOINTS.length;
+function createInPageBackend() {
+  return {
+    kind: 'in-page',
+    request(msg, signal) {
+      return runRequest(msg, () => !!(signal && signal.aborted));
+    }
+  };
+}
 
-  // Allow user to skip local via query flag
-  const q = (typeof window !== 'undefined') ? window.location.search : '';
-  const params = new URLSearchParams(q);
-  const skipLocal = params.has('skipLocal');
-  const forceMock = params.has('forceMock');
+function createWorkerBackend(onFatal) {
+  const worker = new Worker(new URL('./tokenizer.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map(); // request id -> { msg, signal, resolve, reject }
+  let nextId = 1;
 
-  const tryLoadLocal = async () => {
-    if (skipLocal || forceMock) return false;
-    try {
-      console.log('[tokenizer] Attempting local assets...');
-      const [encRes, mergesRes] = await Promise.all([
-        fetch(LOCAL_ENCODER, { cache: 'no-store' }),
-        fetch(LOCAL_MERGES, { cache: 'no-store' })
-      ]);
-      if (!encRes.ok || !mergesRes.ok) {
-        return false;
-      }
-      encoder = await encRes.json();
-      decoder = Object.entries(encoder).reduce((o, [k, v]) => { o[v] = k; return o; }, {});
-      const mergesText = await mergesRes.text();
-      const lines = mergesText.split('\n').slice(1).filter(l => l.trim() && !l.startsWith('#'));
-      const merges = lines.map(l => l.split(/\s+/));
-      bpeRanks = new Map(merges.map((m, i) => [m.join(' '), i]));
-      localMode = true;
-      mockMode = false;
-      failed = false;
-      console.log('[tokenizer] Loaded local GPT-2 assets.');
-      return true;
-    } catch (err) {
-      console.warn('[tokenizer] Local load failed / not present.', err);
-      return false;
+  worker.onmessage = ({ data }) => {
+    const job = pending.get(data.id);
+    if (!job) return;
+    pending.delete(data.id);
+    if (data.type === 'result') {
+      job.resolve(data.result);
+      return;
     }
+    const err = data.error.name === 'RangeError' ? new RangeError(data.error.message) : new Error(data.error.message);
+    err.name = data.error.name;
+    if (data.error.invalidIds) {
+      err.invalidIds = data.error.invalidIds;
+      err.maxId = data.error.maxId;
+    }
+    job.reject(err);
+  };
+  // Worker script failed (no module worker support, blocked file…): hand pending work to the page
+  worker.onerror = e => {
+    e.preventDefault();
+    console.warn('[tokenizer] Worker failed – tokenizing on the main thread.', e.message || e);
+    worker.terminate();
+    const jobs = Array.from(pending.values());
+    pending.clear();
+    onFatal(jobs);
   };
 
-  const tryLoad = async () => {
-    try {
-      const encURL = currentEncoderURL();
-      const mergesURL = currentMergesURL();
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 15000);
-      const fetchOpts = { signal: controller.signal, mode: 'cors', cache: 'no-store' };
-      console.log('[tokenizer] Fetching remote encoder & merges from', encURL);
-      const [encRes, mergesRes] = await Promise.all([
-        fetch(encURL, fetchOpts),
-        fetch(mergesURL, fetchOpts)
-      ]);
-      clearTimeout(timeout);
-      if (!encRes.ok || !mergesRes.ok) throw new Error('HTTP ' + encRes.status + '/' + mergesRes.status);
-      encoder = await encRes.json();
-      decoder = Object.entries(encoder).reduce((o, [k, v]) => { o[v] = k; return o; }, {});
-      const mergesText = await mergesRes.text();
-      const lines = mergesText.split('\n').slice(1).filter(l => l.trim() && !l.startsWith('#'));
-      const merges = lines.map(l => l.split(/\s+/));
-      bpeRanks = new Map(merges.map((m, i) => [m.join(' '), i]));
-      failed = false;
-      mockMode = false;
-      localMode = false;
-      return true;
-    } catch (e) {
-      console.warn('[tokenizer] Endpoint failed', ENDPOINTS[activeEndpointIndex], e);
-      activeEndpointIndex++;
-      if (activeEndpointIndex < maxEndpoints) {
-        return tryLoad();
-      } else {
-        if (forceMock) {
-          console.warn('[tokenizer] forceMock flag present – enabling mock mode directly.');
-        } else {
-          console.warn('[tokenizer] All remote endpoints failed – enabling heuristic mock mode.');
+  return {
+    kind: 'worker',
+    request(msg, signal) {
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { msg, signal, resolve, reject });
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            if (pending.has(id)) worker.postMessage({ id, type: 'cancel' });
+          }, { once: true });
         }
-        mockMode = true;
-        failed = false;
-        encoder = {};         // sentinel
-        bpeRanks = new Map(); // sentinel
-        return false;
-      }
+        worker.postMessage({ ...msg, id });
+      });
     }
   };
-
-  loadPromise = (async () => {
-    // 1. Try local
-    const localOk = await tryLoadLocal();
-    if (localOk) return true;
-    // 2. Remote sequence (unless forced mock)
-    if (forceMock) {
-      mockMode = true;
-      failed = false;
-      return false;
-    }
-    const ok = await tryLoad();
-    return ok;
-  })();
-
-  return loadPromise;
 }
 
-export async function ensureTokenizerReady() {
-  if ((!encoder || !bpeRanks) && !failed) {
-    await loadTokenizer();
-  } else if (failed) {
-    // Retry after failure: reset state & rotate endpoints (already advanced); allow manual retry
-    loadPromise = null;
-    if (activeEndpointIndex >= ENDPOINTS.length) {
-      activeEndpointIndex = 0; // loop endpoints again
+let backend = null;
+function getBackend() {
+  if (backend) return backend;
+  if (typeof Worker !== 'undefined' && !queryParams().has('noWorker')) {
+    try {
+      backend = createWorkerBackend(jobs => {
+        backend = createInPageBackend();
+        for (const job of jobs) backend.request(job.msg, job.signal).then(job.resolve, job.reject);
+      });
+      return backend;
+    } catch (err) {
+      console.warn('[tokenizer] Worker unavailable – tokenizing on the main thread.', err);
     }
-    failed = false;
-    await loadTokenizer();
   }
+  backend = createInPageBackend();
+  return backend;
 }
 
-// Watchdog: if still neither ready nor failed after 10000ms, force fail to unblock UI.
-if (typeof window !== 'undefined') {
-  setTimeout(() => {
-    if (!tokenizerReady() && !failed) {
-      console.warn('[tokenizer] Watchdog timeout -> marking failed (no response)');
-      failed = true;
-      window.dispatchEvent(new CustomEvent('tokenizer-failed'));
-    }
-  }, 10000);
+function request(msg, signal) {
+  if (signal && signal.aborted) return Promise.reject(cancelledError());
+  return getBackend().request(msg, signal);
 }
 
 /**
- * Status helpers so UI can gate submission until true BPE is active.
+ * Load a tokenizer's assets once (in the backend). A watchdog-failed tokenizer is retried.
  */
-export function tokenizerReady() {
-  return (mockMode || (encoder && bpeRanks)) && !failed;
+export async function ensureTokenizerReady(name = activeName) {
+  const spec = specFor(name);
+  const status = statusFor(spec.name);
+  if (status.mode === 'bpe' || status.mode === 'mock') return;
+  if (status.loadPromise && status.mode === 'loading') return status.loadPromise;
+
+  status.mode = 'loading';
+  const params = queryParams();
+  const options = {
+    skipLocal: params.has('skipLocal'),
+    forceMock: params.has('forceMock'),
+    skipCache: params.has('noCache')
+  };
+  if (params.has('bpeCache')) options.cacheSize = parseInt(params.get('bpeCache'), 10) || 0;
+
+  // Watchdog: if still neither ready nor failed after 10000ms, force fail to unblock UI.
+  let watchdog = null;
+  const timedOut = new Promise(resolve => {
+    watchdog = setTimeout(() => {
+      if (status.mode === 'loading') {
+        console.warn('[tokenizer] Watchdog timeout -> marking', spec.name, 'failed (no response)');
+        status.mode = 'fallback-failed';
+        fireStatus(spec.name);
+      }
+      resolve();
+    }, WATCHDOG_MS);
+  });
+
+  const load = request({ type: 'load', name: spec.name, options })
+    .then(({ source }) => {
+      const late = status.mode === 'fallback-failed';
+      status.source = source;
+      status.mode = source === 'mock' ? 'mock' : 'bpe';
+      if (late) fireStatus(spec.name);
+    })
+    .catch(err => {
+      console.warn('[tokenizer] Load failed for', spec.name, err);
+      status.mode = 'fallback-failed';
+    })
+    .finally(() => clearTimeout(watchdog));
+  status.loadPromise = Promise.race([load, timedOut]);
+  return status.loadPromise;
+}
+
+/**
+ * Registry helpers.
+ */
+export function getActiveTokenizer() {
+  return activeName;
 }
-export function tokenizerFailed() {
-  return failed;
+export function tokenizerLabel(name = activeName) {
+  return specFor(name).shortLabel;
 }
-export function tokenizerMode() {
-  if (failed) return 'fallback-failed';
-  if (mockMode) return 'mock';
-  if (localMode) return 'bpe';
-  if (tokenizerReady()) return 'bpe';
-  return 'loading';
+export function listSpecialTokens(name = activeName) {
+  return coreListSpecialTokens(specFor(name).name);
 }
 
 /**
- * Extra insight (not used by UI yet) – where assets came from.
+ * Switch the active tokenizer; loads its assets (if needed) and fires status events.
  */
-export function tokenizerSource() {
-  if (failed) return 'failed';
-  if (mockMode) return 'mock';
-  if (localMode) return 'local';
-  if (encoder && bpeRanks) return 'remote';
-  return 'loading';
+export function setActiveTokenizer(name) {
+  const spec = specFor(name);
+  activeName = spec.name;
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('tokenizer-changed', { detail: { name: spec.name } }));
+  }
+  return ensureTokenizerReady(spec.name).then(() => fireStatus(spec.name));
 }
 
 /**
- * Get symbol pairs in a word (array of symbols)
+ * Status helpers so UI can gate submission until true BPE is active.
  */
-function getPairs(word) {
-  const pairs = new Set();
-  for (let i = 0; i < word.length - 1; i++) {
-    pairs.add(word[i] + '\u0000' + word[i + 1]);
-  }
-  return pairs;
+export function tokenizerReady(name = activeName) {
+  const mode = tokenizerMode(name);
+  return mode === 'bpe' || mode === 'mock';
+}
+export function tokenizerFailed(name = activeName) {
+  return tokenizerMode(name) === 'fallback-failed';
+}
+export function tokenizerMode(name = activeName) {
+  return statusFor(specFor(name).name).mode;
 }
 
 /**
- * BPE merge on a token (string)
+ * Where assets came from: 'local' | 'cache' (IndexedDB) | 'remote' | 'mock' | 'loading' | 'failed'.
  */
-function bpe(token) {
-  if (cache.has(token)) return cache.get(token);
-  let word = Array.from(token);
-  if (word.length === 1) {
-    cache.set(token, word);
-    return word;
-  }
-  let pairs = getPairs(word);
-
-  while (true) {
-    if (!pairs.size) break;
-    let minPair = null;
-    let minRank = Infinity;
-    for (const pair of pairs) {
-      const [a, b] = pair.split('\u0000');
-      const rank = bpeRanks.get(a + ' ' + b);
-      if (rank !== undefined && rank < minRank) {
-        minRank = rank;
-        minPair = [a, b];
-      }
-    }
-    if (!minPair) break;
-    const [first, second] = minPair;
-    const newWord = [];
-    let i = 0;
-    while (i < word.length) {
-      const j = word.indexOf(first, i);
-      if (j === -1) {
-        newWord.push(...word.slice(i));
-        break;
-      }
-      newWord.push(...word.slice(i, j));
-      if (j < word.length - 1 && word[j + 1] === second) {
-        newWord.push(first + second);
-        i = j + 2;
-      } else {
-        newWord.push(word[j]);
-        i = j + 1;
-      }
-    }
-    word = newWord;
-    if (word.length === 1) break;
-    pairs = getPairs(word);
-  }
-  cache.set(token, word);
-  return word;
+export function tokenizerSource(name = activeName) {
+  const status = statusFor(specFor(name).name);
+  if (status.mode === 'fallback-failed') return 'failed';
+  if (status.mode === 'loading') return 'loading';
+  return status.source;
 }
 
 /**
- * Encode one text span (tokenization -> BPE -> ids) returning subword strings.
+ * Public: special token handling, like tiktoken's allowed_special / disallowed_special=().
+ *  'allowed' – special token text in the input becomes one special token
+ *  'escaped' – it is tokenized as ordinary text
  */
-function encodeFragment(text) {
-  const matches = text.match(GPT2_PATTERN) || [];
-  const tokens = [];
-  for (const m of matches) {
-    // Convert bytes -> mapped unicode
-    const chars = Array.from(new TextEncoder().encode(m)).map(b => byteEncoder[String.fromCharCode(b)]).join('');
-    const bpeTokens = bpe(chars);
-    tokens.push(...bpeTokens);
+export function setSpecialTokenMode(mode) {
+  if (mode !== 'allowed' && mode !== 'escaped') {
+    throw new Error('[tokenizer] Unknown special token mode: ' + mode);
   }
-  return tokens;
+  specialMode = mode;
+}
+
+export function getSpecialTokenMode() {
+  return specialMode;
 }
 
 /**
- * Convert internal subword pieces back to displayable strings (reverse byte mapping).
+ * Convenience: tokenize asynchronously ensuring resources are loaded.
+ * Resolves to structured tokens ({ id, text, rank, byteSpan }).
  */
-function subwordToDisplay(sw) {
-  // sw is a merged symbol; split into characters, decode each via byteDecoder if mapped
-  const bytes = [];
-  for (const ch of sw) {
-    const orig = byteDecoder[ch] || ch;
-    bytes.push(orig.charCodeAt(0));
-  }
-  return new TextDecoder().decode(Uint8Array.from(bytes));
+export async function tokenizeAsync(text, name = activeName, { signal } = {}) {
+  const spec = specFor(name);
+  await ensureTokenizerReady(spec.name);
+  const { tokens } = await request({ type: 'encode', name: spec.name, text, options: { specialMode } }, signal);
+  return tokens;
 }
 
 /**
- * Heuristic mock segmentation (activated when all remote loads fail):
- *  - Preserve leading spaces with following fragment
- *  - Split punctuation as separate tokens
- *  - Split long alphabetic runs into pseudo subwords by vowel/consonant boundaries
+ * Merge-by-merge BPE replay for the slow split; null for tokenizers without merges.
  */
-function mockSegment(text) {
-  const out = [];
-  const wordRegex = /(\s+|[A-Za-z]+|[\d]+|[^A-Za-z0-9\s])/g;
-  const parts = text.match(wordRegex) || [];
-  for (const part of parts) {
-    if (/^\s+$/.test(part)) {
-      // Defer: attach whitespace to next alpha chunk if possible
-      out.push(part);
-      continue;
-    }
-    if (/^[A-Za-z]{8,}$/.test(part)) {
-      // Split long words heuristically
-      let buf = '';
-      for (let i = 0; i < part.length; i++) {
-        buf += part[i];
-        const next = part[i + 1];
-        const isBoundary =
-          buf.length >= 4 &&
-          (
-            /[aeiou]$/i.test(buf) && next && /[bcdfghjklmnpqrstvwxyz]/i.test(next)
-          );
-        if (isBoundary) {
-          out.push(buf);
-          buf = '';
-        }
-      }
-      if (buf) out.push(buf);
-    } else {
-      out.push(part);
-    }
-  }
-  // Merge leading spaces with following token where appropriate
-  const merged = [];
-  for (let i = 0; i < out.length; i++) {
-    const t = out[i];
-    if (/^\s+$/.test(t) && i < out.length - 1) {
-      merged.push(t + out[i + 1]);
-      i++;
-    } else {
-      merged.push(t);
-    }
-  }
-  return merged.filter(t => t.trim().length);
+export async function traceMergesAsync(text, name = activeName, { signal } = {}) {
+  const spec = specFor(name);
+  await ensureTokenizerReady(spec.name);
+  const { trace } = await request({ type: 'encode', name: spec.name, text, options: { specialMode, trace: true } }, signal);
+  return trace;
 }
 
 /**
- * Public: tokenize text into display strings (GPT-2 tokens or mock heuristic).
- * Falls back to simple regex if still in genuine failed state.
+ * Decode token ids back to text + structured tokens. Rejects with a RangeError carrying
+ * `invalidIds` (and the vocabulary's `maxId`) when an id is outside the vocabulary.
  */
-export function tokenizeToDisplayChunks(text) {
-  if (!text) return [];
-  if (mockMode) {
-    return mockSegment(text);
-  }
-  if (failed || !encoder || !bpeRanks) {
-    return (text.match(GPT2_PATTERN) || []).map(t => t);
-  }
-  const subs = encodeFragment(text);
-  return subs.map(sw => subwordToDisplay(sw));
+export async function decodeIdsAsync(ids, name = activeName) {
+  const spec = specFor(name);
+  await ensureTokenizerReady(spec.name);
+  return request({ type: 'decode', name: spec.name, ids });
 }
 
 /**
- * Convenience: tokenize asynchronously ensuring resources are loaded.
+ * Reverse BPE: the token `leftId` followed by `rightId` merges into (tokenizerCore.js
+ * mergeTokenPair), or null. Answers are memoized per tokenizer once its real vocabulary is
+ * loaded, so a pile full of touching tokens asks the worker about each pair only once.
  */
-export async function tokenizeAsync(text) {
-  await ensureTokenizerReady();
-  return tokenizeToDisplayChunks(text);
+const mergeMemo = new Map();
+
+export async function mergeTokensAsync(leftId, rightId, name = activeName) {
+  const spec = specFor(name);
+  const key = `${spec.name}:${leftId}:${rightId}`;
+  if (mergeMemo.has(key)) return mergeMemo.get(key);
+  await ensureTokenizerReady(spec.name);
+  const { token } = await request({ type: 'merge', name: spec.name, left: leftId, right: rightId });
+  if (tokenizerMode(spec.name) === 'bpe') mergeMemo.set(key, token);
+  return token;
+}
+
+// Fire an event when a tokenizer settles (async)
+function fireStatus(name) {
+  if (typeof window === 'undefined') return;
+  const mode = tokenizerMode(name);
+  if (mode === 'bpe' || mode === 'mock') {
+    window.dispatchEvent(new CustomEvent('tokenizer-ready', { detail: { mode, name } }));
+  } else if (tokenizerFailed(name)) {
+    window.dispatchEvent(new CustomEvent('tokenizer-failed', { detail: { name } }));
+  }
 }
 
 // Expose globally (optional) for debugging
@@ -414,33 +337,37 @@ if (typeof window !== 'undefined') {
   window.__gpt2Tokenizer = {
     ensureTokenizerReady,
     tokenizeAsync,
+    traceMergesAsync,
+    decodeIdsAsync,
+    mergeTokensAsync,
+    setSpecialTokenMode,
     tokenizerReady,
     tokenizerFailed,
-    tokenizerMode
-  };
-  // Fire an event when ready (async)
-  const fireStatus = () => {
-    const mode = tokenizerMode();
-    if (mode === 'bpe' || mode === 'mock') {
-      window.dispatchEvent(new CustomEvent('tokenizer-ready', { detail: { mode } }));
-    } else if (tokenizerFailed()) {
-      window.dispatchEvent(new CustomEvent('tokenizer-failed'));
-    }
+    tokenizerMode,
+    tokenizerSource,
+    listTokenizers,
+    setActiveTokenizer
   };
-  ensureTokenizerReady().then(() => {
-    console.log('[tokenizer] Mode:', tokenizerMode(), 'Source:', tokenizerSource());
-    fireStatus();
-    if (localMode) {
-      console.log('[tokenizer] Using local GPT-2 assets (encoder.local.json + vocab.local.bpe).');
-    } else if (mockMode) {
+  const initialName = activeName;
+  ensureTokenizerReady(initialName).then(() => {
+    console.log('[tokenizer]', initialName, 'Mode:', tokenizerMode(initialName), 'Source:', tokenizerSource(initialName),
+      'Backend:', getBackend().kind);
+    fireStatus(initialName);
+    const source = tokenizerSource(initialName);
+    if (source === 'local') {
+      console.log('[tokenizer] Using local', initialName, 'assets.');
+    } else if (source === 'mock') {
       console.log('[tokenizer] Heuristic mock mode active. Provide local assets to get real BPE.');
-    } else {
-      console.log('[tokenizer] Remote GPT-2 assets loaded.');
+    } else if (source === 'cache') {
+      console.log('[tokenizer] Using', initialName, 'data cached in IndexedDB (offline start).');
+    } else if (source === 'remote') {
+      console.log('[tokenizer] Remote', initialName, 'assets loaded.');
     }
   });
 
-  // Provide a manual retry hook
+  // Provide a manual retry hook (retries the active tokenizer)
   window.addEventListener('tokenizer-retry', () => {
-    ensureTokenizerReady().then(fireStatus);
+    const name = activeName;
+    ensureTokenizerReady(name).then(() => fireStatus(name));
   });
 }
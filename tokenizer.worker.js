@@ -0,0 +1,42 @@
+/**
+ * tokenizer.worker.js
+ * Dedicated module worker: loads tokenizer assets and encodes / decodes off the main thread,
+ * so parsing a 50k-line merges file or encoding a long paste never stalls the p5 draw loop.
+ *
+ * Protocol (requests carry a numeric `id`; replies echo it):
+ *   -> { id, type: 'load',   name, options }            <- { id, type: 'result', result: { source } }
+ *   -> { id, type: 'encode', name, text, options }      <- { id, type: 'result', result: { tokens, trace } }
+ *   -> { id, type: 'decode', name, ids }                <- { id, type: 'result', result: { text, tokens } }
+ *   -> { id, type: 'merge',  name, left, right }        <- { id, type: 'result', result: { token } }
+ *   -> { id, type: 'cancel' }  (id of the request to stop; ignored once that request has replied)
+ *   <- { id, type: 'error', error: { name, message, invalidIds?, maxId? } }  (AbortError when cancelled)
+ *
+ * Request handling lives in tokenizerCore.js (runRequest), shared with the in-page fallback.
+ */
+
+import { runRequest } from './tokenizerCore.js';
+
+const running = new Set();   // ids of requests still in flight
+const cancelled = new Set(); // subset of running: stop at the next checkpoint
+
+self.onmessage = async ({ data: msg }) => {
+  if (msg.type === 'cancel') {
+    // A cancel that crossed the reply on its way in has nothing left to stop
+    if (running.has(msg.id)) cancelled.add(msg.id);
+    return;
+  }
+  running.add(msg.id);
+  try {
+    const result = await runRequest(msg, () => cancelled.has(msg.id));
+    self.postMessage({ id: msg.id, type: 'result', result });
+  } catch (err) {
+    self.postMessage({
+      id: msg.id,
+      type: 'error',
+      error: { name: err.name, message: err.message, invalidIds: err.invalidIds, maxId: err.maxId }
+    });
+  } finally {
+    running.delete(msg.id);
+    cancelled.delete(msg.id);
+  }
+};
@@ -0,0 +1,1663 @@
+/**
+ * tokenizerCore.js
+ * Tokenizer registry + encoders, free of `window` (runs in the page, in tokenizer.worker.js,
+ * and in Node 18+ — bin/fragile-tokenize.js, tests — with local assets read from disk).
+ *
+ * Registered tokenizers (see TOKENIZERS):
+ *   gpt2              – GPT‑2 encoder.json + vocab.bpe (merges list)
+ *   cl100k_base       – GPT‑3.5 / GPT‑4 (tiktoken rank file)
+ *   o200k_base        – GPT‑4o family (tiktoken rank file)
+ *   bert-base-uncased – BERT WordPiece (vocab.txt, `##` continuation pieces)
+ *   t5-small          – T5 SentencePiece unigram (spiece.model or JSON export, `▁` word starts)
+ *
+ * Each tokenizer loads its assets once (local static files first, then the last parsed copy in
+ * IndexedDB, then remote endpoints), builds its ranks map (reusing the IndexedDB copy when the
+ * sources' SHA‑256 is unchanged, see assetCache.js), and is exposed through:
+ *   await ensureTokenizerReady(name, { skipLocal?, forceMock?, skipCache?, skipRemote? })
+ *   tokenizerReady(name) / tokenizerSource(name) -> 'local' | 'cache' | 'remote' | 'mock' | 'loading'
+ *   tokenizeToTokens(text, name, { specialMode? }) -> Array<{ id, text, rank, byteSpan }>
+ *   tokenizeToDisplayChunks(text, name, options?) -> Array<string> (string form of tokens)
+ *   encodeChunks(text, name, options?) -> generator of token arrays (same tokens, in pieces)
+ *   traceMerges(text, name, options?) -> { tokens, symbols, steps } | null (BPE merge replay)
+ *   decodeIds(ids, name) -> { text, tokens } (throws on ids outside the vocabulary)
+ *   mergeTokenPair(leftId, rightId, name) -> the token two tokens merge into | null (reverse BPE)
+ *   listTokenizers() / tokenizerLabel(name) / listSpecialTokens(name)
+ *   visibleTokens(tokens) -> the tokens the page drops as blocks (no whitespace-only tokens)
+ *   setBpeCacheSize(n) / getBpeCacheSize() – bounded LRU cache of BPE results (default 10000)
+ *   bpe(token, pairRank, cache) / pairRankFor(name) / preTokenSymbols(text, name) – for bench.js
+ *   createLruCache(limit?) – the cache bpe() takes ({ get, set, resize, clear, size, limit })
+ *   runRequest(msg, isCancelled) – message protocol shared by the worker and the in-page fallback
+ *
+ * The page talks to this module through tokenizer.js (worker facade); `name` defaults to
+ * DEFAULT_TOKENIZER here.
+ *
+ * Intent:
+ *  - Provide accurate subword token boundaries for several model families.
+ *  - Avoid embedding the encoder data directly; fetch on demand.
+ *  - Fallback gracefully to a simple regex splitter if network fails.
+ *
+ * NOTE:
+ *  - We output the raw token strings (byte decoded), preserving leading spaces.
+ *  - Structured tokens carry:
+ *      id       – vocabulary id (null in mock / failed mode)
+ *      text     – display string (byte decoded)
+ *      rank     – merge rank that produced the token (null for single-byte tokens
+ *                 and for WordPiece / unigram pieces, which have no merges)
+ *      byteSpan – [start, end) UTF‑8 byte offsets into the input text
+ *      marker   – continuation / word-start marker the piece carries ('##' or '▁'),
+ *                 only present on WordPiece / unigram tokens; `text` keeps the marker
+ *      partial  – true when the token's bytes are not valid UTF‑8 on their own (it holds only
+ *                 part of a multi-byte character); `text` then shows the loose bytes as hex,
+ *                 e.g. "<E2 80>"
+ *      cutChar  – the character the token's end cuts through (it continues in the next token);
+ *                 only present on such byte-level BPE tokens
+ *      special  – true for a special / control token (`<|endoftext|>`, `[CLS]`, `</s>`…)
+ *
+ * Special tokens:
+ *  - Each tokenizer declares its table (TOKENIZERS[name].specialTokens: text -> id).
+ *  - specialMode 'allowed' (default): matching text in the input becomes one special token,
+ *    like tiktoken's allowed_special="all". 'escaped': it is encoded as ordinary text
+ *    (disallowed_special=()).
+ */
+
+import { hashSources, readCachedData, readLatestCachedData, writeCachedData } from './assetCache.js';
+
+// Regex from OpenAI GPT-2 tokenizer (encoder.py): Unicode letter / number classes, so accented
+// Latin, Hebrew, Arabic, CJK… group exactly as in the original
+const GPT2_PATTERN = /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+// tiktoken cl100k_base pattern. JS has no possessive quantifiers or inline (?i:), so the
+// contractions are spelled out case-insensitively; the possessive forms match identically here.
+const CL100K_PATTERN = /'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+
+// tiktoken o200k_base pattern (case-aware word pieces with optional trailing contraction)
+const O200K_CONTRACTION = "(?:'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE]))?";
+const O200K_PATTERN = new RegExp([
+  '[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]*[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]+' + O200K_CONTRACTION,
+  '[^\\r\\n\\p{L}\\p{N}]?[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]+[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]*' + O200K_CONTRACTION,
+  '\\p{N}{1,3}',
+  ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*',
+  '\\s*[\\r\\n]+',
+  '\\s+(?!\\S)',
+  '\\s+'
+].join('|'), 'gu');
+
+/**
+ * Registry of available tokenizers.
+ *
+ * format:
+ *   'gpt2-merges' – encoder.json (symbol -> id) + vocab.bpe (ordered merge pairs)
+ *   'tiktoken'    – one "<base64 bytes> <rank>" line per token; rank doubles as id
+ *   'wordpiece'   – vocab.txt, one piece per line; line number is the id
+ *   'unigram'     – SentencePiece model (binary .model or JSON export) with piece scores
+ *
+ * label / shortLabel: dropdown text / status line text
+ * local:     asset paths in the project root (preferred unless ?skipLocal=1); omitted when
+ *            the repo does not ship the files
+ * endpoints: remote asset sets, tried in order (first that succeeds wins)
+ * specialTokens: special / control token text -> id (add custom control tokens here)
+ */
+
+// T5 sentinel (span-corruption) tokens: <extra_id_0> is the last id, counting down
+function t5SentinelTokens() {
+  const out = {};
+  for (let i = 0; i < 100; i++) out[`<extra_id_${i}>`] = 32099 - i;
+  return out;
+}
+
+export const TOKENIZERS = {
+  gpt2: {
+    name: 'gpt2',
+    label: 'GPT‑2',
+    shortLabel: 'GPT‑2 BPE',
+    format: 'gpt2-merges',
+    pattern: GPT2_PATTERN,
+    specialTokens: { '<|endoftext|>': 50256 },
+    // Optional local copies (user can place in project root to bypass network/CORS)
+    local: {
+      encoder: './encoder.local.json',
+      merges: './vocab.local.bpe'
+    },
+    /**
+     * Correct GPT-2 asset base path (previous path 404'ed -> constant failure & fallback):
+     * Official OpenAI hosting uses /models/124M/ for encoder.json & vocab.bpe
+     */
+    endpoints: [
+      // Raw GitHub (generally good CORS)
+      'https://raw.githubusercontent.com/openai/gpt-2/master/models/124M',
+      // OpenAI Azure blob
+      'https://openaipublic.blob.core.windows.net/gpt-2/models/124M',
+      // jsDelivr GitHub mirror
+      'https://cdn.jsdelivr.net/gh/openai/gpt-2/models/124M',
+      // HuggingFace model repo
+      'https://huggingface.co/gpt2/resolve/main'
+    ].map(base => ({ encoder: base + '/encoder.json', merges: base + '/vocab.bpe' }))
+  },
+  cl100k_base: {
+    name: 'cl100k_base',
+    label: 'cl100k_base (GPT‑3.5 / GPT‑4)',
+    shortLabel: 'cl100k_base BPE',
+    format: 'tiktoken',
+    pattern: CL100K_PATTERN,
+    specialTokens: {
+      '<|endoftext|>': 100257,
+      '<|fim_prefix|>': 100258,
+      '<|fim_middle|>': 100259,
+      '<|fim_suffix|>': 100260,
+      '<|endofprompt|>': 100276
+    },
+    local: { ranks: './cl100k_base.local.tiktoken' },
+    endpoints: [
+      { ranks: 'https://openaipublic.blob.core.windows.net/encodings/cl100k_base.tiktoken' }
+    ]
+  },
+  o200k_base: {
+    name: 'o200k_base',
+    label: 'o200k_base (GPT‑4o)',
+    shortLabel: 'o200k_base BPE',
+    format: 'tiktoken',
+    pattern: O200K_PATTERN,
+    specialTokens: { '<|endoftext|>': 199999, '<|endofprompt|>': 200018 },
+    local: { ranks: './o200k_base.local.tiktoken' },
+    endpoints: [
+      { ranks: 'https://openaipublic.blob.core.windows.net/encodings/o200k_base.tiktoken' }
+    ]
+  },
+  'bert-base-uncased': {
+    name: 'bert-base-uncased',
+    label: 'BERT WordPiece (bert-base-uncased)',
+    shortLabel: 'BERT WordPiece',
+    format: 'wordpiece',
+    lowercase: true,
+    stripAccents: true,
+    continuationPrefix: '##',
+    unkToken: '[UNK]',
+    maxCharsPerWord: 100,
+    specialTokens: { '[PAD]': 0, '[UNK]': 100, '[CLS]': 101, '[SEP]': 102, '[MASK]': 103 },
+    local: { vocab: './bert-base-uncased.local.vocab.txt' },
+    endpoints: [
+      { vocab: 'https://huggingface.co/bert-base-uncased/resolve/main/vocab.txt' },
+      { vocab: 'https://huggingface.co/google-bert/bert-base-uncased/resolve/main/vocab.txt' }
+    ]
+  },
+  't5-small': {
+    name: 't5-small',
+    label: 'T5 SentencePiece unigram (t5-small)',
+    shortLabel: 'T5 Unigram',
+    format: 'unigram',
+    wordStart: '\u2581',
+    specialTokens: { '<pad>': 0, '</s>': 1, '<unk>': 2, ...t5SentinelTokens() },
+    endpoints: [
+      { model: 'https://huggingface.co/t5-small/resolve/main/spiece.model' },
+      { model: 'https://huggingface.co/google-t5/t5-small/resolve/main/spiece.model' }
+    ]
+  }
+};
+
+export const DEFAULT_TOKENIZER = 'gpt2';
+
+/**
+ * Per-tokenizer runtime state.
+ */
+function createState() {
+  return {
+    data: null,           // parsed assets (format specific)
+    cache: createLruCache(bpeCacheSize), // BPE cache (bounded LRU)
+    loadPromise: null,
+    mockMode: false,      // heuristic tokenization mode (activated if assets unreachable)
+    localMode: false,     // true if loaded from local static files
+    cacheMode: false,     // true if loaded from IndexedDB without fetching the sources
+    endpointIndex: 0
+  };
+}
+
+const states = new Map();
+function stateFor(name) {
+  if (!states.has(name)) states.set(name, createState());
+  return states.get(name);
+}
+
+function specFor(name) {
+  const spec = TOKENIZERS[name || DEFAULT_TOKENIZER];
+  if (!spec) throw new Error('[tokenizer] Unknown tokenizer: ' + name);
+  return spec;
+}
+
+// Special token patterns, built on first use
+const specialPatterns = new Map(); // tokenizer name -> RegExp (longest text first)
+
+function specialPatternFor(spec) {
+  if (!specialPatterns.has(spec.name)) {
+    const texts = Object.keys(spec.specialTokens || {}).sort((a, b) => b.length - a.length);
+    const escaped = texts.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    specialPatterns.set(spec.name, texts.length ? new RegExp(escaped.join('|'), 'g') : null);
+  }
+  return specialPatterns.get(spec.name);
+}
+
+/**
+ * Byte <-> unicode reversible mapping (GPT-2 style)
+ */
+function bytesToUnicode() {
+  const bs = [];
+  for (let i = 33; i <= 126; i++) bs.push(i);
+  for (let i = 161; i <= 172; i++) bs.push(i);
+  for (let i = 174; i <= 255; i++) bs.push(i);
+  // Printable bytes map to themselves; the rest are shifted above 255
+  const cs = bs.slice();
+  let n = 0;
+  for (let b = 0; b < 256; b++) {
+    if (!bs.includes(b)) {
+      bs.push(b);
+      cs.push(256 + n);
+      n++;
+    }
+  }
+  return bs.reduce((obj, b, i) => {
+    obj[String.fromCharCode(b)] = String.fromCharCode(cs[i]);
+    return obj;
+  }, {});
+}
+
+const byteEncoder = bytesToUnicode();
+const byteDecoder = Object.entries(byteEncoder).reduce((o, [k, v]) => {
+  o[v] = k;
+  return o;
+}, {});
+
+/**
+ * Map each merged symbol to the rank of the merge that first produces it.
+ */
+function buildSymbolRanks(merges) {
+  const out = new Map();
+  merges.forEach(([a, b], i) => {
+    const sym = a + b;
+    if (!out.has(sym)) out.set(sym, i);
+  });
+  return out;
+}
+
+/**
+ * Format handlers: parse(responses) -> data, encode(text, spec, state) -> tokens.
+ *
+ * Byte-level BPE formats represent a symbol as a string with exactly one character per byte:
+ *   gpt2-merges – GPT‑2's printable byte <-> unicode mapping (e.g. space -> 'Ġ')
+ *   tiktoken    – latin1 (char code == byte value)
+ * WordPiece / unigram work on normalized unicode text instead of bytes.
+ */
+const FORMATS = {
+  'gpt2-merges': {
+    async parse(responses) {
+      const encoder = await responses.encoder.json();
+      const decoder = Object.entries(encoder).reduce((o, [k, v]) => { o[v] = k; return o; }, {});
+      const mergesText = await responses.merges.text();
+      // Only a leading '#version' line is a header: '# #', '## ##'… are real merges
+      const lines = mergesText.split('\n');
+      if (lines[0].startsWith('#version')) lines.shift();
+      const merges = lines.map(l => l.trim()).filter(Boolean).map(l => l.split(/\s+/));
+      const bpeRanks = new Map(merges.map((m, i) => [m.join(' '), i]));
+      return { encoder, decoder, bpeRanks, symbolRanks: buildSymbolRanks(merges) };
+    },
+    bytesToSymbols(bytes) {
+      return Array.from(bytes).map(b => byteEncoder[String.fromCharCode(b)]).join('');
+    },
+    symbolToBytes(sw) {
+      // sw is a merged symbol; split into characters, decode each via byteDecoder if mapped
+      const bytes = [];
+      for (const ch of sw) {
+        const orig = byteDecoder[ch] || ch;
+        bytes.push(orig.charCodeAt(0));
+      }
+      return bytes;
+    },
+    pairRank(data, a, b) {
+      return data.bpeRanks.get(a + ' ' + b);
+    },
+    tokenId(data, sw) {
+      const id = data.encoder[sw];
+      return id === undefined ? null : id;
+    },
+    symbolRank(data, sw) {
+      return data.symbolRanks.has(sw) ? data.symbolRanks.get(sw) : null;
+    },
+    idToPiece(data, id) {
+      return Object.prototype.hasOwnProperty.call(data.decoder, id) ? data.decoder[id] : undefined;
+    },
+    // Reference GPT-2 always runs the merge loop
+    wholePieceLookup: false,
+    encode: encodeByteLevel,
+    trace: traceByteLevel,
+    decode: decodeByteLevel
+  },
+  tiktoken: {
+    async parse(responses) {
+      const text = await responses.ranks.text();
+      const ranks = new Map();
+      const decoder = new Map();
+      for (const line of text.split('\n')) {
+        if (!line) continue;
+        const [b64, rankStr] = line.split(' ');
+        const sym = atob(b64);
+        const rank = parseInt(rankStr, 10);
+        ranks.set(sym, rank);
+        decoder.set(rank, sym);
+      }
+      return { ranks, decoder };
+    },
+    bytesToSymbols(bytes) {
+      let s = '';
+      for (const b of bytes) s += String.fromCharCode(b);
+      return s;
+    },
+    symbolToBytes(sw) {
+      const bytes = [];
+      for (let i = 0; i < sw.length; i++) bytes.push(sw.charCodeAt(i));
+      return bytes;
+    },
+    pairRank(data, a, b) {
+      return data.ranks.get(a + b);
+    },
+    tokenId(data, sw) {
+      const id = data.ranks.get(sw);
+      return id === undefined ? null : id;
+    },
+    symbolRank(data, sw) {
+      return sw.length > 1 && data.ranks.has(sw) ? data.ranks.get(sw) : null;
+    },
+    idToPiece(data, id) {
+      return data.decoder.get(id);
+    },
+    // tiktoken short-circuits pieces that already are a single token
+    wholePieceLookup: true,
+    encode: encodeByteLevel,
+    trace: traceByteLevel,
+    decode: decodeByteLevel
+  },
+  wordpiece: {
+    async parse(responses) {
+      const text = await responses.vocab.text();
+      const vocab = new Map();
+      const decoder = new Map();
+      text.split('\n').forEach((line, i) => {
+        const piece = line.replace(/\r$/, '');
+        if (!piece || vocab.has(piece)) return;
+        vocab.set(piece, i);
+        decoder.set(i, piece);
+      });
+      return { vocab, decoder };
+    },
+    idToPiece(data, id) {
+      return data.decoder.get(id);
+    },
+    encode: encodeWordPiece,
+    decode: decodePieces
+  },
+  unigram: {
+    async parse(responses) {
+      const buf = new Uint8Array(await responses.model.arrayBuffer());
+      // JSON exports start with '{'; binary ModelProto starts with a field tag
+      const first = buf.find(b => b > 0x20);
+      const pieces = first === 0x7B
+        ? parseUnigramJSON(JSON.parse(new TextDecoder().decode(buf)))
+        : parseSentencePieceModel(buf);
+      return buildUnigramData(pieces);
+    },
+    idToPiece(data, id) {
+      return data.decoder.get(id);
+    },
+    encode: encodeUnigram,
+    decode: decodePieces
+  }
+};
+
+// SentencePiece piece types (sentencepiece_model.proto)
+const SP_NORMAL = 1;
+const SP_UNKNOWN = 2;
+const SP_CONTROL = 3;
+const SP_USER_DEFINED = 4;
+const SP_UNUSED = 5;
+const SP_BYTE = 6;
+const SP_TYPE_NAMES = {
+  NORMAL: SP_NORMAL,
+  UNKNOWN: SP_UNKNOWN,
+  CONTROL: SP_CONTROL,
+  USER_DEFINED: SP_USER_DEFINED,
+  UNUSED: SP_UNUSED,
+  BYTE: SP_BYTE
+};
+// sentencepiece's kUnkPenalty: unknown characters score below every real piece
+const SP_UNK_PENALTY = 10;
+
+/**
+ * Minimal protobuf reading for SentencePiece ModelProto:
+ *   ModelProto { repeated SentencePiece pieces = 1; ... }
+ *   SentencePiece { string piece = 1; float score = 2; Type type = 3; }
+ * Every other field is skipped.
+ */
+function readVarint(buf, pos) {
+  let result = 0;
+  let shift = 0;
+  let b;
+  do {
+    if (pos >= buf.length) throw new Error('[tokenizer] Truncated SentencePiece model');
+    b = buf[pos++];
+    result += (b & 0x7f) * 2 ** shift;
+    shift += 7;
+  } while (b & 0x80);
+  return [result, pos];
+}
+
+function skipField(buf, pos, wire) {
+  if (wire === 0) return readVarint(buf, pos)[1];
+  if (wire === 1) return pos + 8;
+  if (wire === 5) return pos + 4;
+  if (wire === 2) {
+    const [len, next] = readVarint(buf, pos);
+    return next + len;
+  }
+  throw new Error('[tokenizer] Unsupported protobuf wire type ' + wire);
+}
+
+function parseSentencePiece(buf, view, pos, end, utf8) {
+  const out = { piece: '', score: 0, type: SP_NORMAL };
+  while (pos < end) {
+    let key;
+    [key, pos] = readVarint(buf, pos);
+    const field = Math.floor(key / 8);
+    const wire = key & 7;
+    if (field === 1 && wire === 2) {
+      let len;
+      [len, pos] = readVarint(buf, pos);
+      out.piece = utf8.decode(buf.subarray(pos, pos + len));
+      pos += len;
+    } else if (field === 2 && wire === 5) {
+      out.score = view.getFloat32(pos, true);
+      pos += 4;
+    } else if (field === 3 && wire === 0) {
+      [out.type, pos] = readVarint(buf, pos);
+    } else {
+      pos = skipField(buf, pos, wire);
+    }
+  }
+  return out;
+}
+
+function parseSentencePieceModel(buf) {
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const utf8 = new TextDecoder();
+  const pieces = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    let key;
+    [key, pos] = readVarint(buf, pos);
+    const field = Math.floor(key / 8);
+    const wire = key & 7;
+    if (field === 1 && wire === 2) {
+      let len;
+      [len, pos] = readVarint(buf, pos);
+      pieces.push(parseSentencePiece(buf, view, pos, pos + len, utf8));
+      pos += len;
+    } else {
+      pos = skipField(buf, pos, wire);
+    }
+  }
+  if (!pieces.length) throw new Error('[tokenizer] SentencePiece model has no pieces');
+  return pieces;
+}
+
+/**
+ * JSON exports: HuggingFace tokenizer.json ({ model: { type: 'Unigram', vocab: [[piece, score]], unk_id } })
+ * or a plain piece list ({ pieces: [{ piece, score, type }] }).
+ */
+function parseUnigramJSON(json) {
+  if (json.model && Array.isArray(json.model.vocab)) {
+    const unkId = json.model.unk_id;
+    const specialIds = new Set((json.added_tokens || []).filter(t => t.special).map(t => t.id));
+    return json.model.vocab.map(([piece, score], id) => ({
+      piece,
+      score,
+      type: id === unkId ? SP_UNKNOWN : (specialIds.has(id) ? SP_CONTROL : SP_NORMAL)
+    }));
+  }
+  if (Array.isArray(json.pieces)) {
+    return json.pieces.map(p => ({
+      piece: p.piece,
+      score: p.score || 0,
+      type: typeof p.type === 'string' ? (SP_TYPE_NAMES[p.type] || SP_NORMAL) : (p.type || SP_NORMAL)
+    }));
+  }
+  throw new Error('[tokenizer] Unrecognized unigram JSON export');
+}
+
+function buildUnigramData(pieces) {
+  const vocab = new Map();   // piece -> { id, score } (only pieces Viterbi may emit)
+  const decoder = new Map(); // id -> piece
+  let unkId = null;
+  let minScore = Infinity;
+  let maxPieceLen = 1;
+  pieces.forEach((p, id) => {
+    decoder.set(id, p.piece);
+    if (p.type === SP_UNKNOWN) unkId = id;
+    if (p.type !== SP_NORMAL && p.type !== SP_USER_DEFINED) return;
+    if (vocab.has(p.piece)) return;
+    vocab.set(p.piece, { id, score: p.score });
+    minScore = Math.min(minScore, p.score);
+    maxPieceLen = Math.max(maxPieceLen, Array.from(p.piece).length);
+  });
+  return { vocab, decoder, unkId, unkScore: minScore - SP_UNK_PENALTY, maxPieceLen };
+}
+
+/**
+ * Fetch one asset. Relative URLs resolve against this module (the page root), so the same
+ * './encoder.local.json' works on the page, in the worker and in Node, where file: URLs are
+ * read straight from disk (CLI / tests) and remote URLs use Node's fetch.
+ */
+async function fetchAsset(url, fetchOpts) {
+  const resolved = new URL(url, import.meta.url);
+  if (resolved.protocol === 'file:') {
+    const { readFile } = await import('node:fs/promises');
+    try {
+      return new Response(await readFile(resolved));
+    } catch (err) {
+      return new Response(null, { status: err.code === 'ENOENT' ? 404 : 500 });
+    }
+  }
+  return fetch(resolved, fetchOpts);
+}
+
+/**
+ * Fetch a set of asset URLs ({ key: url }) in parallel.
+ */
+async function fetchAssetSet(urls, fetchOpts) {
+  const keys = Object.keys(urls);
+  const responses = await Promise.all(keys.map(k => fetchAsset(urls[k], fetchOpts)));
+  const bad = responses.find(r => !r.ok);
+  if (bad) throw new Error('HTTP ' + responses.map(r => r.status).join('/'));
+  return keys.reduce((o, k, i) => { o[k] = responses[i]; return o; }, {});
+}
+
+/**
+ * Fetch a set of asset URLs and read every body into an ArrayBuffer ({ key: ArrayBuffer }).
+ */
+async function fetchAssetBuffers(urls, fetchOpts) {
+  const responses = await fetchAssetSet(urls, fetchOpts);
+  const buffers = {};
+  for (const key of Object.keys(responses)) buffers[key] = await responses[key].arrayBuffer();
+  return buffers;
+}
+
+/**
+ * Parsed data for fetched source files: reused from IndexedDB when a verified record exists
+ * for the same SHA‑256 of the sources, otherwise parsed and stored (in the background).
+ */
+async function buildData(spec, buffers, useCache) {
+  const format = FORMATS[spec.format];
+  const sourceHash = useCache ? await hashSources(buffers) : null;
+  const cached = await readCachedData(spec.name, sourceHash);
+  if (cached) {
+    console.log('[tokenizer] Reusing parsed', spec.name, 'data from IndexedDB (sources unchanged).');
+    return cached;
+  }
+  const responses = {};
+  for (const key of Object.keys(buffers)) responses[key] = new Response(buffers[key]);
+  const data = await format.parse(responses);
+  if (sourceHash) {
+    writeCachedData(spec.name, sourceHash, data)
+      .catch(err => console.warn('[tokenizer] Could not cache', spec.name, 'data.', err));
+  }
+  return data;
+}
+
+/**
+ * Fetch and build tokenizer data.
+ * options.skipLocal / options.forceMock mirror the page's ?skipLocal / ?forceMock flags;
+ * options.skipCache (?noCache) bypasses IndexedDB entirely; options.skipRemote (CLI --offline)
+ * goes to mock mode instead of trying remote endpoints.
+ *
+ * Order: local files -> last verified IndexedDB copy (offline boot) -> remote endpoints -> mock.
+ */
+async function loadTokenizer(name, { skipLocal = false, forceMock = false, skipCache = false, skipRemote = false } = {}) {
+  const spec = specFor(name);
+  const state = stateFor(spec.name);
+  if (state.loadPromise) return state.loadPromise;
+  const maxEndpoints = spec.endpoints.length;
+  const useCache = !skipCache;
+
+  const tryLoadLocal = async () => {
+    if (skipLocal || forceMock || !spec.local) return false;
+    try {
+      console.log('[tokenizer] Attempting local assets for', spec.name + '...');
+      // Revalidate instead of re-downloading; the content hash catches any change
+      const buffers = await fetchAssetBuffers(spec.local, { cache: 'no-cache' });
+      state.data = await buildData(spec, buffers, useCache);
+      state.localMode = true;
+      state.mockMode = false;
+      console.log('[tokenizer] Loaded local', spec.name, 'assets.');
+      return true;
+    } catch (err) {
+      console.warn('[tokenizer] Local load failed / not present.', err);
+      return false;
+    }
+  };
+
+  const tryLoadCached = async () => {
+    if (!useCache || skipLocal || forceMock) return false;
+    const cached = await readLatestCachedData(spec.name);
+    if (!cached) return false;
+    state.data = cached.data;
+    state.cacheMode = true;
+    state.mockMode = false;
+    console.log('[tokenizer] Loaded', spec.name, 'from IndexedDB (sources', cached.sourceHash.slice(0, 12) + '…).');
+    return true;
+  };
+
+  const tryLoad = async () => {
+    try {
+      const urls = spec.endpoints[state.endpointIndex];
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 15000);
+      const fetchOpts = { signal: controller.signal, mode: 'cors', cache: 'no-store' };
+      console.log('[tokenizer] Fetching remote', spec.name, 'assets from', Object.values(urls)[0]);
+      const buffers = await fetchAssetBuffers(urls, fetchOpts);
+      clearTimeout(timeout);
+      state.data = await buildData(spec, buffers, useCache);
+      state.mockMode = false;
+      state.localMode = false;
+      return true;
+    } catch (e) {
+      console.warn('[tokenizer] Endpoint failed', spec.endpoints[state.endpointIndex], e);
+      state.endpointIndex++;
+      if (state.endpointIndex < maxEndpoints) {
+        return tryLoad();
+      } else {
+        console.warn('[tokenizer] All remote endpoints failed for', spec.name, '– enabling heuristic mock mode.');
+        state.mockMode = true;
+        state.data = null;
+        return false;
+      }
+    }
+  };
+
+  state.loadPromise = (async () => {
+    // 1. Try local
+    const localOk = await tryLoadLocal();
+    if (localOk) return true;
+    // 2. Last good parsed copy (gallery machines often boot offline)
+    const cachedOk = await tryLoadCached();
+    if (cachedOk) return true;
+    // 3. Remote sequence (unless forced mock / local only)
+    if (forceMock || skipRemote) {
+      console.warn('[tokenizer]', forceMock ? 'forceMock flag present' : 'Remote loading disabled', '– enabling mock mode directly.');
+      state.mockMode = true;
+      return false;
+    }
+    const ok = await tryLoad();
+    return ok;
+  })();
+
+  return state.loadPromise;
+}
+
+export async function ensureTokenizerReady(name = DEFAULT_TOKENIZER, options = {}) {
+  const state = stateFor(specFor(name).name);
+  if (!state.data && !state.mockMode) {
+    await loadTokenizer(name, options);
+  }
+}
+
+/**
+ * Registry helpers.
+ */
+export function listTokenizers() {
+  return Object.values(TOKENIZERS).map(t => ({ name: t.name, label: t.label, shortLabel: t.shortLabel }));
+}
+export function tokenizerLabel(name = DEFAULT_TOKENIZER) {
+  return specFor(name).shortLabel;
+}
+
+/**
+ * Status helpers.
+ */
+export function tokenizerReady(name = DEFAULT_TOKENIZER) {
+  const state = stateFor(specFor(name).name);
+  return state.mockMode || !!state.data;
+}
+
+/**
+ * Where assets came from: 'local' | 'cache' (IndexedDB) | 'remote' | 'mock' | 'loading'.
+ */
+export function tokenizerSource(name = DEFAULT_TOKENIZER) {
+  const state = stateFor(specFor(name).name);
+  if (state.mockMode) return 'mock';
+  if (state.localMode) return 'local';
+  if (state.cacheMode) return 'cache';
+  if (state.data) return 'remote';
+  return 'loading';
+}
+
+const utf8Encoder = new TextEncoder();
+
+/**
+ * Bounded LRU cache for BPE results (pre-token symbol string -> merged symbols).
+ * A Map keeps insertion order: a hit re-inserts the key, the oldest key is evicted first.
+ * Long-running installs would otherwise grow the cache with every new word forever.
+ */
+export const BPE_CACHE_DEFAULT_SIZE = 10000;
+
+export function createLruCache(limit = BPE_CACHE_DEFAULT_SIZE) {
+  const map = new Map();
+  return {
+    get limit() { return limit; },
+    get size() { return map.size; },
+    get(key) {
+      if (!map.has(key)) return undefined;
+      const value = map.get(key);
+      map.delete(key);
+      map.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      if (limit <= 0) return;
+      map.delete(key);
+      map.set(key, value);
+      if (map.size > limit) map.delete(map.keys().next().value);
+    },
+    resize(newLimit) {
+      limit = Math.max(0, newLimit | 0);
+      while (map.size > limit) map.delete(map.keys().next().value);
+    },
+    clear() {
+      map.clear();
+    }
+  };
+}
+
+/**
+ * Binary min-heap of candidate merges, ordered by rank then by position (left to right),
+ * which is the order the classic "lowest-ranked pair everywhere" loop applies them in.
+ */
+function heapLess(a, b) {
+  return a.rank < b.rank || (a.rank === b.rank && a.left < b.left);
+}
+
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!heapLess(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    while (true) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let min = i;
+      if (l < heap.length && heapLess(heap[l], heap[min])) min = l;
+      if (r < heap.length && heapLess(heap[r], heap[min])) min = r;
+      if (min === i) break;
+      [heap[i], heap[min]] = [heap[min], heap[i]];
+      i = min;
+    }
+  }
+  return top;
+}
+
+/**
+ * BPE merge on a token (string of one-char-per-byte symbols).
+ * pairRank(a, b) returns the merge rank for two adjacent symbols (undefined if no merge).
+ *
+ * Symbols form a doubly linked list (`prev` / `next` index arrays); every adjacent pair with
+ * a rank sits in a min-heap. Popping the lowest (rank, position) pair merges the right symbol
+ * into the left one and pushes the two new neighbour pairs; entries whose symbols changed
+ * since they were pushed are stale and skipped. O(n log n) per word instead of rescanning
+ * every pair after each merge.
+ *
+ * When `trace` (array) is given, every merge is appended as { rank, at }: the symbols at
+ * `at` and `at + 1` of the word *as it stands at that moment* fuse. Replaying the entries
+ * in order on the single-byte symbols reproduces the result (cache is bypassed).
+ */
+export function bpe(token, pairRank, cache, trace = null) {
+  if (!trace) {
+    const hit = cache.get(token);
+    if (hit) return hit;
+  }
+  const sym = Array.from(token);
+  const n = sym.length;
+  if (n === 1) {
+    cache.set(token, sym);
+    return sym;
+  }
+  const prev = new Int32Array(n);
+  const next = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    prev[i] = i - 1;
+    next[i] = i + 1 < n ? i + 1 : -1;
+  }
+
+  const heap = [];
+  const pushPair = (left, right) => {
+    if (left < 0 || right < 0) return;
+    const rank = pairRank(sym[left], sym[right]);
+    if (rank !== undefined) heapPush(heap, { rank, left, right, a: sym[left], b: sym[right] });
+  };
+  for (let i = 0; i < n - 1; i++) pushPair(i, i + 1);
+
+  while (heap.length) {
+    const { rank, left, right, a, b } = heapPop(heap);
+    // Stale: one side merged since this entry was pushed (symbols only ever grow)
+    if (next[left] !== right || sym[left] !== a || sym[right] !== b) continue;
+    if (trace) {
+      let at = 0;
+      for (let k = prev[left]; k >= 0; k = prev[k]) at++;
+      trace.push({ rank, at });
+    }
+    sym[left] = a + b;
+    sym[right] = null;
+    next[left] = next[right];
+    if (next[right] >= 0) prev[next[right]] = left;
+    pushPair(prev[left], left);
+    pushPair(left, next[left]);
+  }
+
+  const word = [];
+  for (let i = 0; i >= 0; i = next[i]) word.push(sym[i]);
+  cache.set(token, word);
+  return word;
+}
+
+/**
+ * Resize every tokenizer's BPE cache (entries beyond the new size are evicted, oldest first).
+ * 0 disables caching.
+ */
+let bpeCacheSize = BPE_CACHE_DEFAULT_SIZE;
+
+export function setBpeCacheSize(size) {
+  bpeCacheSize = Math.max(0, size | 0);
+  for (const state of states.values()) state.cache.resize(bpeCacheSize);
+}
+
+export function getBpeCacheSize() {
+  return bpeCacheSize;
+}
+
+/**
+ * Symbol pair ranker for a loaded byte-level BPE tokenizer (null otherwise); lets tools such
+ * as bench.js drive bpe() directly.
+ */
+export function pairRankFor(name = DEFAULT_TOKENIZER) {
+  const spec = specFor(name);
+  const state = stateFor(spec.name);
+  const format = FORMATS[spec.format];
+  if (!format.pairRank || !state.data) return null;
+  return (a, b) => format.pairRank(state.data, a, b);
+}
+
+/**
+ * Pre-tokens of `text` as symbol strings (one char per byte), the input bpe() works on.
+ */
+export function preTokenSymbols(text, name = DEFAULT_TOKENIZER) {
+  const spec = specFor(name);
+  const format = FORMATS[spec.format];
+  if (!format.bytesToSymbols) return [];
+  return Array.from(text.matchAll(spec.pattern), m => format.bytesToSymbols(utf8Encoder.encode(m[0])));
+}
+
+/**
+ * Byte-level BPE encode (tokenization -> BPE -> ids) returning structured tokens.
+ */
+function encodeByteLevel(text, spec, state, traces = null) {
+  const format = FORMATS[spec.format];
+  const data = state.data;
+  const pairRank = (a, b) => format.pairRank(data, a, b);
+  const tokens = [];
+  let byteCursor = 0;
+  let charCursor = 0;
+  for (const match of text.matchAll(spec.pattern)) {
+    const m = match[0];
+    // Account for any unmatched characters between pre-tokens
+    if (match.index > charCursor) {
+      byteCursor += utf8Encoder.encode(text.slice(charCursor, match.index)).length;
+    }
+    charCursor = match.index + m.length;
+    // Convert bytes -> one symbol character per byte
+    const chars = format.bytesToSymbols(utf8Encoder.encode(m));
+    const whole = format.wholePieceLookup && format.tokenId(data, chars) !== null;
+    const pieces = whole ? [chars] : bpe(chars, pairRank, state.cache);
+    if (traces) {
+      const steps = [];
+      const merged = bpe(chars, pairRank, state.cache, steps);
+      if (whole) {
+        // Whole-piece hit skips BPE; close any gap with the piece's own rank
+        const rank = format.symbolRank(data, chars);
+        for (let k = 1; k < merged.length; k++) steps.push({ rank, at: 0 });
+      }
+      traces.push({ symbols: Array.from(chars), steps });
+    }
+    for (const sw of pieces) {
+      // Every symbol character stands for exactly one byte
+      const byteLen = Array.from(sw).length;
+      const bytes = format.symbolToBytes(sw);
+      const token = {
+        id: format.tokenId(data, sw),
+        text: bytesToDisplay(bytes),
+        rank: format.symbolRank(data, sw),
+        byteSpan: [byteCursor, byteCursor + byteLen]
+      };
+      if (!isCompleteUtf8(bytes)) token.partial = true;
+      tokens.push(token);
+      byteCursor += byteLen;
+    }
+  }
+  markCutChars(tokens, utf8Encoder.encode(text));
+  return tokens;
+}
+
+/**
+ * Flag tokens whose end falls inside a multi-byte character (next byte is a UTF‑8
+ * continuation byte) with the character they cut, so siblings can be drawn tied together.
+ */
+function markCutChars(tokens, bytes) {
+  for (const token of tokens) {
+    const end = token.byteSpan[1];
+    if (end >= bytes.length || (bytes[end] & 0xC0) !== 0x80) continue;
+    let start = end;
+    while (start > 0 && (bytes[start] & 0xC0) === 0x80) start--;
+    let stop = end;
+    while (stop < bytes.length && (bytes[stop] & 0xC0) === 0x80) stop++;
+    token.cutChar = bytesToDisplay(bytes.subarray(start, stop));
+  }
+}
+
+/**
+ * Sentence-wide merge trace for byte-level BPE formats.
+ * Pre-tokens merge independently, so their steps are interleaved by rank (ranks rise within
+ * a pre-token, keeping each one's own order) and `at` is re-based onto the whole sentence.
+ * Special tokens (see splitSpecial) enter as one finished symbol with no merges.
+ */
+function traceByteLevel(segments, spec, state) {
+  const format = FORMATS[spec.format];
+  const traces = [];
+  const tokens = [];
+  for (const seg of segments) {
+    if (seg.token) {
+      tokens.push(seg.token);
+      traces.push({ special: seg.token.text, symbols: [seg.token.text], steps: [] });
+    } else {
+      tokens.push(...shiftSpans(encodeByteLevel(seg.text, spec, state, traces), seg.byteStart));
+    }
+  }
+  const display = sym => bytesToDisplay(format.symbolToBytes(sym));
+
+  const symbols = [];
+  const queue = [];
+  traces.forEach((t, piece) => {
+    for (const sym of t.symbols) symbols.push(t.special ? t.special : display(sym));
+    t.steps.forEach((step, order) => queue.push({ ...step, piece, order }));
+  });
+  queue.sort((a, b) => (a.rank - b.rank) || (a.piece - b.piece) || (a.order - b.order));
+
+  // Current symbol strings per pre-token, to compute global offsets + merged text
+  const words = traces.map(t => t.symbols.slice());
+  const steps = [];
+  for (const step of queue) {
+    const word = words[step.piece];
+    let offset = 0;
+    for (let k = 0; k < step.piece; k++) offset += words[k].length;
+    const left = word[step.at];
+    const right = word[step.at + 1];
+    word.splice(step.at, 2, left + right);
+    steps.push({
+      rank: step.rank,
+      at: offset + step.at,
+      left: display(left),
+      right: display(right),
+      text: display(left + right)
+    });
+  }
+  return { tokens, symbols, steps };
+}
+
+/**
+ * Normalize text cluster-by-cluster (base character + combining marks), recording for every
+ * output code point the UTF‑8 byte span of the input cluster it came from.
+ */
+function normalizeWithOffsets(text, normalizeCluster) {
+  const chars = [];
+  let byte = 0;
+  for (const m of text.matchAll(/\P{M}\p{M}*|\p{M}+/gu)) {
+    const cluster = m[0];
+    const len = utf8Encoder.encode(cluster).length;
+    for (const ch of normalizeCluster(cluster)) {
+      chars.push({ ch, span: [byte, byte + len] });
+    }
+    byte += len;
+  }
+  return chars;
+}
+
+// BERT treats all non-alphanumeric ASCII as punctuation, plus Unicode P* categories
+function isBertPunctuation(ch) {
+  const cp = ch.codePointAt(0);
+  if ((cp >= 33 && cp <= 47) || (cp >= 58 && cp <= 64) || (cp >= 91 && cp <= 96) || (cp >= 123 && cp <= 126)) {
+    return true;
+  }
+  return /\p{P}/u.test(ch);
+}
+
+// CJK Unified Ideographs (and extensions) are split into single characters
+function isCjk(ch) {
+  const cp = ch.codePointAt(0);
+  return (cp >= 0x4E00 && cp <= 0x9FFF) ||
+    (cp >= 0x3400 && cp <= 0x4DBF) ||
+    (cp >= 0x20000 && cp <= 0x2A6DF) ||
+    (cp >= 0x2A700 && cp <= 0x2B73F) ||
+    (cp >= 0x2B740 && cp <= 0x2B81F) ||
+    (cp >= 0x2B820 && cp <= 0x2CEAF) ||
+    (cp >= 0xF900 && cp <= 0xFAFF) ||
+    (cp >= 0x2F800 && cp <= 0x2FA1F);
+}
+
+/**
+ * BERT-style WordPiece: basic tokenization (clean, lowercase, strip accents, split on
+ * whitespace / punctuation / CJK) then greedy longest-match-first with `##` continuations.
+ */
+function encodeWordPiece(text, spec, state) {
+  const { vocab } = state.data;
+  const prefix = spec.continuationPrefix;
+  const unkId = vocab.has(spec.unkToken) ? vocab.get(spec.unkToken) : null;
+  const chars = normalizeWithOffsets(text, cluster => {
+    let c = cluster;
+    if (spec.lowercase) c = c.toLowerCase();
+    if (spec.stripAccents) c = c.normalize('NFD').replace(/\p{Mn}/gu, '');
+    return c;
+  });
+
+  const words = [];
+  let current = [];
+  const flush = () => {
+    if (current.length) words.push(current);
+    current = [];
+  };
+  for (const c of chars) {
+    if (/\s/u.test(c.ch)) {
+      flush();
+      continue;
+    }
+    if (/[\p{Cc}\p{Cf}\uFFFD]/u.test(c.ch)) continue;
+    if (isBertPunctuation(c.ch) || isCjk(c.ch)) {
+      flush();
+      words.push([c]);
+      continue;
+    }
+    current.push(c);
+  }
+  flush();
+
+  const tokens = [];
+  for (const word of words) {
+    const spanOf = (a, b) => [word[a].span[0], word[b - 1].span[1]];
+    const unknown = { id: unkId, text: spec.unkToken, rank: null, byteSpan: spanOf(0, word.length) };
+    if (word.length > spec.maxCharsPerWord) {
+      tokens.push(unknown);
+      continue;
+    }
+    const pieces = [];
+    let start = 0;
+    while (start < word.length) {
+      let end = word.length;
+      let found = null;
+      while (start < end) {
+        let sub = word.slice(start, end).map(c => c.ch).join('');
+        if (start > 0) sub = prefix + sub;
+        if (vocab.has(sub)) {
+          found = sub;
+          break;
+        }
+        end--;
+      }
+      if (!found) break;
+      const token = { id: vocab.get(found), text: found, rank: null, byteSpan: spanOf(start, end) };
+      if (start > 0) token.marker = prefix;
+      pieces.push(token);
+      start = end;
+    }
+    // Any unmatchable remainder turns the whole word into [UNK] (reference behaviour)
+    if (start < word.length) {
+      tokens.push(unknown);
+    } else {
+      tokens.push(...pieces);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * SentencePiece unigram: nmt_nfkc-style normalization (NFKC, whitespace runs collapsed,
+ * spaces -> '▁', dummy '▁' prefix) then Viterbi over piece scores.
+ */
+function encodeUnigram(text, spec, state) {
+  const data = state.data;
+  const ws = spec.wordStart;
+  const raw = normalizeWithOffsets(text, cluster => cluster.normalize('NFKC'));
+  const chars = [];
+  let pendingSpace = true; // dummy prefix
+  let spaceSpan = null;
+  for (const c of raw) {
+    if (/\s/u.test(c.ch)) {
+      if (!pendingSpace) {
+        pendingSpace = true;
+        spaceSpan = c.span;
+      }
+      continue;
+    }
+    if (/\p{Cc}/u.test(c.ch)) continue;
+    if (pendingSpace) {
+      chars.push({ ch: ws, span: spaceSpan || [c.span[0], c.span[0]] });
+      pendingSpace = false;
+      spaceSpan = null;
+    }
+    chars.push(c);
+  }
+
+  const n = chars.length;
+  const best = new Array(n + 1).fill(-Infinity);
+  const back = new Array(n + 1).fill(null);
+  best[0] = 0;
+  for (let i = 0; i < n; i++) {
+    if (best[i] === -Infinity) continue;
+    let singleMatched = false;
+    let piece = '';
+    for (let j = i; j < Math.min(n, i + data.maxPieceLen); j++) {
+      piece += chars[j].ch;
+      const entry = data.vocab.get(piece);
+      if (!entry) continue;
+      if (j === i) singleMatched = true;
+      const score = best[i] + entry.score;
+      if (score > best[j + 1]) {
+        best[j + 1] = score;
+        back[j + 1] = { start: i, id: entry.id, piece };
+      }
+    }
+    if (!singleMatched) {
+      // Unknown character: emit it alone with the unk id
+      const score = best[i] + data.unkScore;
+      if (score > best[i + 1]) {
+        best[i + 1] = score;
+        back[i + 1] = { start: i, id: data.unkId, piece: chars[i].ch };
+      }
+    }
+  }
+
+  const tokens = [];
+  for (let end = n; end > 0;) {
+    const step = back[end];
+    const token = {
+      id: step.id,
+      text: step.piece,
+      rank: null,
+      byteSpan: [chars[step.start].span[0], chars[end - 1].span[1]]
+    };
+    if (step.piece.startsWith(ws)) token.marker = ws;
+    tokens.push(token);
+    end = step.start;
+  }
+  return tokens.reverse();
+}
+
+const strictUtf8 = new TextDecoder('utf-8', { fatal: true });
+
+function isCompleteUtf8(bytes) {
+  try {
+    strictUtf8.decode(Uint8Array.from(bytes));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Length of the UTF‑8 sequence a lead byte announces (0 = not a valid lead byte)
+function utf8SequenceLength(lead) {
+  if (lead < 0x80) return 1;
+  if (lead >= 0xC2 && lead <= 0xDF) return 2;
+  if (lead >= 0xE0 && lead <= 0xEF) return 3;
+  if (lead >= 0xF0 && lead <= 0xF4) return 4;
+  return 0;
+}
+
+/**
+ * Convert a token's raw bytes back to a displayable string.
+ * Complete characters decode normally; loose bytes of a character cut by a token boundary
+ * are shown as hex groups ("<F0 9F>") instead of replacement characters.
+ */
+function bytesToDisplay(bytes) {
+  const arr = Uint8Array.from(bytes);
+  if (isCompleteUtf8(arr)) return strictUtf8.decode(arr);
+  let out = '';
+  let loose = [];
+  const flush = () => {
+    if (!loose.length) return;
+    out += '<' + loose.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ') + '>';
+    loose = [];
+  };
+  let i = 0;
+  while (i < arr.length) {
+    const len = utf8SequenceLength(arr[i]);
+    const seq = len ? arr.subarray(i, i + len) : null;
+    if (seq && seq.length === len && isCompleteUtf8(seq)) {
+      flush();
+      out += strictUtf8.decode(seq);
+      i += len;
+    } else {
+      loose.push(arr[i]);
+      i++;
+    }
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Heuristic mock segmentation (activated when all remote loads fail):
+ *  - Preserve leading spaces with following fragment
+ *  - Split punctuation as separate tokens
+ *  - Split long alphabetic runs into pseudo subwords by vowel/consonant boundaries
+ */
+function mockSegment(text) {
+  const out = [];
+  const wordRegex = /(\s+|[\p{L}\p{M}]+|\p{N}+|[^\p{L}\p{M}\p{N}\s])/gu;
+  const parts = text.match(wordRegex) || [];
+  for (const part of parts) {
+    if (/^\s+$/.test(part)) {
+      // Defer: attach whitespace to next alpha chunk if possible
+      out.push(part);
+      continue;
+    }
+    const chars = Array.from(part); // code points (keeps surrogate pairs whole)
+    if (chars.length >= 8 && /^[\p{L}\p{M}]+$/u.test(part)) {
+      // Split long words heuristically (vowel/consonant boundaries only exist for Latin)
+      let buf = '';
+      for (let i = 0; i < chars.length; i++) {
+        buf += chars[i];
+        const next = chars[i + 1];
+        const isBoundary =
+          Array.from(buf).length >= 4 &&
+          (
+            /[aeiou]$/i.test(buf) && next && /[bcdfghjklmnpqrstvwxyz]/i.test(next)
+          );
+        if (isBoundary) {
+          out.push(buf);
+          buf = '';
+        }
+      }
+      if (buf) out.push(buf);
+    } else {
+      out.push(part);
+    }
+  }
+  // Merge leading spaces with following token where appropriate
+  const merged = [];
+  for (let i = 0; i < out.length; i++) {
+    const t = out[i];
+    if (/^\s+$/.test(t) && i < out.length - 1) {
+      merged.push(t + out[i + 1]);
+      i++;
+    } else {
+      merged.push(t);
+    }
+  }
+  return merged.filter(t => t.trim().length);
+}
+
+/**
+ * Wrap plain strings (mock / fallback segmentation) as structured tokens.
+ * Byte spans are located by scanning forward through the source text.
+ */
+function stringsToTokens(text, parts) {
+  const tokens = [];
+  let charCursor = 0;
+  for (const part of parts) {
+    const at = text.indexOf(part, charCursor);
+    const start = at === -1 ? charCursor : at;
+    const byteStart = utf8Encoder.encode(text.slice(0, start)).length;
+    const byteLen = utf8Encoder.encode(part).length;
+    tokens.push({ id: null, text: part, rank: null, byteSpan: [byteStart, byteStart + byteLen] });
+    charCursor = start + part.length;
+  }
+  return tokens;
+}
+
+/**
+ * Split text around special tokens (only in 'allowed' mode).
+ * Returns segments { text, byteStart } for ordinary text and { token } for special tokens.
+ */
+function splitSpecial(text, spec, specialMode = 'allowed') {
+  const pattern = specialMode === 'allowed' ? specialPatternFor(spec) : null;
+  if (!pattern) return [{ text, byteStart: 0 }];
+  const segments = [];
+  let charCursor = 0;
+  let byteCursor = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > charCursor) {
+      const gap = text.slice(charCursor, match.index);
+      segments.push({ text: gap, byteStart: byteCursor });
+      byteCursor += utf8Encoder.encode(gap).length;
+    }
+    const byteLen = utf8Encoder.encode(match[0]).length;
+    segments.push({
+      token: {
+        id: spec.specialTokens[match[0]],
+        text: match[0],
+        rank: null,
+        byteSpan: [byteCursor, byteCursor + byteLen],
+        special: true
+      }
+    });
+    byteCursor += byteLen;
+    charCursor = match.index + match[0].length;
+  }
+  if (charCursor < text.length) segments.push({ text: text.slice(charCursor), byteStart: byteCursor });
+  return segments;
+}
+
+// Re-base segment-relative byte spans onto the full input
+function shiftSpans(tokens, byteStart) {
+  if (byteStart) {
+    for (const t of tokens) t.byteSpan = [t.byteSpan[0] + byteStart, t.byteSpan[1] + byteStart];
+  }
+  return tokens;
+}
+
+// Ordinary (non-special) text through the tokenizer's current mode
+function encodeOrdinary(text, spec, state) {
+  if (state.mockMode) {
+    return stringsToTokens(text, mockSegment(text));
+  }
+  if (!state.data) {
+    return stringsToTokens(text, text.match(spec.pattern || GPT2_PATTERN) || []);
+  }
+  return FORMATS[spec.format].encode(text, spec, state);
+}
+
+/**
+ * Public: tokenize text into structured tokens (real BPE or mock heuristic).
+ * Falls back to simple regex if assets are not loaded.
+ * Special tokens are matched first (specialMode 'allowed') and never merged with text around them.
+ */
+export function tokenizeToTokens(text, name = DEFAULT_TOKENIZER, options = {}) {
+  const tokens = [];
+  for (const chunk of encodeChunks(text, name, options)) tokens.push(...chunk);
+  return tokens;
+}
+
+/**
+ * Public: the tokens of tokenizeToTokens, yielded a chunk at a time so long texts can be
+ * encoded cooperatively (see runRequest). Chunks end on pre-token boundaries — never inside
+ * a BPE pre-token or a WordPiece word — so the concatenation is identical; unigram segments
+ * (whose whitespace handling spans the whole text) are yielded whole.
+ */
+export function* encodeChunks(text, name = DEFAULT_TOKENIZER, { specialMode = 'allowed', chunkChars = 2048 } = {}) {
+  if (!text) return;
+  const spec = specFor(name);
+  const state = stateFor(spec.name);
+  for (const seg of splitSpecial(text, spec, specialMode)) {
+    if (seg.token) {
+      yield [seg.token];
+      continue;
+    }
+    let byteStart = seg.byteStart;
+    for (const piece of chunkText(seg.text, spec, chunkChars)) {
+      yield shiftSpans(encodeOrdinary(piece, spec, state), byteStart);
+      byteStart += utf8Encoder.encode(piece).length;
+    }
+  }
+}
+
+// Split ordinary text into ~chunkChars pieces at boundaries that do not change the encoding
+function chunkText(text, spec, chunkChars) {
+  if (text.length <= chunkChars || spec.format === 'unigram') return [text];
+  const pieces = [];
+  let start = 0;
+  if (spec.format === 'wordpiece') {
+    // Words never span whitespace
+    const re = /\s/g;
+    let m;
+    while ((m = re.exec(text))) {
+      if (m.index - start >= chunkChars) {
+        pieces.push(text.slice(start, m.index));
+        start = m.index;
+      }
+    }
+  } else {
+    // Byte-level BPE: pre-tokens are encoded independently
+    for (const match of text.matchAll(spec.pattern || GPT2_PATTERN)) {
+      if (match.index - start >= chunkChars) {
+        pieces.push(text.slice(start, match.index));
+        start = match.index;
+      }
+    }
+  }
+  pieces.push(text.slice(start));
+  return pieces;
+}
+
+/**
+ * Public: special token table of a tokenizer -> Array<{ text, id }>.
+ */
+export function listSpecialTokens(name = DEFAULT_TOKENIZER) {
+  return Object.entries(specFor(name).specialTokens || {}).map(([text, id]) => ({ text, id }));
+}
+
+/**
+ * Public: record how BPE builds the tokens of `text`, merge by merge.
+ * Returns null unless the tokenizer is a loaded byte-level BPE (WordPiece / unigram have no
+ * merges; mock mode has no ranks).
+ *   symbols – display strings of the single-byte starting symbols
+ *   steps   – [{ rank, at, left, right, text }] in rank order; symbols[at] + symbols[at + 1]
+ *             fuse into `text`
+ *   tokens  – final structured tokens (same as tokenizeToTokens)
+ */
+export function traceMerges(text, name = DEFAULT_TOKENIZER, { specialMode = 'allowed' } = {}) {
+  if (!text) return null;
+  const spec = specFor(name);
+  const state = stateFor(spec.name);
+  const format = FORMATS[spec.format];
+  if (!format.trace || state.mockMode || !state.data) return null;
+  return format.trace(splitSpecial(text, spec, specialMode), spec, state);
+}
+
+/**
+ * Byte-level decode: concatenate every id's bytes; tokens keep the same fields as encoding
+ * (hex display / cutChar for ids that hold part of a character), byteSpan indexes the
+ * decoded bytes.
+ */
+function decodeByteLevel(ids, spec, data, specialById) {
+  const format = FORMATS[spec.format];
+  const tokens = [];
+  const all = [];
+  for (const id of ids) {
+    const special = specialById.get(id);
+    const bytes = special !== undefined
+      ? Array.from(utf8Encoder.encode(special))
+      : format.symbolToBytes(format.idToPiece(data, id));
+    const token = {
+      id,
+      text: special !== undefined ? special : bytesToDisplay(bytes),
+      rank: special !== undefined ? null : format.symbolRank(data, format.idToPiece(data, id)),
+      byteSpan: [all.length, all.length + bytes.length]
+    };
+    if (special !== undefined) token.special = true;
+    else if (!isCompleteUtf8(bytes)) token.partial = true;
+    tokens.push(token);
+    all.push(...bytes);
+  }
+  const bytes = Uint8Array.from(all);
+  markCutChars(tokens, bytes);
+  // Lenient decode: an id sequence may end inside a character (shown as U+FFFD)
+  return { text: new TextDecoder().decode(bytes), tokens };
+}
+
+/**
+ * WordPiece / unigram decode: pieces are strings; markers become word boundaries
+ * ('##' glues to the previous piece, '▁' starts a new word).
+ */
+function decodePieces(ids, spec, data, specialById) {
+  const format = FORMATS[spec.format];
+  const tokens = [];
+  let text = '';
+  for (const id of ids) {
+    const special = specialById.get(id);
+    const piece = special !== undefined ? special : format.idToPiece(data, id);
+    const token = { id, text: piece, rank: null, byteSpan: null };
+    if (special !== undefined) {
+      token.special = true;
+      text += (text ? ' ' : '') + piece;
+    } else if (spec.continuationPrefix) {
+      const cont = piece.startsWith(spec.continuationPrefix) && piece.length > spec.continuationPrefix.length;
+      if (cont) token.marker = spec.continuationPrefix;
+      text += cont ? piece.slice(spec.continuationPrefix.length) : (text ? ' ' : '') + piece;
+    } else {
+      if (spec.wordStart && piece.startsWith(spec.wordStart)) token.marker = spec.wordStart;
+      text += spec.wordStart ? piece.split(spec.wordStart).join(' ') : piece;
+    }
+    tokens.push(token);
+  }
+  // SentencePiece's dummy prefix
+  if (spec.wordStart && text.startsWith(' ')) text = text.slice(1);
+  return { text, tokens };
+}
+
+/* Largest id of a loaded vocabulary (decoder is an id -> piece object or Map), specials included */
+function maxTokenId(data, specialById) {
+  let max = -1;
+  const ids = data.decoder instanceof Map ? data.decoder.keys() : Object.keys(data.decoder);
+  for (const id of ids) max = Math.max(max, Number(id));
+  for (const id of specialById.keys()) max = Math.max(max, id);
+  return max;
+}
+
+/**
+ * Public: decode token ids back to text + structured tokens.
+ * Throws a RangeError (with `invalidIds` and `maxId`) when any id is outside the vocabulary, and an
+ * Error when the tokenizer has no real vocabulary loaded (mock mode).
+ */
+export function decodeIds(ids, name = DEFAULT_TOKENIZER) {
+  const spec = specFor(name);
+  const state = stateFor(spec.name);
+  if (!state.data) {
+    throw new Error(`[tokenizer] ${spec.shortLabel} vocabulary not loaded – cannot decode ids`);
+  }
+  const format = FORMATS[spec.format];
+  const specialById = new Map(Object.entries(spec.specialTokens || {}).map(([text, id]) => [id, text]));
+  const invalidIds = ids.filter(id =>
+    !Number.isInteger(id) || (!specialById.has(id) && format.idToPiece(state.data, id) === undefined)
+  );
+  if (invalidIds.length) {
+    const maxId = maxTokenId(state.data, specialById);
+    const err = new RangeError(
+      `[tokenizer] Not ${spec.shortLabel} token ids: ${invalidIds.join(', ')} (valid ids: 0–${maxId})`
+    );
+    err.invalidIds = invalidIds;
+    err.maxId = maxId;
+    throw err;
+  }
+  return format.decode(ids, spec, state.data, specialById);
+}
+
+/**
+ * Public: reverse BPE — the token that two adjacent tokens (left, then right) merge into when
+ * the merge table has a rule for them, as a decoded token ({ id, text, rank, byteSpan,
+ * partial?… }, rank = that rule's rank). null when there is no rule, for special tokens, for
+ * WordPiece / unigram tokenizers (no merges) and when no vocabulary is loaded.
+ */
+export function mergeTokenPair(leftId, rightId, name = DEFAULT_TOKENIZER) {
+  const spec = specFor(name);
+  const state = stateFor(spec.name);
+  const format = FORMATS[spec.format];
+  if (!format.pairRank || !state.data) return null;
+  const specialIds = new Set(Object.values(spec.specialTokens || {}));
+  if (specialIds.has(leftId) || specialIds.has(rightId)) return null;
+  const left = format.idToPiece(state.data, leftId);
+  const right = format.idToPiece(state.data, rightId);
+  if (left === undefined || right === undefined) return null;
+  const rank = format.pairRank(state.data, left, right);
+  const id = rank === undefined ? null : format.tokenId(state.data, left + right);
+  if (id === null) return null;
+  const [token] = format.decode([id], spec, state.data, new Map()).tokens;
+  return { ...token, rank };
+}
+
+/**
+ * Message protocol (tokenizer.worker.js, and tokenizer.js when workers are unavailable):
+ *   { type: 'load',   name, options: { skipLocal, forceMock, skipCache, cacheSize } } -> { source }
+ *   { type: 'encode', name, text, options: { specialMode, trace } } -> { tokens, trace }
+ *   { type: 'decode', name, ids } -> { text, tokens }
+ *   { type: 'merge',  name, left, right } -> { token } (token: mergeTokenPair result | null)
+ * ('cancel' is handled by the caller: isCancelled() turns true and encoding stops between
+ * chunks with an AbortError.) Long encodes yield to the task queue every few ms so cancel
+ * messages get through.
+ */
+const SLICE_MS = 8;
+
+function yieldTask() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function cancelledError() {
+  const err = new Error('[tokenizer] Request cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+export async function runRequest(msg, isCancelled = () => false) {
+  switch (msg.type) {
+    case 'load':
+      if (msg.options && msg.options.cacheSize !== undefined) setBpeCacheSize(msg.options.cacheSize);
+      await ensureTokenizerReady(msg.name, msg.options);
+      return { source: tokenizerSource(msg.name) };
+    case 'encode': {
+      const options = msg.options || {};
+      const tokens = [];
+      let sliceStart = Date.now();
+      for (const chunk of encodeChunks(msg.text, msg.name, options)) {
+        tokens.push(...chunk);
+        if (Date.now() - sliceStart > SLICE_MS) {
+          await yieldTask();
+          sliceStart = Date.now();
+        }
+        if (isCancelled()) throw cancelledError();
+      }
+      const trace = options.trace ? traceMerges(msg.text, msg.name, options) : null;
+      return { tokens, trace };
+    }
+    case 'decode':
+      return decodeIds(msg.ids, msg.name);
+    case 'merge':
+      return { token: mergeTokenPair(msg.left, msg.right, msg.name) };
+    default:
+      throw new Error('[tokenizer] Unknown request type: ' + msg.type);
+  }
+}
+
+/**
+ * Public: the tokens that become blocks on the canvas – whitespace-only tokens are counted
+ * but never drawn (ui.js filters every submission with this).
+ */
+export function visibleTokens(tokens) {
+  return tokens.filter(t => t && t.text && t.text.trim().length);
+}
+
+/**
+ * Public: tokenize text into display strings only.
+ */
+export function tokenizeToDisplayChunks(text, name = DEFAULT_TOKENIZER, options = {}) {
+  return tokenizeToTokens(text, name, options).map(t => t.text);
+}
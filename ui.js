@@ -1,59 +1,178 @@
 /**
  * ui.js
- * Handles DOM input, font size control, reset button, and tokenizer readiness gating.
+ * Handles DOM input, font size control, reset / save / load buttons, and tokenizer readiness gating.
  *
  * Public API:
- *  initUI({ onSubmit(payload), onReset() })
+ *  initUI({ onSubmit(payload), onReset(), onCompareChange(enabled), onReassembleChange(enabled),
+ *          onCraneChange(enabled), onSaveScene() -> scene, onLoadScene(scene) })
  *  focusInput()
+ *  setCompareEnabled(enabled)   -> ticks / unticks Compare without resetting the pile (restored piles)
  *  getFontSize()
+ *  getShowTokenIds()
+ *  getFractureDepth()
+ *  getFuseTokens()
+ *  getCollapseMode()
  *
  * Sentence input:
- *  - Tokenized with GPT‑2 BPE (tokenizer.js). We now HARD‑GATE submission until the real
- *    tokenizer is fully loaded to avoid fallback whole-word blocks the user reported.
- *  - We enqueue ONE parent sentence body containing the original sentence + its token list.
+ *  - Tokenized with the tokenizer picked in the dropdown (GPT‑2 by default; tokenizer.js registry).
+ *    We now HARD‑GATE submission until the real tokenizer is fully loaded to avoid fallback
+ *    whole-word blocks the user reported.
+ *  - We enqueue ONE parent sentence body containing the original sentence + its token list
+ *    (structured tokens: { id, text, rank, byteSpan }).
  *  - Actual physical split into tokens happens ONLY on first collision (floor or another word).
+ *  - "Allow special tokens" switches tokenizer.js between 'allowed' (`<|endoftext|>` becomes one
+ *    control token) and 'escaped' (typed as ordinary text), like tiktoken's allowed_special.
+ *  - "Fracture" sets how far blocks break, one level per impact (sketch.js FRACTURE):
+ *    'tokens' (sentence → tokens), 'words' (sentence → words → tokens, default) or
+ *    'bytes' (… → tokens, then a hard impact breaks a token into its bytes / characters).
+ *  - "Fuse tokens" lets touching tokens fuse back into one when the merge table has a rule for
+ *    them (reverse BPE, see sketch.js).
+ *  - "Slow split" attaches a BPE merge trace (tokenizer.js traceMergesAsync) so the split is
+ *    played back merge by merge before the tokens drop (BPE tokenizers only).
+ *  - Encoding runs in the tokenizer worker; a submission still in flight is cancelled by Reset
+ *    or by the next Enter (AbortController), so a huge paste never blocks the pile.
+ *
+ * Token-ID input ("Type token IDs"):
+ *  - The input takes a list of ids ("15496 995", commas / brackets allowed) for the main
+ *    tokenizer. They are decoded (tokenizer.js decodeIdsAsync: id -> piece -> bytes) and
+ *    submitted as { type: 'tokens', sentence, tokenizer, tokens, tokenCount }: the blocks drop
+ *    already split. The reconstructed sentence is shown under the status line (#decodedOutput);
+ *    malformed or out-of-range ids are reported there and the input is kept for editing.
+ *
+ * Compare mode:
+ *  - "Compare" checkbox reveals a second dropdown. Each sentence is tokenized by both tokenizers
+ *    and submitted as { type: 'compare', sentence, lanes: [{ tokenizer, tokens, tokenCount }, …] }
+ *    (left lane = main dropdown, right lane = second dropdown). Toggling it resets the pile.
+ *
+ * Reassemble mode:
+ *  - "Reassemble" checkbox turns the pile into a game (reassembly.js): tokens dragged
+ *    (pointer.js) onto a reading line snap there, scored against their sentence's order.
+ *    Toggling it keeps the pile.
+ *
+ * Crane:
+ *  - "Crane" checkbox brings in the crane (crane.js): it hooks resting tokens out of the pile
+ *    and tosses them back in. Toggling it keeps the pile.
+ *
+ * Save / load pile:
+ *  - "Save pile" downloads the scene snapshot onSaveScene returns (scene.js) as a .json file;
+ *    "Load pile" reads one back through a file picker and hands it to onLoadScene, which
+ *    replaces the pile (the Compare checkbox follows the file's lane mode). A file that cannot
+ *    be read or loaded is reported under the status line and the pile is left as it was.
  *
  * Collapse:
- *  - Gravity softens; no further breakup (letter disassembly removed).
+ *  - Gravity softens. "Collapse" picks what happens to the blocks: 'soft' (default) keeps them
+ *    intact, 'shatter' breaks every block into triangle fragments (fragments.js).
  *
  * Tokenizer Gating:
  *  - Input disabled while tokenizer state == loading.
- *  - On success: enable input, status shows "Tokenizer ready (GPT‑2 BPE)".
+ *  - On success: enable input, status shows "Tokenizer ready (GPT‑2 BPE · local files)" – the
+ *    label plus where the data came from (local files / IndexedDB cache / downloaded).
+ *  - " · offline ready" is appended once the service worker (offline.js / sw.js) has precached
+ *    everything the page needs to run without network.
+ *  - In compare mode both tokenizers must be loaded before input is accepted.
+ *  - Switching tokenizer re-enters loading until the new assets are parsed.
  *  - On failure: enable input but clearly marks fallback mode (regex segmentation).
  */
 
-import { sanitizeSentence } from './utils.js';
+import { sanitizeSentence, parseTokenIds } from './utils.js';
+import { registerOfflineSupport, isOfflineReady } from './offline.js';
 import {
+  ensureTokenizerReady,
   tokenizeAsync,
+  traceMergesAsync,
+  decodeIdsAsync,
   tokenizerReady,
   tokenizerFailed,
-  tokenizerMode
+  tokenizerMode,
+  tokenizerSource,
+  tokenizerLabel,
+  listTokenizers,
+  getActiveTokenizer,
+  setActiveTokenizer,
+  setSpecialTokenMode,
+  getSpecialTokenMode,
+  visibleTokens
 } from './tokenizer.js';
 
 let inputEl = null;
 let resetBtn = null;
+let saveSceneBtn = null;
+let loadSceneBtn = null;
+let sceneFileInput = null;
 let fontSlider = null;
 let fontValueEl = null;
 let statusEl = null;
+let decodedEl = null;
+let idInputToggle = null;
+let tokenIdsToggle = null;
+let slowSplitToggle = null;
+let fractureSelect = null;
+let fuseToggle = null;
+let collapseSelect = null;
+let specialToggle = null;
+let tokenizerSelect = null;
+let compareToggle = null;
+let compareSelect = null;
+let reassembleToggle = null;
+let craneToggle = null;
 
 let submitHandler = null;
 let resetHandler = null;
+let compareHandler = null;
+let reassembleHandler = null;
+let craneHandler = null;
+let saveSceneHandler = null;
+let loadSceneHandler = null;
 
 let currentFontSize = 40; // default (raised from 34 -> 40)
+let showTokenIds = false; // render token ids under token blocks
+let slowSplit = false;    // replay BPE merges before splitting
+let fractureDepth = 'words'; // deepest fracture level: 'tokens' | 'words' | 'bytes'
+let fuseTokens = false;   // touching tokens fuse by the merge table
+let collapseMode = 'soft'; // 'soft' | 'shatter'
+let idInput = false;      // input takes token ids instead of text
+let compareEnabled = false;
+let compareTokenizer = null; // right-lane tokenizer name
+let pendingSubmit = null;    // AbortController of the submission being tokenized
+
+/* Tokenizers feeding the current submission (one, or two in compare mode) */
+function tokenizersInUse() {
+  const active = getActiveTokenizer();
+  return compareEnabled && compareTokenizer ? [active, compareTokenizer] : [active];
+}
+
+/* Where a tokenizer's data came from, for the status line (tokenizer.js tokenizerSource) */
+const SOURCE_TEXT = {
+  local: 'local files',
+  cache: 'IndexedDB cache',
+  remote: 'downloaded'
+};
+function sourceText(name) {
+  const source = tokenizerSource(name);
+  return SOURCE_TEXT[source] || source;
+}
 
 function updateTokenizerStatus() {
   if (!statusEl) return;
-  const mode = tokenizerMode();
+  const names = tokenizersInUse();
+  // Report on whichever tokenizer still blocks input, else the main one
+  const name = names.find(n => tokenizerMode(n) === 'loading') ||
+    names.find(n => tokenizerMode(n) === 'fallback-failed') ||
+    names[0];
+  const mode = tokenizerMode(name);
+  const label = names.length > 1 && mode === 'bpe' && names.every(n => tokenizerMode(n) === 'bpe')
+    ? names.map(n => `${tokenizerLabel(n)} · ${sourceText(n)}`).join(' | ')
+    : tokenizerLabel(name) + (mode === 'bpe' ? ` · ${sourceText(name)}` : '');
   if (mode === 'loading') {
-    statusEl.textContent = 'Loading GPT‑2 tokenizer…';
+    statusEl.textContent = `Loading ${label} tokenizer…`;
     statusEl.dataset.mode = 'loading';
     statusEl.title = 'Fetching encoder & merges…';
   } else if (mode === 'bpe') {
-    statusEl.textContent = 'Tokenizer ready (GPT‑2 BPE)';
+    statusEl.textContent = `Tokenizer ready (${label})` + (isOfflineReady() ? ' · offline ready' : '');
     statusEl.dataset.mode = 'ready';
-    statusEl.title = 'Subword segmentation active';
+    statusEl.title = 'Subword segmentation active – data from ' + names.map(n => sourceText(n)).join(' / ');
   } else if (mode === 'mock') {
-    statusEl.textContent = 'Tokenizer mock mode (heuristic subwords)';
+    statusEl.textContent = `Tokenizer mock mode (${label} assets missing – heuristic subwords)`;
     statusEl.dataset.mode = 'ready';
     statusEl.title = 'Remote assets unavailable – using heuristic segmentation';
   } else if (mode === 'fallback-failed') {
@@ -73,20 +192,168 @@ function updateTokenizerStatus() {
       inputEl.placeholder = 'Loading tokenizer…';
     } else {
       inputEl.disabled = false;
-      inputEl.placeholder = 'Type a sentence and press Enter…';
+      inputEl.placeholder = idInput
+        ? `Type ${tokenizerLabel()} token IDs (e.g. 15496 995) and press Enter…`
+        : 'Type a sentence and press Enter…';
     }
   }
 }
 
-export function initUI({ onSubmit, onReset }) {
+/* Reconstructed sentence / decode error under the status line ('' hides it) */
+function showDecoded(text, isError = false) {
+  if (!decodedEl) return;
+  decodedEl.textContent = text;
+  decodedEl.dataset.state = isError ? 'error' : 'ok';
+}
+
+/* Token-ID mode submission: decode with the main tokenizer, drop the tokens pre-split */
+async function submitTokenIds(raw) {
+  const { ids, invalid } = parseTokenIds(raw);
+  if (invalid.length) {
+    showDecoded(`Not token IDs: ${invalid.join(', ')} (use whole numbers separated by spaces)`, true);
+    return;
+  }
+  if (!ids.length) {
+    inputEl.value = '';
+    return;
+  }
+  const tokenizerName = getActiveTokenizer();
+  const label = tokenizerLabel(tokenizerName);
+  let decoded;
+  try {
+    decoded = await decodeIdsAsync(ids, tokenizerName);
+  } catch (err) {
+    if (err.name === 'RangeError') {
+      const plural = err.invalidIds.length > 1 ? 's' : '';
+      showDecoded(`Unknown ${label} token ID${plural}: ${err.invalidIds.join(', ')} (valid IDs are 0–${err.maxId})`, true);
+    } else {
+      showDecoded(`Cannot decode: ${label} vocabulary is not loaded (mock mode)`, true);
+    }
+    return;
+  }
+  showDecoded(`Decoded: “${decoded.text}”`);
+  const filtered = visibleTokens(decoded.tokens);
+  if (filtered.length) {
+    submitHandler && submitHandler({
+      type: 'tokens',
+      sentence: decoded.text,
+      tokenizer: tokenizerName,
+      tokens: filtered,
+      tokenCount: decoded.tokens.length
+    });
+  }
+  inputEl.value = '';
+}
+
+function tokenizersReady() {
+  return tokenizersInUse().every(n => tokenizerReady(n) || tokenizerFailed(n));
+}
+
+async function tokenizeFor(raw, tokenizerName, signal) {
+  try {
+    return await tokenizeAsync(raw, tokenizerName, { signal });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    // Only fallback if tokenizer actually failed (network)
+    if (tokenizerFailed(tokenizerName)) {
+      return sanitizeSentence(raw).map(w => ({ id: null, text: w, rank: null, byteSpan: null }));
+    }
+    return null; // transient issue: caller aborts submission
+  }
+}
+
+/* Merge trace for the slow split (null when off or when the tokenizer has no merges) */
+async function traceFor(raw, tokenizerName, signal) {
+  if (!slowSplit) return null;
+  try {
+    return await traceMergesAsync(raw, tokenizerName, { signal });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    return null; // no trace: the sentence just splits immediately
+  }
+}
+
+/* Cancel the submission still being tokenized (Reset, or a newer Enter) */
+function abortPendingSubmit() {
+  if (pendingSubmit) {
+    pendingSubmit.abort();
+    pendingSubmit = null;
+  }
+}
+
+/* Save pile: the snapshot as a download named after the time it was taken */
+function saveScene() {
+  if (!saveSceneHandler) return;
+  const scene = saveSceneHandler();
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+  const blob = new Blob([JSON.stringify(scene)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `fragile-words-pile-${stamp}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  showDecoded(`Saved pile: ${scene.entries.length} blocks`);
+}
+
+/* Load pile: parse the picked file; the pile is only replaced if the snapshot loads */
+async function loadSceneFile(file) {
+  if (!file || !loadSceneHandler) return;
+  try {
+    const scene = JSON.parse(await file.text());
+    abortPendingSubmit();
+    loadSceneHandler(scene);
+    setCompareEnabled(!!scene.laneMode);
+    showDecoded(`Loaded pile: ${scene.entries.length} blocks`);
+  } catch (err) {
+    showDecoded(`Cannot load ${file.name}: ${err.message}`, true);
+  }
+  focusInput();
+}
+
+/* Compare checkbox set from outside (a loaded pile's lane mode) without resetting the pile */
+export function setCompareEnabled(enabled) {
+  if (!compareToggle || compareEnabled === enabled) return;
+  compareToggle.checked = compareEnabled = enabled;
+  if (compareSelect) compareSelect.disabled = !compareEnabled;
+  if (compareEnabled) loadCompareTokenizer();
+  else updateTokenizerStatus();
+}
+
+export function initUI({
+  onSubmit, onReset, onCompareChange, onReassembleChange, onCraneChange, onSaveScene, onLoadScene
+}) {
   inputEl = document.getElementById('wordInput');
   resetBtn = document.getElementById('resetBtn');
+  saveSceneBtn = document.getElementById('saveSceneBtn');
+  loadSceneBtn = document.getElementById('loadSceneBtn');
+  sceneFileInput = document.getElementById('sceneFileInput');
   fontSlider = document.getElementById('fontSizeSlider');
   fontValueEl = document.getElementById('fontSizeValue');
   statusEl = document.getElementById('tokenizerStatus');
+  decodedEl = document.getElementById('decodedOutput');
+  idInputToggle = document.getElementById('idInputToggle');
+  tokenIdsToggle = document.getElementById('tokenIdsToggle');
+  slowSplitToggle = document.getElementById('slowSplitToggle');
+  fractureSelect = document.getElementById('fractureSelect');
+  fuseToggle = document.getElementById('fuseToggle');
+  collapseSelect = document.getElementById('collapseSelect');
+  specialToggle = document.getElementById('specialTokensToggle');
+  tokenizerSelect = document.getElementById('tokenizerSelect');
+  compareToggle = document.getElementById('compareToggle');
+  compareSelect = document.getElementById('compareTokenizerSelect');
+  reassembleToggle = document.getElementById('reassembleToggle');
+  craneToggle = document.getElementById('craneToggle');
 
   submitHandler = onSubmit;
   resetHandler = onReset;
+  compareHandler = onCompareChange;
+  reassembleHandler = onReassembleChange;
+  craneHandler = onCraneChange;
+  saveSceneHandler = onSaveScene;
+  loadSceneHandler = onLoadScene;
 
   updateTokenizerStatus();
   // Retry handler (only meaningful if failure)
@@ -108,12 +375,81 @@ export function initUI({ onSubmit, onReset }) {
   window.addEventListener('tokenizer-failed', () => {
     updateTokenizerStatus();
   });
+  window.addEventListener('tokenizer-changed', () => {
+    updateTokenizerStatus();
+  });
+  window.addEventListener('offline-ready', () => {
+    updateTokenizerStatus();
+  });
+  registerOfflineSupport();
+
+  const tokenizers = listTokenizers();
+  const fillOptions = sel => {
+    for (const t of tokenizers) {
+      const opt = document.createElement('option');
+      opt.value = t.name;
+      opt.textContent = t.label;
+      sel.appendChild(opt);
+    }
+  };
+
+  if (tokenizerSelect) {
+    fillOptions(tokenizerSelect);
+    tokenizerSelect.value = getActiveTokenizer();
+    tokenizerSelect.addEventListener('change', () => {
+      setActiveTokenizer(tokenizerSelect.value).then(() => focusInput());
+    });
+  }
+
+  if (compareSelect) {
+    fillOptions(compareSelect);
+    // Default right lane: first tokenizer that differs from the main one
+    compareTokenizer = (tokenizers.find(t => t.name !== getActiveTokenizer()) || tokenizers[0]).name;
+    compareSelect.value = compareTokenizer;
+    compareSelect.addEventListener('change', () => {
+      compareTokenizer = compareSelect.value;
+      loadCompareTokenizer();
+    });
+  }
+
+  if (compareToggle) {
+    compareEnabled = compareToggle.checked;
+    if (compareSelect) compareSelect.disabled = !compareEnabled;
+    compareToggle.addEventListener('change', () => {
+      compareEnabled = compareToggle.checked;
+      if (compareSelect) compareSelect.disabled = !compareEnabled;
+      if (compareEnabled) loadCompareTokenizer();
+      else updateTokenizerStatus();
+      compareHandler && compareHandler(compareEnabled);
+      focusInput();
+    });
+    if (compareEnabled) {
+      loadCompareTokenizer();
+      compareHandler && compareHandler(true);
+    }
+  }
+
+  if (reassembleToggle) {
+    reassembleToggle.addEventListener('change', () => {
+      reassembleHandler && reassembleHandler(reassembleToggle.checked);
+      focusInput();
+    });
+    if (reassembleToggle.checked) reassembleHandler && reassembleHandler(true);
+  }
+
+  if (craneToggle) {
+    craneToggle.addEventListener('change', () => {
+      craneHandler && craneHandler(craneToggle.checked);
+      focusInput();
+    });
+    if (craneToggle.checked) craneHandler && craneHandler(true);
+  }
 
   if (inputEl) {
     inputEl.addEventListener('keydown', async e => {
       if (e.key === 'Enter') {
         // HARD GATE: If tokenizer not ready AND not failed, ignore (avoid fallback)
-        if (!tokenizerReady() && !tokenizerFailed()) {
+        if (!tokenizersReady()) {
           // brief visual pulse
             statusEl && (statusEl.textContent = 'Still loading tokenizer…');
           return;
@@ -123,26 +459,53 @@ export function initUI({ onSubmit, onReset }) {
           inputEl.value = '';
           return;
         }
-        let tokens = [];
+        if (idInput) {
+          submitTokenIds(raw);
+          return;
+        }
+        // Pin the tokenizers now so a dropdown change mid-request cannot mislabel the tokens
+        const names = tokenizersInUse();
+        abortPendingSubmit();
+        const controller = new AbortController();
+        pendingSubmit = controller;
+        let results, traces;
         try {
-          tokens = await tokenizeAsync(raw);
+          [results, traces] = await Promise.all([
+            Promise.all(names.map(n => tokenizeFor(raw, n, controller.signal))),
+            Promise.all(names.map(n => traceFor(raw, n, controller.signal)))
+          ]);
         } catch (err) {
-          // Only fallback if tokenizer actually failed (network)
-          if (tokenizerFailed()) {
-            tokens = sanitizeSentence(raw);
-          } else {
-            // If not failed but some transient issue, abort submission
-            statusEl && (statusEl.textContent = 'Tokenization error; try again.');
-            return;
+          if (err.name === 'AbortError') return; // superseded or reset
+          results = [null];
+        } finally {
+          if (pendingSubmit === controller) pendingSubmit = null;
+        }
+        if (results.some(r => !r)) {
+          statusEl && (statusEl.textContent = 'Tokenization error; try again.');
+          return;
+        }
+        if (names.length > 1) {
+          const lanes = names.map((n, i) => ({
+            tokenizer: n,
+            tokens: visibleTokens(results[i]),
+            tokenCount: results[i].length,
+            trace: traces[i]
+          }));
+          if (lanes.some(l => l.tokens.length)) {
+            submitHandler && submitHandler({ type: 'compare', sentence: raw, lanes });
           }
+          inputEl.value = '';
+          return;
         }
-        // Filter: keep tokens that produce some non-whitespace glyph when trimmed
-        const filtered = tokens.filter(t => t && t.trim().length);
+        const tokenizerName = names[0];
+        const filtered = visibleTokens(results[0]);
         if (filtered.length) {
           submitHandler && submitHandler({
             type: 'sentence',
             sentence: raw,
-            tokens: filtered
+            tokenizer: tokenizerName,
+            tokens: filtered,
+            trace: traces[0]
           });
         }
         inputEl.value = '';
@@ -152,11 +515,29 @@ export function initUI({ onSubmit, onReset }) {
 
   if (resetBtn) {
     resetBtn.addEventListener('click', () => {
+      abortPendingSubmit();
+      showDecoded('');
       resetHandler && resetHandler();
       focusInput();
     });
   }
 
+  if (saveSceneBtn) {
+    saveSceneBtn.addEventListener('click', () => {
+      saveScene();
+      focusInput();
+    });
+  }
+
+  if (loadSceneBtn && sceneFileInput) {
+    loadSceneBtn.addEventListener('click', () => sceneFileInput.click());
+    sceneFileInput.addEventListener('change', () => {
+      const file = sceneFileInput.files && sceneFileInput.files[0];
+      sceneFileInput.value = ''; // picking the same file again still fires 'change'
+      loadSceneFile(file);
+    });
+  }
+
   if (fontSlider) {
     fontSlider.addEventListener('input', () => {
       const v = parseInt(fontSlider.value, 10);
@@ -166,12 +547,92 @@ export function initUI({ onSubmit, onReset }) {
       }
     });
   }
+
+  if (tokenIdsToggle) {
+    showTokenIds = tokenIdsToggle.checked;
+    tokenIdsToggle.addEventListener('change', () => {
+      showTokenIds = tokenIdsToggle.checked;
+    });
+  }
+
+  if (specialToggle) {
+    specialToggle.checked = getSpecialTokenMode() === 'allowed';
+    specialToggle.addEventListener('change', () => {
+      setSpecialTokenMode(specialToggle.checked ? 'allowed' : 'escaped');
+    });
+  }
+
+  if (idInputToggle) {
+    idInput = idInputToggle.checked;
+    idInputToggle.addEventListener('change', () => {
+      idInput = idInputToggle.checked;
+      inputEl && (inputEl.value = '');
+      showDecoded('');
+      updateTokenizerStatus();
+      focusInput();
+    });
+  }
+
+  if (slowSplitToggle) {
+    slowSplit = slowSplitToggle.checked;
+    slowSplitToggle.addEventListener('change', () => {
+      slowSplit = slowSplitToggle.checked;
+    });
+  }
+
+  if (fuseToggle) {
+    fuseTokens = fuseToggle.checked;
+    fuseToggle.addEventListener('change', () => {
+      fuseTokens = fuseToggle.checked;
+    });
+  }
+
+  if (collapseSelect) {
+    collapseSelect.value = collapseMode;
+    collapseSelect.addEventListener('change', () => {
+      collapseMode = collapseSelect.value;
+      focusInput();
+    });
+  }
+
+  if (fractureSelect) {
+    fractureSelect.value = fractureDepth;
+    fractureSelect.addEventListener('change', () => {
+      fractureDepth = fractureSelect.value;
+      focusInput();
+    });
+  }
+}
+
+function loadCompareTokenizer() {
+  if (!compareTokenizer) return;
+  updateTokenizerStatus();
+  ensureTokenizerReady(compareTokenizer).then(() => {
+    updateTokenizerStatus();
+    focusInput();
+  });
 }
 
 export function getFontSize() {
   return currentFontSize;
 }
 
+export function getShowTokenIds() {
+  return showTokenIds;
+}
+
+export function getFractureDepth() {
+  return fractureDepth;
+}
+
+export function getFuseTokens() {
+  return fuseTokens;
+}
+
+export function getCollapseMode() {
+  return collapseMode;
+}
+
 export function focusInput() {
   if (inputEl && !inputEl.disabled) inputEl.focus();
 }
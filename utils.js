@@ -1,11 +1,15 @@
 /**
  * utils.js
- * Generic helpers: deterministic RNG, easing, math, layout.
+ * Generic helpers: deterministic RNG, easing, math, layout, text (graphemes / direction).
  * All randomness should flow through the seeded RNG for reproducibility.
  */
 
 export const SEED = 1337; // Change for different deterministic runs.
 
+// Canvas font stack: Noto Sans first, then script-specific Noto families (loaded in index.html)
+// so Hebrew, Arabic and CJK render as real glyphs.
+export const FONT_STACK = 'Noto Sans, Noto Sans Hebrew, Noto Sans Arabic, Noto Sans JP, Noto Sans SC, Helvetica, Arial, sans-serif';
+
 let _rngState = SEED >>> 0;
 
 /**
@@ -15,6 +19,11 @@ export function seedRandom(seed = SEED) {
   _rngState = seed >>> 0;
 }
 
+/* Current RNG state: seedRandom(getRandomState()) later resumes the same sequence */
+export function getRandomState() {
+  return _rngState >>> 0;
+}
+
 export function rand() {
   // Mulberry32
   _rngState |= 0;
@@ -121,12 +130,17 @@ export function aggregateBounds(letterRects) {
 /**
  * Deterministic fragment pattern generator: splits a rect into pseudo-random triangles.
  * Returns array of polygons, each polygon = [{x,y}, ...]
+ * The triangle fan needs the four corners (4 triangles): below that budget the rect comes
+ * back whole, as one polygon.
  */
 export function fragmentRectangle(x, y, w, h, charCodeSeed, maxPieces = 8) {
+  if (maxPieces < 4) {
+    return [[{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }]];
+  }
   // Use a temporary seeded RNG variant using charCodeSeed + index
   const prevState = _rngState;
   seedRandom((charCodeSeed * 1315423911) ^ (w * 92821) ^ (h * 48271));
-  const pieces = clamp(maxPieces, 3, 20);
+  const pieces = clamp(maxPieces, 4, 20);
   // Create internal jitter points
   const pts = [
     { x: 0, y: 0 },
@@ -194,45 +208,96 @@ export function sanitizeWord(raw) {
  */
 export function sanitizeSentence(raw) {
   if (!raw) return [];
-  const replaced = raw.replace(/[^A-Za-z]+/g, " ").trim();
+  const replaced = raw.replace(/[^\p{L}\p{M}]+/gu, " ").trim();
   if (!replaced) return [];
   const parts = replaced.split(/\s+/);
   const words = [];
   for (const p of parts) {
     if (!p) continue;
-    const w = p.length > 12 ? p.slice(0, 12) : p;
-    words.push(w);
+    const chars = Array.from(p); // code points: never cut a surrogate pair
+    words.push(chars.length > 12 ? chars.slice(0, 12).join('') : p);
   }
   return words;
 }
 
+/**
+ * Parse a typed list of token ids ("15496 995", "[15496, 995]", "15496,995").
+ * - Separators: whitespace, commas, semicolons; surrounding brackets are ignored
+ * - Returns { ids: number[], invalid: string[] } (invalid = entries that are not
+ *   non-negative integers)
+ */
+export function parseTokenIds(raw) {
+  const ids = [];
+  const invalid = [];
+  if (!raw) return { ids, invalid };
+  const parts = raw.replace(/^\s*\[|\]\s*$/g, '').split(/[\s,;]+/);
+  for (const part of parts) {
+    if (!part) continue;
+    if (/^\d+$/.test(part) && Number.isSafeInteger(Number(part))) ids.push(Number(part));
+    else invalid.push(part);
+  }
+  return { ids, invalid };
+}
+
+/**
+ * Group a sentence's tokens into its whitespace-separated words (progressive fracturing).
+ * - tokens: structured tokens ({ text, byteSpan, special? }) in sentence order; whitespace-only
+ *   tokens may be missing (visibleTokens)
+ * - A token starts a new word when whitespace separates it from the previous token's last
+ *   non-space byte; special tokens are always a word of their own
+ * - Returns Array<{ text, tokens }> (text = the sentence's own bytes for the word, trimmed), or
+ *   null when a token has no byteSpan (fallback / mock segmentation)
+ */
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder();
+
+export function groupTokensIntoWords(sentence, tokens) {
+  if (!tokens.length || tokens.some(t => !t.byteSpan)) return null;
+  const bytes = utf8Encoder.encode(sentence || '');
+  const isSpace = b => b === 0x20 || (b >= 0x09 && b <= 0x0d);
+  const groups = [];
+  let group = null;
+  let inkEnd = 0; // one past the previous token's last non-space byte
+  for (const token of tokens) {
+    const [start, end] = token.byteSpan;
+    let ink = start;
+    while (ink < end && isSpace(bytes[ink])) ink++;
+    let gap = false;
+    for (let k = inkEnd; k < ink && !gap; k++) gap = isSpace(bytes[k]);
+    if (!group || gap || token.special || group.special) {
+      group = { start: ink, end, tokens: [], special: !!token.special };
+      groups.push(group);
+    }
+    group.tokens.push(token);
+    group.end = end;
+    inkEnd = end;
+    while (inkEnd > ink && isSpace(bytes[inkEnd - 1])) inkEnd--;
+  }
+  return groups.map(g => ({
+    text: utf8Decoder.decode(bytes.subarray(g.start, g.end)).trim() || g.tokens.map(t => t.text).join(''),
+    tokens: g.tokens
+  }));
+}
+
 /**
  * sanitizeText
  * Normalizes text for rendering:
- *  - Preserves common punctuation (em/en dash, smart quotes, ellipsis).
+ *  - Keeps every printable character (any script, emoji, combining marks, ZWJ sequences).
  *  - Converts NBSP and other space-like chars to regular space.
- *  - Replaces unsupported / control / surrogate issues with middle dot (·).
+ *  - Replaces control / format / private-use / unassigned code points and lone surrogates
+ *    with middle dot (·).
  *  - Leaves standard printable ASCII unchanged.
  */
-const PRESERVE_SET = new Set([
-  0x2013, // –
-  0x2014, // —
-  0x2018, // ‘
-  0x2019, // ’
-  0x201C, // “
-  0x201D, // ”
-  0x2026  // …
+const KEEP_FORMAT_SET = new Set([
+  0x200C, // ZWNJ (Persian / Indic shaping)
+  0x200D  // ZWJ (emoji sequences)
 ]);
 
 export function sanitizeText(str) {
   if (!str) return "";
   let out = "";
-  for (let i = 0; i < str.length; i++) {
-    let code = str.codePointAt(i);
-    if (code > 0xFFFF) {
-      // Skip surrogate pair increment
-      i++;
-    }
+  for (const ch of str) {
+    const code = ch.codePointAt(0);
     // Convert various spaces to regular space
     if (
       code === 0x00A0 || // NBSP
@@ -247,33 +312,99 @@ export function sanitizeText(str) {
     }
     // Basic printable ASCII
     if (code >= 0x20 && code <= 0x7E) {
-      out += String.fromCodePoint(code);
+      out += ch;
       continue;
     }
-    // Preserve selected punctuation
-    if (PRESERVE_SET.has(code)) {
-      out += String.fromCodePoint(code);
+    if (KEEP_FORMAT_SET.has(code)) {
+      out += ch;
       continue;
     }
-    // Filter out C0/C1 control ranges & unprintables
-    if (
-      (code >= 0x00 && code <= 0x1F) ||
-      (code >= 0x7F && code <= 0x9F)
-    ) {
+    // Controls (C0/C1), format chars, private use, unassigned, lone surrogates
+    if (/[\p{Cc}\p{Cf}\p{Co}\p{Cn}\p{Cs}]/u.test(ch)) {
       out += "·";
       continue;
     }
-    // Accept common Latin-1 Supplement letters & punctuation
-    if (code >= 0x00A1 && code <= 0x017F) {
-      out += String.fromCodePoint(code);
-      continue;
-    }
-    // Everything else: replace with middle dot
-    out += "·";
+    out += ch;
   }
   return out;
 }
 
+/**
+ * Split text into user-perceived characters (grapheme clusters): a base letter with its
+ * combining marks, an emoji ZWJ sequence or flag, a Hangul syllable block… stay together.
+ * Falls back to base + marks clusters where Intl.Segmenter is unavailable.
+ */
+const graphemeSegmenter = (typeof Intl !== 'undefined' && Intl.Segmenter)
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+export function splitGraphemes(str) {
+  if (!str) return [];
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(str), s => s.segment);
+  }
+  return str.match(/\P{M}\p{M}*|\p{M}+/gu) || [];
+}
+
+/**
+ * Right-to-left scripts (strong R / AL bidi classes, approximated by script).
+ */
+const RTL_CHAR = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}\p{Script=Samaritan}\p{Script=Mandaic}\p{Script=Adlam}]/u;
+const STRONG_CHAR = /\p{L}/u;
+
+export function isRtlChar(ch) {
+  return RTL_CHAR.test(ch);
+}
+
+/**
+ * Paragraph direction of a string: 'rtl' if its first strong (letter) character belongs to a
+ * right-to-left script, otherwise 'ltr' (Unicode bidi rule P2, simplified).
+ */
+export function textDirection(str) {
+  for (const ch of str || '') {
+    if (RTL_CHAR.test(ch)) return 'rtl';
+    if (STRONG_CHAR.test(ch)) return 'ltr';
+  }
+  return 'ltr';
+}
+
+/**
+ * Visual (left-to-right) order of text units — grapheme clusters or whole tokens — under a
+ * reduced Unicode bidi algorithm: units with RTL letters are strong R, other letters / digits
+ * strong L, the rest neutral (taking the direction of equal strong neighbours, else the
+ * paragraph's). Returns indices into `units`.
+ */
+export function bidiOrder(units, direction) {
+  const base = direction === 'rtl' ? 1 : 0;
+  const types = units.map(u => (RTL_CHAR.test(u) ? 'R' : /[\p{L}\p{N}]/u.test(u) ? 'L' : 'N'));
+  const levels = types.map((t, i) => {
+    let type = t;
+    if (type === 'N') {
+      let prev = null;
+      let next = null;
+      for (let k = i - 1; k >= 0 && !prev; k--) if (types[k] !== 'N') prev = types[k];
+      for (let k = i + 1; k < types.length && !next; k++) if (types[k] !== 'N') next = types[k];
+      type = prev && prev === next ? prev : (base ? 'R' : 'L');
+    }
+    if (type === 'R') return 1;
+    return base ? 2 : 0;
+  });
+  const order = units.map((_, i) => i);
+  const maxLevel = Math.max(0, ...levels);
+  // Rule L2: reverse every run at level >= k, from the highest level down to 1
+  for (let k = maxLevel; k >= 1; k--) {
+    let i = 0;
+    while (i < order.length) {
+      if (levels[order[i]] < k) { i++; continue; }
+      let j = i;
+      while (j < order.length && levels[order[j]] >= k) j++;
+      order.splice(i, j - i, ...order.slice(i, j).reverse());
+      i = j;
+    }
+  }
+  return order;
+}
+
 /**
  * Sum of heights of bodies (approx) for heuristics.
  */
@@ -1,7 +1,8 @@
 /**
  * wordBody.js
  * Responsible for constructing a Matter compound body representing a word.
- * Each letter is approximated as a rectangle based on p5 text metrics.
+ * Each letter (grapheme cluster: base + marks, emoji sequence…) is approximated as a rectangle
+ * based on p5 text metrics. Right-to-left text is laid out in visual order (simplified bidi).
  * Rendering of the actual glyph is done in sketch.js (for fidelity);
  * physics uses these rectangular hulls.
  *
@@ -12,14 +13,15 @@
  *  {
  *    word,
  *    body,           // Matter.Body (compound)
- *    letterRects,    // [{x,y,w,h}] relative layout (top-left origin at 0,0 pre-centering)
+ *    letterRects,    // [{char,x,y,w,h,marker?,hex?,special?}] relative layout (top-left origin at 0,0 pre-centering)
  *    lettersCount,
  *    width,
- *    height
+ *    height,
+ *    direction       // 'ltr' | 'rtl' paragraph direction used for the layout
  *  }
  */
 
-import { rand, sanitizeText } from './utils.js';
+import { rand, sanitizeText, splitGraphemes, textDirection, bidiOrder, FONT_STACK } from './utils.js';
 
 const {
   Bodies,
@@ -37,9 +39,32 @@ export const WORD_PHYSICS_DEFAULTS = {
   friction: 0.85,         // higher friction to reduce sliding / sudden shifts
   frictionStatic: 1.0,    // stronger static friction
   frictionAir: 0.02,      // mild air damping to calm motion
-  chamfer: 2
+  chamfer: 2,
+  markerLength: 0,         // leading chars that are a subword marker ('##' / '▁'), drawn distinctly
+  direction: 'auto',       // 'ltr' | 'rtl' | 'auto' (from the first strong letter); tokens pass their sentence's
+  hexBytes: false,         // partial-byte token: "<E2 80>" groups become one hex cell per byte
+  special: false           // special / control token: the whole text is ONE block (never per letter)
 };
 
+const HEX_GROUP = /<([0-9A-F]{2}(?: [0-9A-F]{2})*)>/g;
+
+/**
+ * Layout units of a word: grapheme clusters, plus (hexBytes) one unit per loose byte.
+ */
+function splitUnits(word, hexBytes, special) {
+  if (special) return [{ text: word, hex: false }];
+  if (!hexBytes) return splitGraphemes(word).map(text => ({ text, hex: false }));
+  const units = [];
+  let last = 0;
+  for (const m of word.matchAll(HEX_GROUP)) {
+    for (const text of splitGraphemes(word.slice(last, m.index))) units.push({ text, hex: false });
+    for (const text of m[1].split(' ')) units.push({ text, hex: true });
+    last = m.index + m[0].length;
+  }
+  for (const text of splitGraphemes(word.slice(last))) units.push({ text, hex: false });
+  return units;
+}
+
 /**
  * Measures the word using p5 textWidth for each letter to build rectangles.
  * We treat baseline with an ascent approximation (letterHeight).
@@ -48,19 +73,31 @@ export const WORD_PHYSICS_DEFAULTS = {
  * @param {object} cfg
  * @returns {{rects:Array, width:number, height:number}}
  */
-function layoutLetters(p, word, cfg) {
+function layoutLetters(p, word, cfg, direction) {
   const rects = [];
   let cursorX = 0;
   const h = cfg.letterHeight;
-  for (let i = 0; i < word.length; i++) {
-    const ch = word[i];
+  const units = splitUnits(word, cfg.hexBytes, cfg.special);
+  // Marker flags follow logical order (markers lead the token), before visual reordering
+  const markers = [];
+  let offset = 0;
+  for (const u of units) {
+    markers.push(offset < cfg.markerLength);
+    offset += u.text.length;
+  }
+  // Hex bytes carry no direction of their own (neutral for bidi)
+  for (const i of bidiOrder(units.map(u => (u.hex ? '' : u.text)), direction)) {
+    const ch = units[i].text;
     const w = Math.max(8, p.textWidth(ch)) + cfg.letterPaddingX;
     rects.push({
       char: ch,
       x: cursorX,
       y: -h * 0.5, // center letters vertically around 0
       w,
-      h
+      h,
+      marker: markers[i],
+      hex: units[i].hex,
+      special: cfg.special
     });
     cursorX += w;
   }
@@ -101,18 +138,23 @@ function buildCompoundBody(rects, opts) {
  * Create a word entry ready to be added to physics:
  *
  *  makeWordEntry(p, "Hello", 400, -50)
+ *  makeWordEntry(p, "##able", 400, -50, { markerLength: 2 }) // '##' rendered as marker
+ *  makeWordEntry(p, "שלום", 400, -50, { direction: 'rtl' })  // laid out right-to-left
+ *  makeWordEntry(p, "<E2 80>", 400, -50, { hexBytes: true }) // two byte cells: E2, 80
+ *  makeWordEntry(p, "<|endoftext|>", 400, -50, { special: true }) // one block
  */
 export function makeWordEntry(p, word, x, y, overrides = {}) {
   const cfg = { ...WORD_PHYSICS_DEFAULTS, ...overrides };
   // Sanitize display text (preserve key punctuation, replace unsupported)
   const displayWord = sanitizeText(word);
+  const direction = cfg.direction === 'auto' ? textDirection(displayWord) : cfg.direction;
 
   // Ensure p.textSize matches desired height heuristic
   // We approximate letter height by setting textSize slightly less to account for ascender/descender.
   p.push();
-  p.textFont('Noto Sans, Helvetica, Arial, sans-serif');
+  p.textFont(FONT_STACK);
   p.textSize(cfg.letterHeight * 0.78);
-  const { rects, width, height } = layoutLetters(p, displayWord, cfg);
+  const { rects, width, height } = layoutLetters(p, displayWord, cfg, direction);
   p.pop();
 
   // Center layout: shift rect set so center of mass near (0,0)
@@ -134,6 +176,7 @@ export function makeWordEntry(p, word, x, y, overrides = {}) {
     lettersCount: rects.length,
     width,
     height,
-    letterHeight: cfg.letterHeight
+    letterHeight: cfg.letterHeight,
+    direction
   };
 }